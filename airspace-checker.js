@@ -0,0 +1,211 @@
+/**
+ * Airspace Checker
+ * Checks a flight in 3D against airspace polygons and their vertical limits
+ */
+class AirspaceChecker {
+    constructor() {
+        // Earth's radius in meters
+        this.EARTH_RADIUS = 6371000;
+
+        // Optional ground elevation lookup (fix) => meters or null, used for AGL limits.
+        // Where it has no data, the ground is taken to be at takeoff altitude.
+        this.getGroundElevation = null;
+    }
+
+    /**
+     * Find every airspace infringement of a flight
+     * @param {object} flightData - Parsed flight data from IGCParser
+     * @param {object[]} airspaces - Airspaces from OpenAirParser.parse
+     * @returns {object[]} - Infringements in flight order
+     */
+    check(flightData, airspaces) {
+        if (!flightData || !flightData.fixes || flightData.fixes.length === 0 || !airspaces) {
+            return [];
+        }
+
+        const fixes = flightData.fixes;
+        const airborne = flightData.airborne || { takeoffIndex: 0, landingIndex: fixes.length - 1 };
+        const origin = fixes[airborne.takeoffIndex];
+        const takeoffGround = origin.altitude;
+        const baroValid = flightData.altitude ? flightData.altitude.baroValid : true;
+        const infringements = [];
+
+        // Fixes and airspaces share one local projection around takeoff
+        const points = fixes.map(fix => this.project(fix.latitude, fix.longitude, origin));
+
+        airspaces.forEach(airspace => {
+            const shape = this.prepare(airspace, origin);
+            let current = null;
+
+            for (let i = airborne.takeoffIndex; i <= airborne.landingIndex; i++) {
+                const penetration = this.penetration(fixes[i], points[i], airspace, shape, takeoffGround, baroValid);
+
+                if (penetration) {
+                    if (!current) {
+                        current = {
+                            airspace,
+                            startIndex: i,
+                            endIndex: i,
+                            entryTime: fixes[i].time,
+                            exitTime: fixes[i].time,
+                            entryTimestamp: fixes[i].timestamp,
+                            exitTimestamp: fixes[i].timestamp,
+                            maxVerticalPenetration: 0,
+                            maxHorizontalPenetration: 0
+                        };
+                        infringements.push(current);
+                    }
+                    current.endIndex = i;
+                    current.exitTime = fixes[i].time;
+                    current.exitTimestamp = fixes[i].timestamp;
+                    current.maxVerticalPenetration = Math.max(current.maxVerticalPenetration, penetration.vertical);
+                    current.maxHorizontalPenetration = Math.max(current.maxHorizontalPenetration, penetration.horizontal);
+                } else {
+                    current = null;
+                }
+            }
+        });
+
+        return infringements.sort((a, b) => a.startIndex - b.startIndex);
+    }
+
+    /**
+     * Project an airspace polygon once for fast point tests
+     * @param {object} airspace - Airspace with a polygon of [latitude, longitude] points
+     * @param {object} origin - Reference fix for the local projection
+     * @returns {object} - Projected points and their bounding box
+     */
+    prepare(airspace, origin) {
+        const points = airspace.polygon.map(point => this.project(point[0], point[1], origin));
+        return {
+            points,
+            minX: Math.min(...points.map(p => p.x)),
+            maxX: Math.max(...points.map(p => p.x)),
+            minY: Math.min(...points.map(p => p.y)),
+            maxY: Math.max(...points.map(p => p.y))
+        };
+    }
+
+    /**
+     * How deep a fix is inside an airspace
+     * @param {object} fix - Flight fix
+     * @param {object} point - Projected position of the fix
+     * @param {object} airspace - Airspace with floor and ceiling
+     * @param {object} shape - Projected polygon from prepare
+     * @param {number} takeoffGround - Ground elevation used when no elevation lookup is set
+     * @param {boolean} baroValid - Whether the pressure altitudes can be used for flight levels
+     * @returns {object|null} - {vertical, horizontal} penetration in meters, or null if outside
+     */
+    penetration(fix, point, airspace, shape, takeoffGround, baroValid) {
+        if (point.x < shape.minX || point.x > shape.maxX || point.y < shape.minY || point.y > shape.maxY) {
+            return null;
+        }
+        if (!this.isInsidePolygon(point, shape.points)) {
+            return null;
+        }
+
+        const elevation = this.getGroundElevation ? this.getGroundElevation(fix) : null;
+        const ground = elevation !== null ? elevation : takeoffGround;
+        const above = this.altitudeAbove(fix, airspace.floor, ground, baroValid);
+        const below = -this.altitudeAbove(fix, airspace.ceiling, ground, baroValid);
+        if (above < 0 || below < 0) {
+            return null;
+        }
+
+        return {
+            vertical: Math.min(above, below),
+            horizontal: this.distanceToEdge(point, shape.points)
+        };
+    }
+
+    /**
+     * Height of a fix above an airspace limit, using the altitude source matching the limit
+     * @param {object} fix - Flight fix
+     * @param {object} limit - Limit from OpenAirParser.parseAltitude
+     * @param {number} ground - Ground elevation in meters
+     * @param {boolean} baroValid - Whether the pressure altitude can be used for flight levels
+     * @returns {number} - Meters above the limit (negative when below)
+     */
+    altitudeAbove(fix, limit, ground, baroValid) {
+        switch (limit.reference) {
+            case 'SFC':
+                return Infinity;
+            case 'FL':
+                // Flight levels are uncorrected pressure altitudes on the standard atmosphere
+                return (baroValid ? fix.pressureAltitude : fix.altitude) - limit.meters;
+            case 'AGL':
+                return fix.altitude - ground - limit.meters;
+            default:
+                return fix.altitude - limit.meters;
+        }
+    }
+
+    /**
+     * Check whether a point is inside a polygon (ray casting)
+     * @param {object} point - Projected point {x, y}
+     * @param {object[]} polygon - Projected polygon points
+     * @returns {boolean} - True if the point is inside
+     */
+    isInsidePolygon(point, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Distance from a point to the nearest polygon edge
+     * @param {object} point - Projected point {x, y}
+     * @param {object[]} polygon - Projected polygon points
+     * @returns {number} - Distance in meters
+     */
+    distanceToEdge(point, polygon) {
+        let best = Infinity;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[j];
+            const b = polygon[i];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const lengthSquared = dx * dx + dy * dy;
+            const t = lengthSquared > 0 ?
+                Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared)) :
+                0;
+            best = Math.min(best, Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy)));
+        }
+        return best;
+    }
+
+    /**
+     * Project a position onto a local flat plane around an origin
+     * @param {number} latitude - Latitude in degrees
+     * @param {number} longitude - Longitude in degrees
+     * @param {object} origin - Reference fix
+     * @returns {object} - {x, y} in meters east/north of the origin
+     */
+    project(latitude, longitude, origin) {
+        return {
+            x: this.toRadians(longitude - origin.longitude) * Math.cos(this.toRadians(origin.latitude)) * this.EARTH_RADIUS,
+            y: this.toRadians(latitude - origin.latitude) * this.EARTH_RADIUS
+        };
+    }
+
+    /**
+     * Convert degrees to radians
+     * @param {number} degrees - Angle in degrees
+     * @returns {number} - Angle in radians
+     */
+    toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+}
+
+// Node/CommonJS export; in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AirspaceChecker };
+}
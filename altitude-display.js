@@ -11,6 +11,40 @@ class AltitudeDisplay {
         this.elementId = elementId;
         this.chart = null;
         this.tooltip = null;
+        this.phases = null;
+        this.phaseColors = {};
+
+        // Called with (takeoffIndex, landingIndex) when the user drags the takeoff/landing handles
+        this.onAirborneRangeChange = null;
+
+        // Called with the new vario window (seconds) when the user changes the smoothing
+        this.onSmoothingChange = null;
+
+        // Called with {source, qnhCorrection} when the user changes the altitude source
+        this.onAltitudeSourceChange = null;
+
+        // Called with (fixIndex) when the user hovers or clicks a time on the charts
+        this.onFixSelect = null;
+
+        // Called with 'local' or 'utc' when the user switches the time zone
+        this.onTimeModeChange = null;
+
+        // Formats times in UTC or local time, shared with the other displays
+        this.timeFormatter = new TimeFormatter();
+
+        // Airspace infringements highlighted on the chart
+        this.infringements = [];
+
+        // Other flights drawn as extra altitude lines, as {flightData, name, color}
+        this.comparisonFlights = [];
+
+        // Shared time axis and crosshair state of the stacked charts
+        this.xScale = null;
+        this.timeOrigin = 0;
+        this.timeData = [];
+        this.crosshairs = [];
+        this.selectedIndex = null;
+        this.varioWindows = [1, 5, 10, 20, 30];
         
         // Scale factor for altitude (500m)
         this.altitudeScaleFactor = 500;
@@ -22,6 +56,32 @@ class AltitudeDisplay {
             .style("opacity", 0);
     }
 
+    /**
+     * Set the flight phases drawn as the chart background
+     * @param {object|null} result - Result from FlightPhaseAnalyzer.analyze
+     * @param {object} colors - Colour per phase type
+     */
+    setPhases(result, colors) {
+        this.phases = result ? result.phases : null;
+        this.phaseColors = colors || {};
+    }
+
+    /**
+     * Set airspace infringements to highlight on the altitude chart
+     * @param {object[]} infringements - Infringements from AirspaceChecker.check
+     */
+    setInfringements(infringements) {
+        this.infringements = infringements || [];
+    }
+
+    /**
+     * Set other flights to draw on the altitude chart, aligned by UTC time
+     * @param {object[]} flights - Comparison flights as {flightData, name, color}
+     */
+    setComparisonFlights(flights) {
+        this.comparisonFlights = flights || [];
+    }
+
     /**
      * Render the altitude chart with the given flight data
      * @param {object} flightData - Parsed flight data from IGCParser
@@ -56,17 +116,56 @@ class AltitudeDisplay {
         // Extract data
         const fixes = flightData.fixes;
         const timeData = fixes.map(fix => fix.timestamp - fixes[0].timestamp);
-        const altitudeData = fixes.map(fix => fix.pressureAltitude);
+        const altitudeData = fixes.map(fix => fix.altitude);
+
+        // The altitude source that is not selected, drawn for comparison when both are usable
+        const altitudeInfo = flightData.altitude || null;
+        const otherAltitudeData = altitudeInfo && altitudeInfo.baroValid ?
+            fixes.map((fix, i) => altitudeInfo.source === 'gnss' ?
+                fix.gnssAltitude + altitudeInfo.gap[i] :
+                fix.gnssAltitude) :
+            null;
+
+        // Comparison flights share the time axis, measured from the first fix of this flight
+        const comparisons = this.comparisonFlights.map(flight => ({
+            color: flight.color,
+            name: flight.name,
+            timeData: flight.flightData.fixes.map(fix => fix.timestamp - fixes[0].timestamp),
+            altitudeData: flight.flightData.fixes.map(fix => fix.altitude)
+        }));
+        const allTimes = timeData.concat(...comparisons.map(comparison => comparison.timeData));
+        const allAltitudes = altitudeData.concat(...comparisons.map(comparison => comparison.altitudeData));
+
+        // Terrain under the flight, when elevations have been looked up
+        const terrainData = flightData.groundElevation || null;
+        if (terrainData) {
+            allAltitudes.push(...terrainData.filter(d => d !== null));
+        }
 
         // Scales
         const xScale = d3.scaleLinear()
-            .domain([0, d3.max(timeData)])
+            .domain([Math.min(0, d3.min(allTimes)), d3.max(allTimes)])
             .range([0, width]);
 
+        // Keep the time axis for the stacked charts and crosshair
+        this.xScale = xScale;
+        this.timeOrigin = fixes[0].timestamp;
+        this.timeData = timeData;
+        this.crosshairs = [];
+        if (this.selectedIndex !== null && this.selectedIndex >= timeData.length) {
+            this.selectedIndex = null;
+        }
+
+        // Background capturing mouse movement for the crosshair
+        svg.append("rect")
+            .attr("class", "chart-background")
+            .attr("width", width)
+            .attr("height", height);
+
         // Determine altitude range with adjusted scale
         // Key change: we divide by 500 to implement the 500m scale
-        const minAltitude = Math.floor(d3.min(altitudeData) / this.altitudeScaleFactor) * this.altitudeScaleFactor;
-        const maxAltitude = Math.ceil(d3.max(altitudeData) / this.altitudeScaleFactor) * this.altitudeScaleFactor;
+        const minAltitude = Math.floor(d3.min(allAltitudes) / this.altitudeScaleFactor) * this.altitudeScaleFactor;
+        const maxAltitude = Math.ceil(d3.max(allAltitudes) / this.altitudeScaleFactor) * this.altitudeScaleFactor;
 
         const yScale = d3.scaleLinear()
             .domain([minAltitude, maxAltitude])
@@ -93,7 +192,7 @@ class AltitudeDisplay {
             .attr("x", width / 2)
             .attr("y", margin.bottom)
             .attr("text-anchor", "middle")
-            .text("Time (hh:mm)");
+            .text(`Time (${this.timeFormatter.zoneLabel()})`);
 
         // Add Y axis
         svg.append("g")
@@ -115,6 +214,40 @@ class AltitudeDisplay {
                 .tickFormat("")
             );
 
+        // Add phase background bands
+        if (this.phases) {
+            svg.append("g")
+                .attr("class", "phase-bands")
+                .selectAll("rect")
+                .data(this.phases)
+                .enter()
+                .append("rect")
+                .attr("x", d => xScale(timeData[d.startIndex]))
+                .attr("width", d => {
+                    const end = Math.min(d.endIndex + 1, timeData.length - 1);
+                    return Math.max(0, xScale(timeData[end]) - xScale(timeData[d.startIndex]));
+                })
+                .attr("y", 0)
+                .attr("height", height)
+                .style("fill", d => this.phaseColors[d.type] || "transparent")
+                .style("opacity", 0.15);
+        }
+
+        // Highlight airspace infringements
+        svg.append("g")
+            .attr("class", "infringement-bands")
+            .selectAll("rect")
+            .data(this.infringements.filter(d => d.endIndex < timeData.length))
+            .enter()
+            .append("rect")
+            .attr("class", "infringement-band")
+            .attr("x", d => xScale(timeData[d.startIndex]))
+            .attr("width", d => Math.max(2, xScale(timeData[d.endIndex]) - xScale(timeData[d.startIndex])))
+            .attr("y", 0)
+            .attr("height", height)
+            .append("title")
+            .text(d => `${d.airspace.name}: ${this.timeFormatter.format(d.entryTimestamp)}-${this.timeFormatter.format(d.exitTimestamp)}`);
+
         // Create line generator
         const line = d3.line()
             .x((d, i) => xScale(timeData[i]))
@@ -134,12 +267,77 @@ class AltitudeDisplay {
             .attr("class", "altitude-area")
             .attr("d", area);
 
+        // Add the terrain profile under the flight
+        if (terrainData) {
+            svg.append("path")
+                .datum(terrainData)
+                .attr("class", "terrain-area")
+                .attr("d", d3.area()
+                    .defined(d => d !== null)
+                    .x((d, i) => xScale(timeData[i]))
+                    .y0(height)
+                    .y1(d => yScale(d)));
+        }
+
+        // Add the other altitude source
+        if (otherAltitudeData) {
+            svg.append("path")
+                .datum(otherAltitudeData)
+                .attr("class", "altitude-other-path")
+                .attr("d", d3.line()
+                    .defined((d, i) => altitudeInfo.gap[i] !== null)
+                    .x((d, i) => xScale(timeData[i]))
+                    .y(d => yScale(d)))
+                .append("title")
+                .text(altitudeInfo.source === 'gnss' ? 'Pressure altitude' : 'GNSS altitude');
+        }
+
         // Add the line path
         svg.append("path")
             .datum(altitudeData)
             .attr("class", "altitude-path")
             .attr("d", line);
 
+        // Add a line per comparison flight
+        comparisons.forEach(comparison => {
+            svg.append("path")
+                .datum(comparison.altitudeData)
+                .attr("class", "comparison-path")
+                .style("stroke", comparison.color)
+                .attr("d", d3.line()
+                    .x((d, i) => xScale(comparison.timeData[i]))
+                    .y(d => yScale(d)))
+                .append("title")
+                .text(comparison.name);
+        });
+
+        // Mark the logged events, labelled by their code
+        const eventMarkers = svg.append("g")
+            .attr("class", "event-markers")
+            .selectAll("g")
+            .data((flightData.events || []).filter(d => d.fixIndex !== null && d.fixIndex < timeData.length))
+            .enter()
+            .append("g")
+            .attr("class", "event-marker")
+            .attr("transform", d => `translate(${xScale(timeData[d.fixIndex])},0)`)
+            .on("click", (event, d) => {
+                // Select the event's own fix rather than the one under the pointer
+                event.stopPropagation();
+                this.selectFix(d.fixIndex);
+                if (this.onFixSelect) {
+                    this.onFixSelect(d.fixIndex);
+                }
+            });
+        eventMarkers.append("line")
+            .attr("y1", 0)
+            .attr("y2", height);
+        eventMarkers.append("text")
+            .attr("y", -4)
+            .attr("text-anchor", "middle")
+            .text(d => d.code);
+        eventMarkers.append("title")
+            .text(d => `${this.timeFormatter.format(d.timestamp)} ${d.name}${d.text ? ': ' + d.text : ''}`);
+
         // Add dots for data points with tooltips
         const dots = svg.selectAll(".dot")
             .data(altitudeData)
@@ -165,7 +363,7 @@ class AltitudeDisplay {
             .style("opacity", 0)
             .on("mouseover", (event, d, i) => {
                 const index = altitudeData.indexOf(d);
-                const time = this.formatTime(timeData[index]);
+                const time = this.timeFormatter.format(fixes[index].timestamp);
                 const scaledAltitude = (d / this.altitudeScaleFactor).toFixed(2);
                 
                 this.tooltip.transition()
@@ -186,6 +384,15 @@ class AltitudeDisplay {
                     .style("opacity", 0);
             });
 
+        // Add draggable takeoff/landing handles
+        if (flightData.airborne) {
+            this.renderAirborneHandles(svg, flightData.airborne, timeData, xScale, height);
+        }
+
+        // Add crosshair
+        this.addCrosshair(svg, height, altitudeData, d => `${d}m`);
+        this.attachCrosshairEvents(d3.select(element).select("svg"), svg);
+
         // Add title
         svg.append("text")
             .attr("x", width / 2)
@@ -203,16 +410,419 @@ class AltitudeDisplay {
             .style("font-size", "12px")
             .style("fill", "#666")
             .text("Scale: 1 unit = 500m");
+
+        // Add vario, ground speed and glide ratio charts below, sharing the time axis
+        if (flightData.series) {
+            this.renderSeries(flightData, element, margin, width);
+        }
+    }
+
+    /**
+     * Render the stacked vario, ground speed, glide ratio and altitude gap charts
+     * @param {object} flightData - Parsed flight data with series and altitude selection
+     * @param {HTMLElement} chartElement - The altitude chart element
+     * @param {object} margin - Margins of the altitude chart, reused so the time axes line up
+     * @param {number} width - Plot width of the altitude chart
+     */
+    renderSeries(flightData, chartElement, margin, width) {
+        const series = flightData.series;
+        const altitude = flightData.altitude || null;
+
+        // Container placed right below the altitude chart
+        const containerId = `${this.elementId}Series`;
+        let container = document.getElementById(containerId);
+        if (!container) {
+            container = document.createElement('div');
+            container.id = containerId;
+            container.className = 'series-charts';
+            chartElement.insertAdjacentElement('afterend', container);
+        }
+        container.innerHTML = '';
+
+        // Vario smoothing selector
+        const toolbar = d3.select(container)
+            .append("div")
+            .attr("class", "series-toolbar small text-muted");
+        toolbar.append("span").text("Vario smoothing: ");
+        toolbar.append("select")
+            .attr("class", "form-select form-select-sm d-inline-block w-auto")
+            .on("change", event => {
+                if (this.onSmoothingChange) {
+                    this.onSmoothingChange(parseInt(event.target.value, 10));
+                }
+            })
+            .selectAll("option")
+            .data(this.varioWindows)
+            .enter()
+            .append("option")
+            .attr("value", d => d)
+            .property("selected", d => d === series.options.varioWindow)
+            .text(d => `${d}s`);
+
+        // UTC or local time on every chart, map popup and table
+        toolbar.append("span").attr("class", "ms-3").text("Time: ");
+        toolbar.append("select")
+            .attr("class", "form-select form-select-sm d-inline-block w-auto")
+            .on("change", event => {
+                if (this.onTimeModeChange) {
+                    this.onTimeModeChange(event.target.value);
+                }
+            })
+            .selectAll("option")
+            .data([
+                { value: 'local', label: `Local (${this.timeFormatter.localZoneLabel()})` },
+                { value: 'utc', label: 'UTC' }
+            ])
+            .enter()
+            .append("option")
+            .attr("value", d => d.value)
+            .property("selected", d => d.value === this.timeFormatter.mode)
+            .text(d => d.label);
+
+        // Altitude source selector and calibration
+        if (altitude) {
+            const notifyAltitudeChange = () => {
+                if (this.onAltitudeSourceChange) {
+                    this.onAltitudeSourceChange({
+                        source: sourceSelect.property("value"),
+                        qnhCorrection: qnhCheckbox.property("checked")
+                    });
+                }
+            };
+
+            toolbar.append("span").attr("class", "ms-3").text("Altitude: ");
+            const sourceSelect = toolbar.append("select")
+                .attr("class", "form-select form-select-sm d-inline-block w-auto")
+                .on("change", notifyAltitudeChange);
+            sourceSelect.selectAll("option")
+                .data([
+                    { value: 'auto', label: `Auto (${altitude.source === 'gnss' ? 'GNSS' : 'pressure'})` },
+                    { value: 'pressure', label: 'Pressure' },
+                    { value: 'gnss', label: 'GNSS' }
+                ])
+                .enter()
+                .append("option")
+                .attr("value", d => d.value)
+                .property("selected", d => d.value === altitude.requested)
+                .text(d => d.label);
+
+            const qnhLabel = toolbar.append("label").attr("class", "ms-2");
+            const qnhCheckbox = qnhLabel.append("input")
+                .attr("type", "checkbox")
+                .property("checked", altitude.qnhCorrection)
+                .on("change", notifyAltitudeChange);
+            qnhLabel.append("span")
+                .text(altitude.qnh ? ` QNH ${altitude.qnh.toFixed(1)} hPa` : ' QNH from takeoff');
+
+            if (!altitude.baroValid) {
+                toolbar.append("span")
+                    .attr("class", "ms-2 text-warning")
+                    .text(`Baro ignored: ${altitude.baroReason}`);
+            }
+        }
+
+        const panels = [
+            {
+                key: 'vario',
+                label: 'Vario (m/s)',
+                values: series.vario,
+                format: d => `${d >= 0 ? '+' : ''}${d.toFixed(1)} m/s`,
+                zeroLine: true
+            },
+            {
+                key: 'speed',
+                label: 'Speed (km/h)',
+                values: series.groundSpeed,
+                format: d => `${d.toFixed(0)} km/h`
+            },
+            {
+                key: 'glide',
+                label: 'Glide ratio',
+                values: series.glideRatio,
+                format: d => (d === null ? '-' : `${d.toFixed(1)}:1`)
+            }
+        ];
+
+        // Difference between the two altitude sources, when the baro data is usable
+        if (altitude && altitude.baroValid) {
+            panels.push({
+                key: 'altitude-gap',
+                label: 'Baro - GNSS (m)',
+                values: altitude.gap,
+                format: d => (d === null ? '-' : `${d >= 0 ? '+' : ''}${d.toFixed(0)}m`),
+                zeroLine: true
+            });
+        }
+
+        panels.forEach((panel, index) => {
+            const isLast = index === panels.length - 1;
+            this.renderSeriesPanel(container, panel, {
+                top: 5,
+                right: margin.right,
+                bottom: isLast ? margin.bottom : 5,
+                left: margin.left
+            }, width, isLast);
+        });
+    }
+
+    /**
+     * Render one stacked chart
+     * @param {HTMLElement} container - Container of the stacked charts
+     * @param {object} panel - Panel definition (key, label, values, format, zeroLine)
+     * @param {object} margin - Panel margins
+     * @param {number} width - Plot width shared with the altitude chart
+     * @param {boolean} showTimeAxis - Whether to draw the time axis below this panel
+     */
+    renderSeriesPanel(container, panel, margin, width, showTimeAxis) {
+        const height = 70;
+
+        const root = d3.select(container)
+            .append("svg")
+            .attr("class", `series-chart series-${panel.key}`)
+            .attr("width", width + margin.left + margin.right)
+            .attr("height", height + margin.top + margin.bottom);
+        const svg = root.append("g")
+            .attr("transform", `translate(${margin.left},${margin.top})`);
+
+        svg.append("rect")
+            .attr("class", "chart-background")
+            .attr("width", width)
+            .attr("height", height);
+
+        const defined = panel.values.filter(d => d !== null);
+        const extent = d3.extent(defined.length > 0 ? defined : [0]);
+        const yScale = d3.scaleLinear()
+            .domain([Math.min(0, extent[0]), Math.max(extent[1], 1)])
+            .range([height, 0])
+            .nice();
+
+        svg.append("g")
+            .attr("class", "altitude-axis")
+            .call(d3.axisLeft(yScale).ticks(3))
+            .append("text")
+            .attr("fill", "#000")
+            .attr("transform", "rotate(-90)")
+            .attr("y", -margin.left + 15)
+            .attr("x", -height / 2)
+            .attr("text-anchor", "middle")
+            .text(panel.label);
+
+        if (showTimeAxis) {
+            svg.append("g")
+                .attr("class", "altitude-axis")
+                .attr("transform", `translate(0,${height})`)
+                .call(d3.axisBottom(this.xScale).tickFormat(d => this.formatTime(d)));
+        }
+
+        if (panel.zeroLine) {
+            svg.append("line")
+                .attr("class", "series-zero")
+                .attr("x1", 0)
+                .attr("x2", width)
+                .attr("y1", yScale(0))
+                .attr("y2", yScale(0));
+        }
+
+        const line = d3.line()
+            .defined(d => d !== null)
+            .x((d, i) => this.xScale(this.timeData[i]))
+            .y(d => yScale(d));
+
+        svg.append("path")
+            .datum(panel.values)
+            .attr("class", `series-path series-path-${panel.key}`)
+            .attr("d", line);
+
+        this.addCrosshair(svg, height, panel.values, panel.format);
+
+        this.attachCrosshairEvents(root, svg);
+    }
+
+    /**
+     * Add a crosshair line and value readout to a chart
+     * @param {object} svg - D3 selection of the chart group
+     * @param {number} height - Chart height
+     * @param {Array} values - Value per fix shown in the readout
+     * @param {Function} format - Formats a value for the readout
+     */
+    addCrosshair(svg, height, values, format) {
+        const group = svg.append("g")
+            .attr("class", "crosshair")
+            .style("display", "none");
+
+        const line = group.append("line")
+            .attr("y1", 0)
+            .attr("y2", height);
+        const label = group.append("text")
+            .attr("y", 10)
+            .attr("dx", 4);
+
+        this.crosshairs.push({ group, line, label, values, format });
+    }
+
+    /**
+     * Follow the mouse with the crosshair and select a fix on click
+     * @param {object} root - D3 selection of the chart svg
+     * @param {object} svg - D3 selection of the plot group inside it
+     */
+    attachCrosshairEvents(root, svg) {
+        root.on("mousemove", event => this.moveCrosshair(d3.pointer(event, svg.node())[0]))
+            .on("mouseleave", () => this.hideCrosshair())
+            .on("click", event => {
+                this.selectedIndex = this.indexAtTime(this.xScale.invert(d3.pointer(event, svg.node())[0]));
+                this.showFix(this.selectedIndex);
+                if (this.onFixSelect) {
+                    this.onFixSelect(this.selectedIndex);
+                }
+            });
+    }
+
+    /**
+     * Move the crosshair of every chart to the fix closest to an x position
+     * @param {number} x - Position on the shared time axis
+     */
+    moveCrosshair(x) {
+        if (!this.xScale || this.timeData.length === 0) {
+            return;
+        }
+
+        const index = this.indexAtTime(this.xScale.invert(x));
+        this.showFix(index);
+        if (this.onFixSelect) {
+            this.onFixSelect(index);
+        }
+    }
+
+    /**
+     * Select a fix chosen elsewhere (e.g. on the map) and keep the crosshair on it
+     * @param {number} index - Fix index
+     */
+    selectFix(index) {
+        this.selectedIndex = index;
+        this.showFix(index);
+    }
+
+    /**
+     * Draw the crosshair of every chart at a fix
+     * @param {number} index - Fix index
+     */
+    showFix(index) {
+        if (!this.xScale || index === null || index >= this.timeData.length) {
+            return;
+        }
+
+        const position = this.xScale(this.timeData[index]);
+
+        this.crosshairs.forEach(crosshair => {
+            crosshair.group.style("display", null);
+            crosshair.line.attr("x1", position).attr("x2", position);
+            crosshair.label
+                .attr("x", position)
+                .text(`${this.formatTime(this.timeData[index])} ${crosshair.format(crosshair.values[index])}`);
+        });
+    }
+
+    /**
+     * Hide the crosshair of every chart, returning to the selected fix if there is one
+     */
+    hideCrosshair() {
+        if (this.selectedIndex !== null) {
+            this.showFix(this.selectedIndex);
+            if (this.onFixSelect) {
+                this.onFixSelect(this.selectedIndex);
+            }
+            return;
+        }
+        this.crosshairs.forEach(crosshair => crosshair.group.style("display", "none"));
+    }
+
+    /**
+     * Find the fix closest to a time on the chart
+     * @param {number} time - Seconds since the first fix
+     * @returns {number} - Fix index
+     */
+    indexAtTime(time) {
+        const index = d3.bisectLeft(this.timeData, time);
+        if (index > 0 && (index >= this.timeData.length || time - this.timeData[index - 1] < this.timeData[index] - time)) {
+            return index - 1;
+        }
+        return Math.min(index, this.timeData.length - 1);
+    }
+
+    /**
+     * Draw the takeoff and landing handles and shade the log outside the airborne range
+     * @param {object} svg - D3 selection of the chart group
+     * @param {object} airborne - Takeoff and landing indices
+     * @param {number[]} timeData - Seconds since the first fix for every fix
+     * @param {Function} xScale - Time scale
+     * @param {number} height - Chart height
+     */
+    renderAirborneHandles(svg, airborne, timeData, xScale, height) {
+        const positions = {
+            takeoff: xScale(timeData[airborne.takeoffIndex]),
+            landing: xScale(timeData[airborne.landingIndex])
+        };
+        const [minX, maxX] = xScale.range();
+
+        const group = svg.append("g").attr("class", "airborne-handles");
+
+        const before = group.append("rect")
+            .attr("class", "airborne-shade")
+            .attr("y", 0)
+            .attr("height", height);
+        const after = group.append("rect")
+            .attr("class", "airborne-shade")
+            .attr("y", 0)
+            .attr("height", height);
+
+        const updateShading = () => {
+            before.attr("x", minX).attr("width", Math.max(0, positions.takeoff - minX));
+            after.attr("x", positions.landing).attr("width", Math.max(0, maxX - positions.landing));
+        };
+        updateShading();
+
+        // Find the fix closest to a chart x position
+        const indexAt = x => this.indexAtTime(xScale.invert(x));
+
+        ['takeoff', 'landing'].forEach(kind => {
+            const handle = group.append("g")
+                .attr("class", `airborne-handle airborne-handle-${kind}`)
+                .attr("transform", `translate(${positions[kind]},0)`);
+
+            handle.append("line")
+                .attr("y1", 0)
+                .attr("y2", height);
+            handle.append("rect")
+                .attr("x", -5)
+                .attr("y", -6)
+                .attr("width", 10)
+                .attr("height", 12);
+            handle.append("title")
+                .text(`${kind === 'takeoff' ? 'Takeoff' : 'Landing'} - drag to adjust`);
+
+            handle.call(d3.drag()
+                .on("drag", event => {
+                    // Keep takeoff before landing
+                    const low = kind === 'takeoff' ? minX : positions.takeoff;
+                    const high = kind === 'takeoff' ? positions.landing : maxX;
+                    positions[kind] = Math.max(low, Math.min(high, event.x));
+                    handle.attr("transform", `translate(${positions[kind]},0)`);
+                    updateShading();
+                })
+                .on("end", () => {
+                    if (this.onAirborneRangeChange) {
+                        this.onAirborneRangeChange(indexAt(positions.takeoff), indexAt(positions.landing));
+                    }
+                }));
+        });
     }
 
     /**
-     * Format seconds into HH:MM
-     * @param {number} seconds - Time in seconds
-     * @returns {string} - Formatted time
+     * Format a position on the time axis as a time of day
+     * @param {number} seconds - Seconds since the first fix
+     * @returns {string} - HH:MM in UTC or local time
      */
     formatTime(seconds) {
-        const hours = Math.floor(seconds / 3600);
-        const minutes = Math.floor((seconds % 3600) / 60);
-        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+        return this.timeFormatter.format(this.timeOrigin + seconds, false);
     }
 }
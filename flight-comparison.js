@@ -0,0 +1,64 @@
+/**
+ * Flight Comparison
+ * Compares several flights of the same task day against a shared task
+ */
+class FlightComparison {
+    /**
+     * Create a flight comparison
+     * @param {TaskScorer} taskScorer - Scorer used to tag each flight's turnpoints
+     */
+    constructor(taskScorer) {
+        this.taskScorer = taskScorer;
+    }
+
+    /**
+     * Compare flights: per-pilot stats and time gaps at each turnpoint of the shared task
+     * @param {object[]} flights - Flights as {flightData, name, color}, the first being the reference
+     * @returns {object} - {pilots, turnpoints} where turnpoints hold a time and gap per pilot
+     */
+    compare(flights) {
+        // Flights of one task day share a task; use the first one declared
+        const withTask = flights.find(flight => flight.flightData.task);
+        const task = withTask ? withTask.flightData.task : null;
+
+        const pilots = flights.map(flight => ({
+            name: flight.name,
+            color: flight.color,
+            stats: flight.flightData.stats,
+            taskResult: task ? this.taskScorer.score(Object.assign({}, flight.flightData, { task })) : null
+        }));
+
+        const scored = pilots.find(pilot => pilot.taskResult);
+        if (!scored) {
+            return { pilots, turnpoints: [] };
+        }
+
+        const turnpoints = scored.taskResult.turnpoints.map((tp, index) => {
+            const tags = pilots.map(pilot => {
+                const result = pilot.taskResult && pilot.taskResult.turnpoints[index];
+                return result && result.reached ? result.tag : null;
+            });
+
+            // Gaps are measured to the first pilot at the turnpoint
+            const reached = tags.filter(tag => tag !== null);
+            const leader = reached.length > 0 ? Math.min(...reached.map(tag => tag.timestamp)) : null;
+
+            return {
+                name: tp.name,
+                type: tp.type,
+                times: tags.map(tag => tag ? {
+                    time: tag.time,
+                    timestamp: tag.timestamp,
+                    gap: this.taskScorer.elapsed(leader, tag.timestamp)
+                } : null)
+            };
+        });
+
+        return { pilots, turnpoints };
+    }
+}
+
+// Node/CommonJS export; in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FlightComparison };
+}
@@ -13,10 +13,73 @@ class FlightDisplay {
         this.infoElementId = infoElementId;
         this.map = null;
         this.flightPath = null;
+        this.taskLayer = null;
+        this.taskResultLayer = null;
+        this.scoreLayer = null;
+        this.phaseLayer = null;
+        this.windLayer = null;
+        this.flightData = null;
+        this.gliderMarker = null;
+        this.replayTail = null;
+        this.comparisonLayer = null;
+        this.comparisonMarkers = [];
+        this.comparisonFlights = [];
+        this.airspaceLayer = null;
+        this.infringementLayer = null;
+        this.eventLayer = null;
+        this.fixInfoControl = null;
         this.markers = {
             start: null,
             end: null
         };
+
+        // Called with (fixIndex) when the user clicks near the flight path
+        this.onFixSelect = null;
+
+        // Formats times in UTC or local time, shared with the other displays
+        this.timeFormatter = new TimeFormatter();
+
+        // Maximum distance in pixels between a click and the flight path
+        this.CLICK_TOLERANCE = 15;
+
+        // Length of the replay tail in seconds of flight time
+        this.TAIL_DURATION = 120;
+
+        // Airspace colours by OpenAir class
+        this.AIRSPACE_COLORS = {
+            A: '#D32F2F',
+            B: '#D32F2F',
+            C: '#1976D2',
+            D: '#1976D2',
+            E: '#388E3C',
+            CTR: '#7B1FA2',
+            R: '#E64A19',
+            P: '#B71C1C',
+            Q: '#F57C00',
+            GP: '#616161'
+        };
+
+        // Colours of comparison flights, in loading order
+        this.FLIGHT_COLORS = ['#009688', '#FF5722', '#3F51B5', '#8BC34A', '#00BCD4', '#FFC107', '#9C27B0', '#795548'];
+
+        // Phase colours shared with the altitude chart
+        this.PHASE_COLORS = {
+            ground: '#9E9E9E',
+            vehicle: '#795548',
+            'thermal-left': '#F44336',
+            'thermal-right': '#FF9800',
+            glide: '#2196F3',
+            landed: '#607D8B'
+        };
+        this.PHASE_NAMES = {
+            ground: 'Ground',
+            vehicle: 'Vehicle',
+            'thermal-left': 'Thermal (left)',
+            'thermal-right': 'Thermal (right)',
+            glide: 'Glide',
+            landed: 'Landed'
+        };
+
         this.initMap();
     }
 
@@ -31,6 +94,23 @@ class FlightDisplay {
         L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
             attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
         }).addTo(this.map);
+
+        // Info box for the selected fix
+        this.fixInfoControl = L.control({ position: 'topright' });
+        this.fixInfoControl.onAdd = () => {
+            const container = L.DomUtil.create('div', 'fix-info-box d-none');
+            L.DomEvent.disableClickPropagation(container);
+            return container;
+        };
+        this.fixInfoControl.addTo(this.map);
+
+        // Select the fix closest to a click on the flight path
+        this.map.on('click', event => {
+            const index = this.findNearestFix(event.latlng);
+            if (index !== null && this.onFixSelect) {
+                this.onFixSelect(index);
+            }
+        });
     }
 
     /**
@@ -44,6 +124,7 @@ class FlightDisplay {
 
         // Clear previous flight display
         this.clearFlight();
+        this.flightData = flightData;
         
         // Get coordinates for flight path
         const coordinates = flightData.fixes.map(fix => [fix.latitude, fix.longitude]);
@@ -55,9 +136,10 @@ class FlightDisplay {
             opacity: 0.8
         }).addTo(this.map);
         
-        // Add takeoff and landing markers
-        const startPoint = coordinates[0];
-        const endPoint = coordinates[coordinates.length - 1];
+        // Add takeoff and landing markers at the detected airborne range
+        const airborne = flightData.airborne || { takeoffIndex: 0, landingIndex: coordinates.length - 1 };
+        const startPoint = coordinates[airborne.takeoffIndex];
+        const endPoint = coordinates[airborne.landingIndex];
         
         this.markers.start = L.marker(startPoint, {
             title: 'Takeoff',
@@ -79,6 +161,12 @@ class FlightDisplay {
             })
         }).addTo(this.map);
         
+        // Show the declared task, if any
+        this.displayTask(flightData.task);
+
+        // Mark the logged events
+        this.displayEvents(flightData);
+        
         // Fit the map to show the entire flight path
         this.map.fitBounds(this.flightPath.getBounds(), {
             padding: [30, 30]
@@ -88,6 +176,22 @@ class FlightDisplay {
         this.displayFlightInfo(flightData);
     }
 
+    /**
+     * Move the takeoff and landing markers after the airborne range changes
+     * @param {object} flightData - Parsed flight data with an airborne range
+     */
+    updateTakeoffLanding(flightData) {
+        const takeoff = flightData.fixes[flightData.airborne.takeoffIndex];
+        const landing = flightData.fixes[flightData.airborne.landingIndex];
+
+        if (this.markers.start) {
+            this.markers.start.setLatLng([takeoff.latitude, takeoff.longitude]);
+        }
+        if (this.markers.end) {
+            this.markers.end.setLatLng([landing.latitude, landing.longitude]);
+        }
+    }
+
     /**
      * Clear the flight path and markers from the map
      */
@@ -106,6 +210,475 @@ class FlightDisplay {
             this.map.removeLayer(this.markers.end);
             this.markers.end = null;
         }
+
+        if (this.taskLayer) {
+            this.map.removeLayer(this.taskLayer);
+            this.taskLayer = null;
+        }
+
+        this.clearTaskResult();
+
+        if (this.scoreLayer) {
+            this.map.removeLayer(this.scoreLayer);
+            this.scoreLayer = null;
+        }
+
+        if (this.phaseLayer) {
+            this.map.removeLayer(this.phaseLayer);
+            this.phaseLayer = null;
+        }
+
+        if (this.windLayer) {
+            this.map.removeLayer(this.windLayer);
+            this.windLayer = null;
+        }
+
+        if (this.gliderMarker) {
+            this.map.removeLayer(this.gliderMarker);
+            this.gliderMarker = null;
+        }
+
+        this.clearReplayTail();
+        this.clearComparisonFlights();
+
+        if (this.infringementLayer) {
+            this.map.removeLayer(this.infringementLayer);
+            this.infringementLayer = null;
+        }
+
+        if (this.eventLayer) {
+            this.map.removeLayer(this.eventLayer);
+            this.eventLayer = null;
+        }
+
+        this.fixInfoControl.getContainer().classList.add('d-none');
+        this.flightData = null;
+    }
+
+    /**
+     * Find the fix closest to a map position, within the click tolerance
+     * @param {object} latlng - Leaflet LatLng
+     * @returns {number|null} - Fix index or null if the click is too far from the flight path
+     */
+    findNearestFix(latlng) {
+        if (!this.flightData) {
+            return null;
+        }
+
+        const target = this.map.latLngToLayerPoint(latlng);
+        let bestIndex = null;
+        let bestDistance = this.CLICK_TOLERANCE;
+
+        this.flightData.fixes.forEach((fix, index) => {
+            const point = this.map.latLngToLayerPoint([fix.latitude, fix.longitude]);
+            const distance = point.distanceTo(target);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = index;
+            }
+        });
+
+        return bestIndex;
+    }
+
+    /**
+     * Move the glider marker to a fix and show its details in the info box
+     * @param {number} index - Fix index
+     */
+    showFix(index) {
+        if (!this.flightData || !this.flightData.fixes[index]) {
+            return;
+        }
+
+        const fix = this.flightData.fixes[index];
+        const latlng = [fix.latitude, fix.longitude];
+
+        if (!this.gliderMarker) {
+            this.gliderMarker = L.marker(latlng, {
+                interactive: false,
+                zIndexOffset: 1000,
+                icon: L.divIcon({
+                    className: 'glider-marker',
+                    html: '<div class="glider-icon">&#x2708;</div>',
+                    iconSize: [24, 24],
+                    iconAnchor: [12, 12]
+                })
+            }).addTo(this.map);
+        } else {
+            this.gliderMarker.setLatLng(latlng);
+        }
+
+        const container = this.fixInfoControl.getContainer();
+        container.innerHTML = this.formatFixInfo(this.flightData, index);
+        container.classList.remove('d-none');
+    }
+
+    /**
+     * Display other flights of the same day next to the current flight
+     * @param {object[]} flights - Comparison flights as {flightData, name, color}
+     */
+    displayComparisonFlights(flights) {
+        this.clearComparisonFlights();
+        this.comparisonFlights = flights;
+        if (flights.length === 0) {
+            return;
+        }
+
+        this.comparisonLayer = L.layerGroup();
+        flights.forEach(flight => {
+            L.polyline(flight.flightData.fixes.map(fix => [fix.latitude, fix.longitude]), {
+                color: flight.color,
+                weight: 2,
+                opacity: 0.8
+            })
+                .bindTooltip(flight.name)
+                .addTo(this.comparisonLayer);
+        });
+        this.comparisonLayer.addTo(this.map);
+
+        // Show every flight
+        const bounds = this.flightPath ? this.flightPath.getBounds() : L.latLngBounds([]);
+        this.comparisonLayer.eachLayer(layer => bounds.extend(layer.getBounds()));
+        this.map.fitBounds(bounds, {
+            padding: [30, 30]
+        });
+    }
+
+    /**
+     * Move the glider marker of every comparison flight
+     * @param {number[]} indices - Fix index per comparison flight
+     */
+    showComparisonFixes(indices) {
+        this.comparisonFlights.forEach((flight, i) => {
+            const fix = flight.flightData.fixes[indices[i]];
+            if (!fix) {
+                return;
+            }
+
+            const latlng = [fix.latitude, fix.longitude];
+            if (!this.comparisonMarkers[i]) {
+                this.comparisonMarkers[i] = L.marker(latlng, {
+                    interactive: false,
+                    zIndexOffset: 900,
+                    icon: L.divIcon({
+                        className: 'glider-marker',
+                        html: `<div class="glider-icon" style="color:${flight.color}">&#x2708;</div>`,
+                        iconSize: [24, 24],
+                        iconAnchor: [12, 12]
+                    })
+                })
+                    .bindTooltip(flight.name, { permanent: true, direction: 'right', className: 'glider-label' })
+                    .addTo(this.map);
+            } else {
+                this.comparisonMarkers[i].setLatLng(latlng);
+            }
+        });
+    }
+
+    /**
+     * Remove the comparison flights and their glider markers from the map
+     */
+    clearComparisonFlights() {
+        if (this.comparisonLayer) {
+            this.map.removeLayer(this.comparisonLayer);
+            this.comparisonLayer = null;
+        }
+
+        this.comparisonMarkers.forEach(marker => {
+            if (marker) {
+                this.map.removeLayer(marker);
+            }
+        });
+        this.comparisonMarkers = [];
+        this.comparisonFlights = [];
+    }
+
+    /**
+     * Display airspaces on the map; they stay loaded across flights
+     * @param {object[]} airspaces - Airspaces from OpenAirParser.parse
+     */
+    displayAirspaces(airspaces) {
+        if (this.airspaceLayer) {
+            this.map.removeLayer(this.airspaceLayer);
+            this.airspaceLayer = null;
+        }
+
+        if (!airspaces || airspaces.length === 0) {
+            return;
+        }
+
+        this.airspaceLayer = L.layerGroup();
+        airspaces.forEach(airspace => {
+            const color = this.AIRSPACE_COLORS[airspace.class] || '#5D4037';
+            L.polygon(airspace.polygon, {
+                color,
+                weight: 1,
+                fillOpacity: 0.1
+            })
+                .bindTooltip(`${airspace.name} (${airspace.class})<br>${airspace.floor.text} - ${airspace.ceiling.text}`)
+                .addTo(this.airspaceLayer);
+        });
+
+        this.airspaceLayer.addTo(this.map);
+
+        // Keep the flight above the airspace polygons
+        if (this.flightPath) {
+            this.flightPath.bringToFront();
+        }
+    }
+
+    /**
+     * Mark airspace infringements on the flight path
+     * @param {object} flightData - Parsed flight data
+     * @param {object[]} infringements - Infringements from AirspaceChecker.check
+     */
+    displayInfringements(flightData, infringements) {
+        if (this.infringementLayer) {
+            this.map.removeLayer(this.infringementLayer);
+            this.infringementLayer = null;
+        }
+
+        if (!infringements || infringements.length === 0) {
+            return;
+        }
+
+        this.infringementLayer = L.layerGroup();
+        infringements.forEach(infringement => {
+            const coordinates = flightData.fixes
+                .slice(infringement.startIndex, infringement.endIndex + 1)
+                .map(fix => [fix.latitude, fix.longitude]);
+
+            // A single-fix infringement is drawn as a point
+            const layer = coordinates.length > 1 ?
+                L.polyline(coordinates, { color: '#D50000', weight: 6, opacity: 0.9 }) :
+                L.circleMarker(coordinates[0], { color: '#D50000', radius: 6, fillOpacity: 0.9 });
+
+            layer
+                .bindTooltip(`${infringement.airspace.name}: ${this.timeFormatter.format(infringement.entryTimestamp)}-${this.timeFormatter.format(infringement.exitTimestamp)}`)
+                .addTo(this.infringementLayer);
+        });
+
+        this.infringementLayer.addTo(this.map);
+    }
+
+    /**
+     * Mark the E record events of a flight at the fixes they were logged at
+     * @param {object} flightData - Parsed flight data with events
+     */
+    displayEvents(flightData) {
+        if (this.eventLayer) {
+            this.map.removeLayer(this.eventLayer);
+            this.eventLayer = null;
+        }
+
+        const events = (flightData.events || []).filter(event => event.fixIndex !== null);
+        if (events.length === 0) {
+            return;
+        }
+
+        this.eventLayer = L.layerGroup();
+        events.forEach(event => {
+            const fix = flightData.fixes[event.fixIndex];
+            L.circleMarker([fix.latitude, fix.longitude], {
+                radius: 5,
+                color: '#FF9800',
+                fillColor: '#fff',
+                fillOpacity: 1,
+                weight: 2,
+                // Select the event's own fix rather than the one nearest the click
+                bubblingMouseEvents: false
+            })
+                .bindTooltip(`${this.timeFormatter.format(event.timestamp)} ${event.code}${event.text ? ': ' + event.text : ''}`)
+                .on('click', () => {
+                    if (this.onFixSelect) {
+                        this.onFixSelect(event.fixIndex);
+                    }
+                })
+                .addTo(this.eventLayer);
+        });
+
+        this.eventLayer.addTo(this.map);
+    }
+
+    /**
+     * Format the details of a fix for the info box
+     * @param {object} flightData - Parsed flight data
+     * @param {number} index - Fix index
+     * @returns {string} - HTML with time, altitude, vario and speed
+     */
+    formatFixInfo(flightData, index) {
+        const fix = flightData.fixes[index];
+        const series = flightData.series;
+        const vario = series ? series.vario[index] : 0;
+        const speed = series ? series.groundSpeed[index] : 0;
+
+        return `
+            <strong>Time:</strong> ${this.timeFormatter.format(fix.timestamp)}<br>
+            <strong>Altitude:</strong> ${fix.altitude}m<br>
+            <strong>Vario:</strong> ${vario >= 0 ? '+' : ''}${vario.toFixed(1)} m/s<br>
+            <strong>Speed:</strong> ${speed.toFixed(0)} km/h
+        `;
+    }
+
+    /**
+     * Draw the replay tail behind a fix, each segment coloured by vario
+     * @param {number} index - Fix index at the head of the tail
+     */
+    showReplayTail(index) {
+        this.clearReplayTail();
+        if (!this.flightData) {
+            return;
+        }
+
+        const fixes = this.flightData.fixes;
+        const vario = this.flightData.series ? this.flightData.series.vario : null;
+        this.replayTail = L.layerGroup();
+
+        for (let i = index; i > 0; i--) {
+            const age = fixes[index].timestamp - fixes[i - 1].timestamp;
+            if (age > this.TAIL_DURATION) {
+                break;
+            }
+
+            L.polyline([[fixes[i - 1].latitude, fixes[i - 1].longitude], [fixes[i].latitude, fixes[i].longitude]], {
+                color: this.varioColor(vario ? vario[i] : 0),
+                weight: 5,
+                opacity: 1,
+                interactive: false
+            }).addTo(this.replayTail);
+        }
+
+        this.replayTail.addTo(this.map);
+    }
+
+    /**
+     * Remove the replay tail from the map
+     */
+    clearReplayTail() {
+        if (this.replayTail) {
+            this.map.removeLayer(this.replayTail);
+            this.replayTail = null;
+        }
+    }
+
+    /**
+     * Keep a fix in view by panning the map to it
+     * @param {number} index - Fix index
+     */
+    panToFix(index) {
+        if (!this.flightData || !this.flightData.fixes[index]) {
+            return;
+        }
+        const fix = this.flightData.fixes[index];
+        this.map.panTo([fix.latitude, fix.longitude], { animate: false });
+    }
+
+    /**
+     * Colour for a vertical speed, from blue (sink) through green to red (climb)
+     * @param {number} vario - Vertical speed in m/s
+     * @returns {string} - CSS colour
+     */
+    varioColor(vario) {
+        const clamped = Math.max(-5, Math.min(5, vario));
+        return `hsl(${120 - clamped * 24}, 90%, 45%)`;
+    }
+
+    /**
+     * Display task scoring results: tagged points and the optimized route
+     * @param {object|null} result - Task result from TaskScorer.score
+     */
+    displayTaskResult(result) {
+        this.clearTaskResult();
+        if (!result) {
+            return;
+        }
+
+        this.taskResultLayer = L.layerGroup();
+
+        // Optimized route through the cylinders
+        L.polyline(result.optimizedPoints.map(point => [point.latitude, point.longitude]), {
+            color: '#673AB7',
+            weight: 2,
+            opacity: 0.9
+        })
+            .bindTooltip(`Optimized task distance: ${result.optimizedDistance.toFixed(2)} km`)
+            .addTo(this.taskResultLayer);
+
+        // Points where each cylinder was tagged
+        result.turnpoints.filter(tp => tp.reached).forEach(tp => {
+            L.marker([tp.tag.latitude, tp.tag.longitude], {
+                title: tp.name,
+                icon: L.divIcon({
+                    className: 'task-tag-marker',
+                    html: '<div style="background-color:#673AB7; width:10px; height:10px; transform:rotate(45deg); border:2px solid white;"></div>',
+                    iconSize: [14, 14],
+                    iconAnchor: [7, 7]
+                })
+            })
+                .bindPopup(`
+                    <strong>${tp.name}</strong><br>
+                    ${tp.type === 'start' ? 'Start' : 'Tagged'}: ${this.timeFormatter.format(tp.tag.timestamp)}
+                `)
+                .addTo(this.taskResultLayer);
+        });
+
+        this.taskResultLayer.addTo(this.map);
+    }
+
+    /**
+     * Clear task scoring results from the map
+     */
+    clearTaskResult() {
+        if (this.taskResultLayer) {
+            this.map.removeLayer(this.taskResultLayer);
+            this.taskResultLayer = null;
+        }
+    }
+
+    /**
+     * Display the declared task as cylinders joined by a line
+     * @param {object|null} task - Declared task from IGCParser.parseTask
+     */
+    displayTask(task) {
+        if (!task) {
+            return;
+        }
+
+        // Takeoff and landing are not part of the course
+        const course = task.turnpoints.filter(tp => tp.type !== 'takeoff' && tp.type !== 'landing');
+        if (course.length === 0) {
+            return;
+        }
+
+        const colors = {
+            start: '#4CAF50',
+            turnpoint: '#9C27B0',
+            finish: '#F44336'
+        };
+
+        this.taskLayer = L.layerGroup();
+
+        course.forEach(tp => {
+            L.circle([tp.latitude, tp.longitude], {
+                radius: tp.radius,
+                color: colors[tp.type],
+                weight: 2,
+                fillOpacity: 0.1
+            })
+                .bindTooltip(`${tp.name} (${tp.type}, ${tp.radius}m)`)
+                .addTo(this.taskLayer);
+        });
+
+        if (course.length > 1) {
+            L.polyline(course.map(tp => [tp.latitude, tp.longitude]), {
+                color: '#9C27B0',
+                weight: 2,
+                opacity: 0.8,
+                dashArray: '4, 6'
+            }).addTo(this.taskLayer);
+        }
+
+        this.taskLayer.addTo(this.map);
     }
 
     /**
@@ -138,6 +711,11 @@ class FlightDisplay {
                         <td><strong>Date:</strong></td>
                         <td>${header.date || 'Unknown'}</td>
                     </tr>
+                    ${stats.startTimestamp !== null ? `
+                    <tr>
+                        <td><strong>Time:</strong></td>
+                        <td>${this.timeFormatter.format(stats.startTimestamp)} - ${this.timeFormatter.format(stats.endTimestamp)} <small class="text-muted">(${this.timeFormatter.zoneLabel()})</small></td>
+                    </tr>` : ''}
                     <tr>
                         <td><strong>Pilot:</strong></td>
                         <td>${header.pilot}</td>
@@ -164,19 +742,368 @@ class FlightDisplay {
                     </tr>
                     <tr>
                         <td><strong>Max Climb:</strong></td>
-                        <td>${stats.maxClimb.toFixed(1)} m/min</td>
+                        <td>${stats.maxClimb.toFixed(1)} m/s</td>
                     </tr>
                     <tr>
                         <td><strong>Max Sink:</strong></td>
-                        <td>${stats.maxSink.toFixed(1)} m/min</td>
+                        <td>${stats.maxSink.toFixed(1)} m/s</td>
+                    </tr>
+                    ${stats.averageAccuracy !== null ? `
+                    <tr>
+                        <td><strong>GPS Accuracy:</strong></td>
+                        <td>&plusmn;${stats.averageAccuracy.toFixed(1)} m <small class="text-muted">(avg)</small></td>
+                    </tr>` : ''}
+                    ${stats.minHeightAboveGround !== null ? `
+                    <tr>
+                        <td><strong>Height AGL:</strong></td>
+                        <td>${stats.minHeightAboveGround.toFixed(0)}m - ${stats.maxHeightAboveGround.toFixed(0)}m <small class="text-muted">(min - max)</small></td>
+                    </tr>` : ''}
+                    <tr>
+                        <td><strong>Signature:</strong></td>
+                        <td class="signature-status">${this.formatSignature(flightData.signature)}</td>
                     </tr>
                 </tbody>
             </table>
+            ${flightData.cleaning ? this.formatCleaningReport(flightData.cleaning) : ''}
+            ${flightData.loggerInfo ? this.formatLoggerInfo(flightData.loggerInfo) : ''}
         `;
         
         infoElement.innerHTML = html;
     }
 
+    /**
+     * Display the optimized XContest score: best legs on the map and the breakdown in the info panel
+     * @param {object|null} result - Result from ScoreOptimizer.optimize
+     */
+    displayScore(result) {
+        if (this.scoreLayer) {
+            this.map.removeLayer(this.scoreLayer);
+            this.scoreLayer = null;
+        }
+
+        if (!result || !result.best) {
+            return;
+        }
+
+        const best = result.best;
+        this.scoreLayer = L.layerGroup();
+
+        // Legs of the best scoring route, triangles are drawn closed
+        const route = best.points.map(point => [point.latitude, point.longitude]);
+        if (best.type !== 'free') {
+            route.push(route[0]);
+        }
+        L.polyline(route, {
+            color: '#E91E63',
+            weight: 3,
+            opacity: 0.9
+        })
+            .bindTooltip(`${best.name}: ${best.score.toFixed(2)} pts`)
+            .addTo(this.scoreLayer);
+
+        best.points.forEach((point, index) => {
+            let label = `TP${best.type === 'free' ? index : index + 1}`;
+            if (best.type === 'free' && index === 0) {
+                label = 'Start';
+            } else if (best.type === 'free' && index === best.points.length - 1) {
+                label = 'Finish';
+            }
+
+            L.circleMarker([point.latitude, point.longitude], {
+                radius: 5,
+                color: '#E91E63',
+                fillColor: '#fff',
+                fillOpacity: 1,
+                weight: 2
+            })
+                .bindTooltip(`${label} ${this.timeFormatter.format(point.timestamp)}`)
+                .addTo(this.scoreLayer);
+        });
+
+        // Closing gap of a triangle
+        if (best.closing) {
+            L.polyline(best.closing.map(point => [point.latitude, point.longitude]), {
+                color: '#E91E63',
+                weight: 2,
+                dashArray: '2, 4'
+            })
+                .bindTooltip(`Closing: ${best.closingDistance.toFixed(2)} km`)
+                .addTo(this.scoreLayer);
+        }
+
+        this.scoreLayer.addTo(this.map);
+
+        // Score breakdown in the flight info panel
+        const rows = [result.free, result.flatTriangle, result.faiTriangle]
+            .filter(entry => entry !== null)
+            .map(entry => `
+                    <tr${entry === best ? ' class="fw-bold"' : ''}>
+                        <td>${entry.name}</td>
+                        <td>${entry.distance.toFixed(2)} km</td>
+                        <td>&times;${entry.multiplier.toFixed(1)}</td>
+                        <td>${entry.score.toFixed(2)}</td>
+                    </tr>`)
+            .join('');
+
+        this.setInfoSection('flight-score', `
+            <h6 class="mt-3">XContest Score</h6>
+            <table class="table table-sm">
+                <thead>
+                    <tr><th>Type</th><th>Distance</th><th>Mult.</th><th>Points</th></tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+        `);
+    }
+
+    /**
+     * Colour the flight path by phase and show time spent per phase in the info panel
+     * @param {object} flightData - Parsed flight data
+     * @param {object|null} result - Result from FlightPhaseAnalyzer.analyze
+     */
+    displayPhases(flightData, result) {
+        if (this.phaseLayer) {
+            this.map.removeLayer(this.phaseLayer);
+            this.phaseLayer = null;
+        }
+
+        if (!result) {
+            return;
+        }
+
+        const fixes = flightData.fixes;
+        this.phaseLayer = L.layerGroup();
+
+        result.phases.forEach(phase => {
+            // Include the next fix so consecutive phases join up
+            const end = Math.min(phase.endIndex + 1, fixes.length - 1);
+            const coordinates = fixes.slice(phase.startIndex, end + 1).map(fix => [fix.latitude, fix.longitude]);
+            L.polyline(coordinates, {
+                color: this.PHASE_COLORS[phase.type],
+                weight: 3,
+                opacity: 0.9
+            })
+                .bindTooltip(`${this.PHASE_NAMES[phase.type]} ${this.timeFormatter.format(phase.startTimestamp)}-${this.timeFormatter.format(phase.endTimestamp)}`)
+                .addTo(this.phaseLayer);
+        });
+
+        this.phaseLayer.addTo(this.map);
+
+        // Phase summary in the flight info panel
+        const summary = result.summary;
+        const rows = Object.keys(summary.timeByType)
+            .filter(type => summary.timeByType[type] > 0)
+            .map(type => `
+                    <tr>
+                        <td><span class="phase-swatch" style="background-color:${this.PHASE_COLORS[type]}"></span>${this.PHASE_NAMES[type]}</td>
+                        <td>${this.formatDuration(summary.timeByType[type])}</td>
+                    </tr>`)
+            .join('');
+
+        this.setInfoSection('flight-phases', `
+            <h6 class="mt-3">Flight Phases</h6>
+            <table class="table table-sm">
+                <tbody>${rows}
+                    <tr>
+                        <td><strong>Thermals:</strong></td>
+                        <td>${summary.thermalCount} <small class="text-muted">(avg ${summary.averageClimbRate.toFixed(1)} m/s)</small></td>
+                    </tr>
+                    <tr>
+                        <td><strong>Glide Ratio:</strong></td>
+                        <td>${summary.averageGlideRatio !== null ? summary.averageGlideRatio.toFixed(1) + ':1' : '-'} <small class="text-muted">(between thermals)</small></td>
+                    </tr>
+                </tbody>
+            </table>
+        `);
+    }
+
+    /**
+     * Display wind arrows along the track
+     * @param {object[]} estimates - Wind estimates from WindEstimator.estimate
+     */
+    displayWind(estimates) {
+        if (this.windLayer) {
+            this.map.removeLayer(this.windLayer);
+            this.windLayer = null;
+        }
+
+        if (!estimates || estimates.length === 0) {
+            return;
+        }
+
+        this.windLayer = L.layerGroup();
+
+        estimates.forEach(estimate => {
+            // Arrow points where the wind blows to
+            L.marker([estimate.latitude, estimate.longitude], {
+                icon: L.divIcon({
+                    className: 'wind-marker',
+                    html: `<div class="wind-arrow" style="transform:rotate(${(estimate.direction + 180).toFixed(0)}deg)">&#x2191;</div>
+                           <span class="wind-label">${estimate.speed.toFixed(0)}</span>`,
+                    iconSize: [24, 24],
+                    iconAnchor: [12, 12]
+                })
+            })
+                .bindPopup(`
+                    <strong>Wind at ${this.timeFormatter.format(estimate.timestamp)}</strong><br>
+                    ${estimate.speed.toFixed(1)} km/h from ${estimate.direction.toFixed(0)}&deg;<br>
+                    Altitude: ${estimate.altitude.toFixed(0)}m<br>
+                    Circles: ${estimate.circles}
+                `)
+                .addTo(this.windLayer);
+        });
+
+        this.windLayer.addTo(this.map);
+    }
+
+    /**
+     * Show the G record verification result in the flight information
+     * @param {object|null} result - Result from GRecordVerifier.verify, null while checking
+     */
+    displaySignature(result) {
+        const infoElement = document.getElementById(this.infoElementId);
+        const cell = infoElement ? infoElement.querySelector('.signature-status') : null;
+        if (cell) {
+            cell.innerHTML = this.formatSignature(result);
+        }
+    }
+
+    /**
+     * Format a G record verification result
+     * @param {object|null} result - Result from GRecordVerifier.verify, null while checking
+     * @returns {string} - HTML status with the reason
+     */
+    formatSignature(result) {
+        if (!result) {
+            return '<span class="text-muted">checking...</span>';
+        }
+
+        const classes = { valid: 'text-success', invalid: 'text-danger', unverifiable: 'text-warning' };
+        return `<span class="signature-${result.status} ${classes[result.status]}">${result.status}</span>
+                        <br><small class="text-muted">${result.reason}</small>`;
+    }
+
+    /**
+     * Format the fix cleaning report
+     * @param {object} report - Report from IGCParser.cleanFixes
+     * @returns {string} - HTML summary with the individual changes in a collapsible list
+     */
+    formatCleaningReport(report) {
+        const removed = report.voidRemoved + report.accuracyRemoved + report.duplicatesRemoved + report.glitchesRemoved;
+        if (report.changes.length === 0) {
+            return `<p class="small text-muted">Data cleaning: ${report.originalCount} fixes, no changes</p>`;
+        }
+
+        // Long lists are cut short; the counts above them stay complete
+        const limit = 200;
+        const items = report.changes.slice(0, limit)
+            .map(change => `<li>${change.time} ${change.type}: ${change.reason}</li>`)
+            .join('');
+        const more = report.changes.length > limit ? `<li>... ${report.changes.length - limit} more</li>` : '';
+
+        return `
+            <details class="cleaning-report small">
+                <summary>Data cleaning: ${removed} removed, ${report.interpolated} interpolated
+                    <span class="text-muted">(${report.originalCount} &rarr; ${report.finalCount} fixes)</span></summary>
+                <p class="text-muted mb-1">
+                    Void: ${report.voidRemoved}, poor accuracy: ${report.accuracyRemoved},
+                    duplicates: ${report.duplicatesRemoved}, glitches: ${report.glitchesRemoved}
+                </p>
+                <ul>${items}${more}</ul>
+            </details>
+        `;
+    }
+
+    /**
+     * Format the logger details decoded from the XCTrack L records
+     * @param {object} info - Logger details from IGCParser.parseLoggerInfo
+     * @returns {string} - HTML details with the activity stream in a collapsible section
+     */
+    formatLoggerInfo(info) {
+        const capabilities = Object.keys(info.capabilities)
+            .map(name => `${name}: ${info.capabilities[name]}`)
+            .join(', ');
+        const rows = [
+            ['Application', info.appVersion ? `${info.application} ${info.appVersion}` : info.application],
+            ['Device', info.model],
+            ['System', info.osVersion],
+            ['Timezone', info.timezone],
+            ['Sensors', info.sensors.join('; ')],
+            ['Earth model', info.earthModel],
+            ['Capabilities', capabilities],
+            ['FAI/CIVL compliant', info.faiCivlCompliant === null ? null : (info.faiCivlCompliant ? 'yes' : 'no')]
+        ]
+            .filter(row => row[1])
+            .map(row => `
+                    <tr>
+                        <td><strong>${row[0]}:</strong></td>
+                        <td>${row[1]}</td>
+                    </tr>`)
+            .join('');
+
+        // Consecutive reports of the same activity are shown as one period
+        const periods = [];
+        info.activity.forEach(report => {
+            const last = periods[periods.length - 1];
+            const time = report.time ? this.timeFormatter.format(report.timestamp) : null;
+            if (last && last.activity === report.activity) {
+                last.to = time;
+                last.confidence = Math.max(last.confidence, report.confidence);
+            } else {
+                periods.push({ activity: report.activity, from: time, to: time, confidence: report.confidence });
+            }
+        });
+        // Long lists are cut short
+        const limit = 200;
+        const activityRows = periods.slice(0, limit).map(period => `
+                        <tr>
+                            <td>${period.from || '-'} - ${period.to || '-'}</td>
+                            <td>${period.activity}</td>
+                            <td>${period.confidence}%</td>
+                        </tr>`).join('') +
+            (periods.length > limit ? `
+                        <tr><td colspan="3">... ${periods.length - limit} more</td></tr>` : '');
+
+        return `
+            <details class="logger-details small">
+                <summary>Logger details</summary>
+                <table class="table table-sm">
+                    <tbody>${rows}
+                    </tbody>
+                </table>
+                ${periods.length > 0 ? `
+                <table class="table table-sm">
+                    <thead>
+                        <tr><th>Time</th><th>Activity</th><th>Max confidence</th></tr>
+                    </thead>
+                    <tbody>${activityRows}
+                    </tbody>
+                </table>` : ''}
+            </details>
+        `;
+    }
+
+    /**
+     * Add or replace a section appended below the flight information table
+     * @param {string} className - Class identifying the section
+     * @param {string} html - Section content
+     */
+    setInfoSection(className, html) {
+        const infoElement = document.getElementById(this.infoElementId);
+        if (!infoElement) {
+            return;
+        }
+
+        let section = infoElement.querySelector(`.${className}`);
+        if (!section) {
+            section = document.createElement('div');
+            section.className = className;
+            infoElement.appendChild(section);
+        }
+        section.innerHTML = html;
+    }
+
     /**
      * Format duration in seconds to HH:MM:SS
      * @param {number} seconds - Duration in seconds
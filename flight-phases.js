@@ -0,0 +1,383 @@
+/**
+ * Flight Phase Analyzer
+ * Segments a flight into ground, vehicle, thermalling, gliding and post-landing phases
+ */
+class FlightPhaseAnalyzer {
+    constructor() {
+        // Earth's radius in meters
+        this.EARTH_RADIUS = 6371000;
+
+        // Half-width of the smoothing windows in seconds
+        this.SMOOTHING_WINDOW = 5;
+
+        // Classification thresholds
+        this.MIN_HEADING_SPEED = 6; // km/h, below this the GPS heading is just noise
+        this.VEHICLE_SPEED = 40; // km/h, ground speed before launch that means driving
+        this.CIRCLING_TURN_RATE = 7; // deg/s, smoothed turn rate of a thermalling glider
+        this.MAX_THERMAL_SINK = -2; // m/s, circling that sinks faster on average is a spiral, not a thermal
+        this.MIN_THERMAL_DURATION = 20; // seconds, shorter circling is just a turn
+        this.MIN_PHASE_DURATION = 10; // seconds, shorter phases are merged into their neighbour
+        this.VEHICLE_ACTIVITY_WINDOW = 120; // seconds an IN_VEHICLE activity report stays valid
+        this.MIN_ACTIVITY_CONFIDENCE = 70;
+
+        this.PHASE_TYPES = ['ground', 'vehicle', 'thermal-left', 'thermal-right', 'glide', 'landed'];
+    }
+
+    /**
+     * Analyze a flight and label every fix with a phase
+     * @param {object} flightData - Parsed flight data from IGCParser
+     * @returns {object|null} - Per-fix labels, phase list and summary statistics
+     */
+    analyze(flightData) {
+        if (!flightData || !flightData.fixes || flightData.fixes.length < 2) {
+            return null;
+        }
+
+        const fixes = flightData.fixes;
+        const metrics = this.calculateMetrics(fixes);
+        const airborne = flightData.airborne || { takeoffIndex: 0, landingIndex: fixes.length - 1 };
+        const labels = this.classify(fixes, metrics, flightData.activity || [], airborne);
+        const phases = this.buildPhases(fixes, labels);
+
+        // Relabel fixes from the merged phases
+        phases.forEach(phase => {
+            for (let i = phase.startIndex; i <= phase.endIndex; i++) {
+                labels[i] = phase.type;
+            }
+        });
+
+        return {
+            labels,
+            phases,
+            summary: this.summarize(phases)
+        };
+    }
+
+    /**
+     * Calculate smoothed ground speed, vertical speed and turn rate for every fix
+     * @param {object[]} fixes - Flight fixes
+     * @returns {object} - Arrays groundSpeed (km/h), verticalSpeed (m/s) and turnRate (deg/s)
+     */
+    calculateMetrics(fixes) {
+        const count = fixes.length;
+        const groundSpeed = new Array(count).fill(0);
+        const verticalSpeed = new Array(count).fill(0);
+        const heading = new Array(count).fill(null);
+        const turnRate = new Array(count).fill(0);
+
+        for (let i = 0; i < count; i++) {
+            const from = this.windowStart(fixes, i);
+            const to = this.windowEnd(fixes, i);
+            const dt = fixes[to].timestamp - fixes[from].timestamp;
+            if (dt <= 0) {
+                continue;
+            }
+
+            // Prefer the logger's own ground speed when it records one
+            const loggedSpeed = fixes[i].extensions && fixes[i].extensions.GSP;
+            groundSpeed[i] = typeof loggedSpeed === 'number' ?
+                loggedSpeed :
+                this.calculateDistance(fixes[from], fixes[to]) / dt * 3.6;
+
+            verticalSpeed[i] = (this.altitudeOf(fixes[to]) - this.altitudeOf(fixes[from])) / dt;
+
+            // Headings are meaningless while standing still
+            if (i > 0 && groundSpeed[i] >= this.MIN_HEADING_SPEED) {
+                heading[i] = this.course(fixes, i);
+            }
+        }
+
+        // Turn rate from heading changes, averaged over the smoothing window
+        const rawTurn = new Array(count).fill(0);
+        for (let i = 1; i < count; i++) {
+            const dt = fixes[i].timestamp - fixes[i - 1].timestamp;
+            if (heading[i] !== null && heading[i - 1] !== null && dt > 0) {
+                let delta = heading[i] - heading[i - 1];
+                if (delta > 180) delta -= 360;
+                if (delta < -180) delta += 360;
+                rawTurn[i] = delta / dt;
+            }
+        }
+        for (let i = 0; i < count; i++) {
+            const from = this.windowStart(fixes, i);
+            const to = this.windowEnd(fixes, i);
+            let sum = 0;
+            for (let j = from; j <= to; j++) {
+                sum += rawTurn[j];
+            }
+            turnRate[i] = sum / (to - from + 1);
+        }
+
+        return { groundSpeed, verticalSpeed, turnRate };
+    }
+
+    /**
+     * Assign a raw phase label to every fix
+     * @param {object[]} fixes - Flight fixes
+     * @param {object} metrics - Metrics from calculateMetrics
+     * @param {object[]} activity - Logger activity reports ({timestamp, activity, confidence})
+     * @param {object} airborne - Takeoff and landing indices from IGCParser.detectTakeoffLanding
+     * @returns {string[]} - Phase label per fix
+     */
+    classify(fixes, metrics, activity, airborne) {
+        const labels = fixes.map((fix, i) => {
+            if (i < airborne.takeoffIndex) {
+                const inVehicle = this.isInVehicle(fix.timestamp, activity) ||
+                    metrics.groundSpeed[i] >= this.VEHICLE_SPEED;
+                return inVehicle ? 'vehicle' : 'ground';
+            }
+            if (i > airborne.landingIndex) {
+                return 'landed';
+            }
+            if (Math.abs(metrics.turnRate[i]) >= this.CIRCLING_TURN_RATE) {
+                return metrics.turnRate[i] < 0 ? 'thermal-left' : 'thermal-right';
+            }
+            return 'glide';
+        });
+
+        // Circling in strong sink (a spiral dive, or turning in sinking air) is flown as a descent
+        let runStart = 0;
+        for (let i = 1; i <= labels.length; i++) {
+            if (i < labels.length && labels[i] === labels[runStart]) {
+                continue;
+            }
+            if (labels[runStart].startsWith('thermal')) {
+                let sum = 0;
+                for (let j = runStart; j < i; j++) {
+                    sum += metrics.verticalSpeed[j];
+                }
+                if (sum / (i - runStart) < this.MAX_THERMAL_SINK) {
+                    labels.fill('glide', runStart, i);
+                }
+            }
+            runStart = i;
+        }
+
+        return labels;
+    }
+
+    /**
+     * Group labelled fixes into phases, merging phases that are too short
+     * @param {object[]} fixes - Flight fixes
+     * @param {string[]} labels - Phase label per fix
+     * @returns {object[]} - Phases with statistics
+     */
+    buildPhases(fixes, labels) {
+        let runs = [];
+        labels.forEach((label, i) => {
+            const last = runs[runs.length - 1];
+            if (last && last.type === label) {
+                last.endIndex = i;
+            } else {
+                runs.push({ type: label, startIndex: i, endIndex: i });
+            }
+        });
+
+        const duration = run => fixes[run.endIndex].timestamp - fixes[run.startIndex].timestamp;
+        const minimum = run => (run.type.startsWith('thermal') ? this.MIN_THERMAL_DURATION : this.MIN_PHASE_DURATION);
+
+        // Absorb short airborne runs into the previous phase until everything is long enough
+        let merged = true;
+        while (merged) {
+            merged = false;
+            const next = [];
+            runs.forEach(run => {
+                const previous = next[next.length - 1];
+                const airborne = previous && this.isAirborne(previous.type) && this.isAirborne(run.type);
+                if (previous && (previous.type === run.type || (airborne && duration(run) < minimum(run)))) {
+                    previous.endIndex = run.endIndex;
+                    merged = merged || previous.type !== run.type;
+                } else {
+                    next.push(run);
+                }
+            });
+            runs = next;
+        }
+
+        return runs.map(run => this.describePhase(fixes, run));
+    }
+
+    /**
+     * Add timing, altitude and distance statistics to a phase
+     * @param {object[]} fixes - Flight fixes
+     * @param {object} run - Phase with type, startIndex and endIndex
+     * @returns {object} - Phase with statistics
+     */
+    describePhase(fixes, run) {
+        const first = fixes[run.startIndex];
+        const last = fixes[run.endIndex];
+        const duration = last.timestamp - first.timestamp;
+        const altitudeChange = this.altitudeOf(last) - this.altitudeOf(first);
+        const distance = this.calculateDistance(first, last) / 1000;
+
+        return {
+            type: run.type,
+            startIndex: run.startIndex,
+            endIndex: run.endIndex,
+            startTime: first.time,
+            endTime: last.time,
+            startTimestamp: first.timestamp,
+            endTimestamp: last.timestamp,
+            duration,
+            altitudeChange,
+            distance,
+            climbRate: duration > 0 ? altitudeChange / duration : 0,
+            glideRatio: altitudeChange < 0 ? distance * 1000 / -altitudeChange : null
+        };
+    }
+
+    /**
+     * Summarize time spent per phase, thermal climb rates and glide ratios
+     * @param {object[]} phases - Phases from buildPhases
+     * @returns {object} - Summary statistics
+     */
+    summarize(phases) {
+        const timeByType = {};
+        this.PHASE_TYPES.forEach(type => {
+            timeByType[type] = 0;
+        });
+        phases.forEach(phase => {
+            timeByType[phase.type] += phase.duration;
+        });
+
+        const thermals = phases.filter(phase => phase.type.startsWith('thermal'));
+        const glides = phases.filter(phase => phase.type === 'glide' && phase.glideRatio !== null);
+
+        const totalThermalTime = thermals.reduce((sum, phase) => sum + phase.duration, 0);
+        const totalGain = thermals.reduce((sum, phase) => sum + phase.altitudeChange, 0);
+        const glideDistance = glides.reduce((sum, phase) => sum + phase.distance, 0);
+        const glideLoss = glides.reduce((sum, phase) => sum - phase.altitudeChange, 0);
+
+        return {
+            timeByType,
+            thermalCount: thermals.length,
+            averageClimbRate: totalThermalTime > 0 ? totalGain / totalThermalTime : 0,
+            averageGlideRatio: glideLoss > 0 ? glideDistance * 1000 / glideLoss : null
+        };
+    }
+
+    /**
+     * Check whether a phase type is part of the flight itself
+     * @param {string} type - Phase type
+     * @returns {boolean} - True for thermalling and gliding
+     */
+    isAirborne(type) {
+        return type !== 'ground' && type !== 'vehicle' && type !== 'landed';
+    }
+
+    /**
+     * Check whether the logger reported being in a vehicle around a timestamp
+     * @param {number} timestamp - Fix timestamp
+     * @param {object[]} activity - Logger activity reports
+     * @returns {boolean} - True if a recent confident IN_VEHICLE report exists
+     */
+    isInVehicle(timestamp, activity) {
+        let latest = null;
+        for (let i = 0; i < activity.length && activity[i].timestamp <= timestamp; i++) {
+            if (activity[i].activity !== 'UNKNOWN' && activity[i].confidence >= this.MIN_ACTIVITY_CONFIDENCE) {
+                latest = activity[i];
+            }
+        }
+
+        return latest !== null &&
+            latest.activity === 'IN_VEHICLE' &&
+            timestamp - latest.timestamp <= this.VEHICLE_ACTIVITY_WINDOW;
+    }
+
+    /**
+     * Index of the first fix in the smoothing window around a fix
+     * @param {object[]} fixes - Flight fixes
+     * @param {number} index - Center fix index
+     * @returns {number} - First index of the window
+     */
+    windowStart(fixes, index) {
+        let from = index;
+        while (from > 0 && fixes[index].timestamp - fixes[from - 1].timestamp <= this.SMOOTHING_WINDOW) {
+            from--;
+        }
+        return from;
+    }
+
+    /**
+     * Index of the last fix in the smoothing window around a fix
+     * @param {object[]} fixes - Flight fixes
+     * @param {number} index - Center fix index
+     * @returns {number} - Last index of the window
+     */
+    windowEnd(fixes, index) {
+        let to = index;
+        while (to < fixes.length - 1 && fixes[to + 1].timestamp - fixes[index].timestamp <= this.SMOOTHING_WINDOW) {
+            to++;
+        }
+        return to;
+    }
+
+    /**
+     * Altitude used for vertical speed
+     * @param {object} fix - Flight fix
+     * @returns {number} - Selected altitude (pressure or GNSS) in meters
+     */
+    altitudeOf(fix) {
+        return fix.altitude;
+    }
+
+    /**
+     * Calculate distance between two fixes using Haversine formula
+     * @param {object} a - First fix
+     * @param {object} b - Second fix
+     * @returns {number} - Distance in meters
+     */
+    calculateDistance(a, b) {
+        const dLat = this.toRadians(b.latitude - a.latitude);
+        const dLon = this.toRadians(b.longitude - a.longitude);
+
+        const h =
+            Math.sin(dLat/2) * Math.sin(dLat/2) +
+            Math.cos(this.toRadians(a.latitude)) * Math.cos(this.toRadians(b.latitude)) *
+            Math.sin(dLon/2) * Math.sin(dLon/2);
+
+        return this.EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1-h));
+    }
+
+    /**
+     * Course over ground at a fix
+     * @param {object[]} fixes - Flight fixes
+     * @param {number} index - Fix index, at least 1
+     * @returns {number} - Course in degrees (0-360), the logger's own CCO when it records one
+     */
+    course(fixes, index) {
+        const logged = fixes[index].extensions && fixes[index].extensions.CCO;
+        return typeof logged === 'number' ? logged : this.calculateBearing(fixes[index - 1], fixes[index]);
+    }
+
+    /**
+     * Calculate bearing between two fixes
+     * @param {object} a - First fix
+     * @param {object} b - Second fix
+     * @returns {number} - Bearing in degrees (0-360)
+     */
+    calculateBearing(a, b) {
+        const lat1 = this.toRadians(a.latitude);
+        const lat2 = this.toRadians(b.latitude);
+        const dLon = this.toRadians(b.longitude - a.longitude);
+
+        const y = Math.sin(dLon) * Math.cos(lat2);
+        const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+
+    /**
+     * Convert degrees to radians
+     * @param {number} degrees - Angle in degrees
+     * @returns {number} - Angle in radians
+     */
+    toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+}
+
+// Node/CommonJS export; in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FlightPhaseAnalyzer };
+}
@@ -0,0 +1,285 @@
+/**
+ * Flight Replay
+ * This class handles animated playback of a flight with its controls
+ */
+class FlightReplay {
+    /**
+     * Create a flight replay handler
+     * @param {string} elementId - The ID of the element to render the replay controls in
+     */
+    constructor(elementId) {
+        this.elementId = elementId;
+        this.flightData = null;
+        this.times = [];
+        this.index = 0;
+        this.time = 0;
+        this.playing = false;
+        this.speed = 50;
+        this.follow = false;
+        this.frameRequest = null;
+        this.lastFrame = null;
+        this.controls = null;
+
+        // Other flights replayed at the same UTC time, as {times, index}
+        this.comparisons = [];
+
+        // Called with (fixIndex, comparisonIndices) every time the replay position changes
+        this.onFrame = null;
+
+        // Formats times in UTC or local time, shared with the other displays
+        this.timeFormatter = new TimeFormatter();
+
+        // Available playback speed multipliers
+        this.SPEEDS = [1, 2, 5, 10, 20, 50, 100, 200, 500];
+    }
+
+    /**
+     * Load a flight for replay, stopping any running playback
+     * @param {object} flightData - Parsed flight data from IGCParser
+     */
+    load(flightData) {
+        this.pause();
+        this.flightData = flightData;
+        this.times = this.elapsedTimes(flightData.fixes, flightData.fixes[0].timestamp);
+        this.comparisons = [];
+
+        // Start the replay at takeoff rather than at the beginning of the log
+        const start = flightData.airborne ? flightData.airborne.takeoffIndex : 0;
+        this.index = start;
+        this.time = this.times[start] || 0;
+
+        this.renderControls();
+    }
+
+    /**
+     * Replay other flights alongside the loaded one, synchronized by UTC time
+     * @param {object[]} flights - Comparison flights as {flightData, name, color}
+     */
+    setComparisonFlights(flights) {
+        if (!this.flightData) {
+            return;
+        }
+
+        const reference = this.flightData.fixes[0].timestamp;
+        this.comparisons = flights.map(flight => {
+            const times = this.elapsedTimes(flight.flightData.fixes, reference);
+            return { times, index: this.findIndex(times, this.time, 0) };
+        });
+
+        this.renderControls();
+    }
+
+    /**
+     * Seconds since a reference time for every fix
+     * @param {object[]} fixes - Flight fixes
+     * @param {number} reference - Reference timestamp in UTC epoch seconds
+     * @returns {number[]} - Elapsed seconds per fix
+     */
+    elapsedTimes(fixes, reference) {
+        return fixes.map(fix => fix.timestamp - reference);
+    }
+
+    /**
+     * Render the play/pause button, speed selector, time scrubber and follow toggle
+     */
+    renderControls() {
+        const element = document.getElementById(this.elementId);
+        if (!element) {
+            console.error(`Element with ID ${this.elementId} not found`);
+            return;
+        }
+
+        const range = this.timeRange();
+        const speedOptions = this.SPEEDS
+            .map(speed => `<option value="${speed}" ${speed === this.speed ? 'selected' : ''}>${speed}x</option>`)
+            .join('');
+
+        element.innerHTML = `
+            <div class="replay-controls">
+                <button type="button" class="btn btn-primary btn-sm replay-play">Play</button>
+                <select class="form-select form-select-sm replay-speed">${speedOptions}</select>
+                <input type="range" class="form-range replay-scrubber" min="${range.start}" max="${range.end}" step="1" value="${this.time}">
+                <span class="replay-time"></span>
+                <div class="form-check form-switch">
+                    <input class="form-check-input replay-follow" type="checkbox" id="${this.elementId}Follow" ${this.follow ? 'checked' : ''}>
+                    <label class="form-check-label" for="${this.elementId}Follow">Follow</label>
+                </div>
+            </div>
+        `;
+
+        this.controls = {
+            play: element.querySelector('.replay-play'),
+            speed: element.querySelector('.replay-speed'),
+            scrubber: element.querySelector('.replay-scrubber'),
+            time: element.querySelector('.replay-time'),
+            follow: element.querySelector('.replay-follow')
+        };
+
+        this.controls.play.addEventListener('click', () => {
+            if (this.playing) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        });
+        this.controls.speed.addEventListener('change', () => {
+            this.speed = parseInt(this.controls.speed.value, 10);
+        });
+        this.controls.scrubber.addEventListener('input', () => {
+            this.seek(parseFloat(this.controls.scrubber.value));
+        });
+        this.controls.follow.addEventListener('change', () => {
+            this.follow = this.controls.follow.checked;
+        });
+
+        this.updateControls();
+    }
+
+    /**
+     * Start playback from the current position, restarting at takeoff when at the end
+     */
+    play() {
+        if (!this.flightData || this.playing) {
+            return;
+        }
+
+        if (this.time >= this.timeRange().end) {
+            this.seek(this.times[this.flightData.airborne ? this.flightData.airborne.takeoffIndex : 0]);
+        }
+
+        this.playing = true;
+        this.lastFrame = null;
+        this.frameRequest = requestAnimationFrame(now => this.step(now));
+        this.updateControls();
+    }
+
+    /**
+     * Pause playback at the current position
+     */
+    pause() {
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+        this.playing = false;
+        this.updateControls();
+    }
+
+    /**
+     * Advance the replay clock by the time since the last animation frame
+     * @param {number} now - Animation frame timestamp in milliseconds
+     */
+    step(now) {
+        if (!this.playing) {
+            return;
+        }
+
+        if (this.lastFrame !== null) {
+            const end = this.timeRange().end;
+            this.seek(Math.min(end, this.time + (now - this.lastFrame) / 1000 * this.speed));
+            if (this.time >= end) {
+                this.pause();
+                return;
+            }
+        }
+
+        this.lastFrame = now;
+        this.frameRequest = requestAnimationFrame(next => this.step(next));
+    }
+
+    /**
+     * Jump to a replay time
+     * @param {number} time - Seconds since the first fix
+     */
+    seek(time) {
+        if (!this.flightData || this.times.length === 0) {
+            return;
+        }
+
+        this.time = time;
+
+        const index = this.findIndex(this.times, time, this.index);
+        let changed = index !== this.index;
+        this.index = index;
+
+        this.comparisons.forEach(comparison => {
+            const comparisonIndex = this.findIndex(comparison.times, time, comparison.index);
+            changed = changed || comparisonIndex !== comparison.index;
+            comparison.index = comparisonIndex;
+        });
+
+        this.updateControls();
+
+        if (changed && this.onFrame) {
+            this.onFrame(index, this.comparisonIndices());
+        }
+    }
+
+    /**
+     * Find the last fix at or before a replay time
+     * @param {number[]} times - Elapsed seconds per fix
+     * @param {number} time - Replay time
+     * @param {number} fromIndex - Index to start searching from
+     * @returns {number} - Fix index, clamped to the first fix
+     */
+    findIndex(times, time, fromIndex) {
+        // Fixes are in time order, so search forwards or backwards from the previous fix
+        let index = Math.min(fromIndex, times.length - 1);
+        while (index < times.length - 1 && times[index + 1] <= time) {
+            index++;
+        }
+        while (index > 0 && times[index] > time) {
+            index--;
+        }
+        return index;
+    }
+
+    /**
+     * Current fix index of every comparison flight
+     * @returns {number[]} - Fix index per comparison flight
+     */
+    comparisonIndices() {
+        return this.comparisons.map(comparison => comparison.index);
+    }
+
+    /**
+     * Replay time range covering every loaded flight
+     * @returns {object} - {start, end} in seconds since the first fix of the loaded flight
+     */
+    timeRange() {
+        const tracks = [this.times].concat(this.comparisons.map(comparison => comparison.times));
+        return {
+            start: Math.min(...tracks.map(times => times[0] || 0)),
+            end: Math.max(...tracks.map(times => times[times.length - 1] || 0))
+        };
+    }
+
+    /**
+     * Move the replay to a fix chosen elsewhere (e.g. on the chart or the map)
+     * @param {number} index - Fix index
+     */
+    seekToFix(index) {
+        if (!this.flightData || index === null || index >= this.times.length) {
+            return;
+        }
+        this.index = index;
+        this.time = this.times[index];
+        this.comparisons.forEach(comparison => {
+            comparison.index = this.findIndex(comparison.times, this.time, comparison.index);
+        });
+        this.updateControls();
+    }
+
+    /**
+     * Reflect the replay state in the controls
+     */
+    updateControls() {
+        if (!this.controls || !this.flightData) {
+            return;
+        }
+
+        this.controls.play.textContent = this.playing ? 'Pause' : 'Play';
+        this.controls.scrubber.value = this.time;
+        this.controls.time.textContent = this.timeFormatter.format(this.flightData.fixes[this.index].timestamp);
+    }
+}
@@ -0,0 +1,227 @@
+/**
+ * G Record Verifier
+ * Checks the security signature of an IGC file against locally configured public keys
+ */
+class GRecordVerifier {
+    constructor() {
+        // Public keys keyed by the three-letter manufacturer code of the A record,
+        // as {algorithm, hash, key} where key is a PEM (SPKI) string or a JWK object
+        this.keys = {};
+
+        // Signature algorithms supported by WebCrypto and their import parameters
+        this.ALGORITHMS = {
+            'RSASSA-PKCS1-v1_5': hash => ({ name: 'RSASSA-PKCS1-v1_5', hash }),
+            'RSA-PSS': hash => ({ name: 'RSA-PSS', hash }),
+            'ECDSA': () => ({ name: 'ECDSA', namedCurve: 'P-256' }),
+            'Ed25519': () => ({ name: 'Ed25519' })
+        };
+
+        // Salt length used for RSA-PSS signatures (bytes, the hash length)
+        this.PSS_SALT_LENGTHS = { 'SHA-1': 20, 'SHA-256': 32, 'SHA-384': 48, 'SHA-512': 64 };
+    }
+
+    /**
+     * Configure the public key of a manufacturer
+     * @param {string} manufacturer - Three-letter manufacturer code, e.g. XCT
+     * @param {object|null} config - {algorithm, hash, key}, or null to remove the key
+     */
+    setKey(manufacturer, config) {
+        const code = manufacturer.trim().toUpperCase();
+        if (config) {
+            this.keys[code] = config;
+        } else {
+            delete this.keys[code];
+        }
+    }
+
+    /**
+     * Verify the G records of an IGC file
+     * @param {string} igcContent - The raw content of the IGC file
+     * @returns {Promise<object>} - {status: 'valid'|'invalid'|'unverifiable', reason, manufacturer, algorithm}
+     */
+    async verify(igcContent) {
+        const lines = igcContent.split(/\r?\n/);
+        const manufacturer = lines[0] && lines[0].startsWith('A') ? lines[0].substring(1, 4).toUpperCase() : null;
+        const result = (status, reason, algorithm = null) => ({ status, reason, manufacturer, algorithm });
+
+        const gRecords = lines.filter(line => line.startsWith('G')).map(line => line.substring(1).trim());
+        if (gRecords.length === 0) {
+            return result('unverifiable', 'The file has no G record');
+        }
+        if (!manufacturer) {
+            return result('unverifiable', 'The file has no A record naming the logger manufacturer');
+        }
+
+        const config = this.keys[manufacturer];
+        if (!config) {
+            return result('unverifiable', `No public key configured for manufacturer ${manufacturer}`);
+        }
+        if (!this.ALGORITHMS[config.algorithm]) {
+            return result('unverifiable', `Unsupported signature algorithm ${config.algorithm}`);
+        }
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            return result('unverifiable', 'Web Crypto is not available (the page must be served over HTTPS)', config.algorithm);
+        }
+
+        let signature = this.decodeSignature(gRecords);
+        if (!signature) {
+            return result('invalid', 'The G records are neither hex nor base64 encoded', config.algorithm);
+        }
+
+        let key;
+        try {
+            key = await this.importKey(config);
+        } catch (error) {
+            return result('unverifiable', `The public key for ${manufacturer} could not be read: ${error.message}`, config.algorithm);
+        }
+
+        // ECDSA signatures are often stored DER encoded, WebCrypto expects r || s
+        if (config.algorithm === 'ECDSA' && signature.length !== 64 && signature[0] === 0x30) {
+            signature = this.derToRawSignature(signature) || signature;
+        }
+
+        const content = new TextEncoder().encode(this.signedContent(lines, manufacturer));
+        try {
+            const valid = await crypto.subtle.verify(this.verifyParameters(config), key, signature, content);
+            return valid ?
+                result('valid', `Signature matches the ${manufacturer} public key`, config.algorithm) :
+                result('invalid', 'Signature does not match; the file was modified after it was signed', config.algorithm);
+        } catch (error) {
+            return result('invalid', `Signature could not be checked: ${error.message}`, config.algorithm);
+        }
+    }
+
+    /**
+     * Rebuild the content covered by the signature
+     * The specification excludes G records, blank lines and L records added by anyone
+     * other than the logger manufacturer; line terminators are not signed.
+     * @param {string[]} lines - Lines of the IGC file
+     * @param {string} manufacturer - Three-letter manufacturer code
+     * @returns {string} - Signed content
+     */
+    signedContent(lines, manufacturer) {
+        return lines
+            .map(line => line.replace(/[\r\n]+$/, ''))
+            .filter(line => {
+                if (!line.trim() || line.startsWith('G')) {
+                    return false;
+                }
+                return !line.startsWith('L') || line.startsWith(`L${manufacturer}`);
+            })
+            .join('');
+    }
+
+    /**
+     * Decode the signature spread over the G records
+     * @param {string[]} gRecords - G record contents without the record type
+     * @returns {Uint8Array|null} - Signature bytes or null if the encoding is not recognised
+     */
+    decodeSignature(gRecords) {
+        const text = gRecords.join('');
+
+        if (/^[0-9a-f]+$/i.test(text) && text.length % 2 === 0) {
+            const bytes = new Uint8Array(text.length / 2);
+            for (let i = 0; i < bytes.length; i++) {
+                bytes[i] = parseInt(text.substr(i * 2, 2), 16);
+            }
+            return bytes;
+        }
+
+        if (/^[A-Za-z0-9+/]+={0,2}$/.test(text)) {
+            return this.base64ToBytes(text);
+        }
+
+        return null;
+    }
+
+    /**
+     * Import a configured public key
+     * @param {object} config - {algorithm, hash, key}
+     * @returns {Promise<CryptoKey>} - Key usable for verification
+     */
+    importKey(config) {
+        const parameters = this.ALGORITHMS[config.algorithm](config.hash || 'SHA-256');
+
+        if (typeof config.key === 'object') {
+            return crypto.subtle.importKey('jwk', config.key, parameters, false, ['verify']);
+        }
+
+        const body = config.key
+            .replace(/-----(BEGIN|END) PUBLIC KEY-----/g, '')
+            .replace(/\s+/g, '');
+        if (!body) {
+            throw new Error('The key is empty');
+        }
+        return crypto.subtle.importKey('spki', this.base64ToBytes(body), parameters, false, ['verify']);
+    }
+
+    /**
+     * Parameters passed to crypto.subtle.verify for a configured key
+     * @param {object} config - {algorithm, hash, key}
+     * @returns {object} - Verification algorithm parameters
+     */
+    verifyParameters(config) {
+        const hash = config.hash || 'SHA-256';
+        switch (config.algorithm) {
+            case 'ECDSA':
+                return { name: 'ECDSA', hash };
+            case 'RSA-PSS':
+                return { name: 'RSA-PSS', saltLength: this.PSS_SALT_LENGTHS[hash] || 32 };
+            default:
+                return { name: config.algorithm };
+        }
+    }
+
+    /**
+     * Convert a DER encoded ECDSA signature to the raw r || s form
+     * @param {Uint8Array} der - DER encoded signature
+     * @returns {Uint8Array|null} - 64-byte P-256 signature or null if the DER is malformed
+     */
+    derToRawSignature(der) {
+        // SEQUENCE { INTEGER r, INTEGER s }
+        if (der.length < 8 || der[0] !== 0x30 || der[2] !== 0x02) {
+            return null;
+        }
+
+        const raw = new Uint8Array(64);
+        let offset = 2;
+        for (let part = 0; part < 2; part++) {
+            if (der[offset] !== 0x02) {
+                return null;
+            }
+            const length = der[offset + 1];
+            let value = der.subarray(offset + 2, offset + 2 + length);
+
+            // Drop the sign padding byte, then right-align into 32 bytes
+            while (value.length > 32 && value[0] === 0) {
+                value = value.subarray(1);
+            }
+            if (value.length > 32) {
+                return null;
+            }
+            raw.set(value, part * 32 + 32 - value.length);
+            offset += 2 + length;
+        }
+
+        return raw;
+    }
+
+    /**
+     * Decode base64 text to bytes
+     * @param {string} text - Base64 text
+     * @returns {Uint8Array} - Decoded bytes
+     */
+    base64ToBytes(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+// Node/CommonJS export; in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GRecordVerifier };
+}
@@ -0,0 +1,223 @@
+/**
+ * IGC Parse Service
+ * Parses IGC files without freezing the page: in a Web Worker when the browser allows it,
+ * otherwise in chunks on the main thread. Parsed flights are cached by content.
+ */
+class IGCParseService {
+    /**
+     * Create a parse service
+     * @param {IGCParser} parser - Parser of the page; its options are passed on to the worker
+     * @param {string} [workerUrl] - Script of the parser worker
+     */
+    constructor(parser, workerUrl = 'igc-parser-worker.js') {
+        this.parser = parser;
+        this.workerUrl = workerUrl;
+
+        // The worker is started on first use; a worker that fails once is not retried
+        this.worker = null;
+        this.workerFailed = false;
+
+        // Pending worker requests keyed by id
+        this.requests = new Map();
+        this.nextId = 1;
+
+        // Characters parsed between yields to the page when parsing on the main thread
+        this.CHUNK_SIZE = 256 * 1024;
+
+        // Recently parsed flights, oldest first
+        this.cache = new Map();
+        this.CACHE_SIZE = 8;
+    }
+
+    /**
+     * Parse an IGC file content
+     * @param {string} igcContent - The raw content of the IGC file
+     * @param {object} [options] - Parse options, as for IGCParser.parse
+     * @param {function} [onProgress] - Called with (loaded, total) characters while parsing
+     * @returns {Promise<object>} - Parsed flight data; rejects like IGCParser.parse throws
+     */
+    async parse(igcContent, options = {}, onProgress = null) {
+        const settings = this.settings();
+        const key = this.cacheKey(igcContent, options, settings);
+
+        if (this.cache.has(key)) {
+            // Keep the cache in recently used order
+            const cached = this.cache.get(key);
+            this.cache.delete(key);
+            this.cache.set(key, cached);
+            return structuredClone(cached);
+        }
+
+        let flightData = null;
+        const worker = this.getWorker();
+        if (worker) {
+            try {
+                flightData = await this.parseInWorker(worker, igcContent, options, settings, onProgress);
+            } catch (error) {
+                if (!this.workerFailed) {
+                    throw error;
+                }
+                // The worker broke (e.g. scripts blocked on file://), parse on the page instead
+            }
+        }
+        if (!flightData) {
+            flightData = await this.parseInChunks(igcContent, options, onProgress);
+        }
+
+        this.cache.set(key, structuredClone(flightData));
+        if (this.cache.size > this.CACHE_SIZE) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+
+        return flightData;
+    }
+
+    /**
+     * Parser options that change the parsed flight data
+     * @returns {object} - Altitude, series and cleaning options of the parser
+     */
+    settings() {
+        return {
+            altitudeOptions: this.parser.altitudeOptions,
+            seriesOptions: this.parser.seriesOptions,
+            cleaningOptions: this.parser.cleaningOptions
+        };
+    }
+
+    /**
+     * Start the parser worker if it is not running yet
+     * @returns {Worker|null} - Worker or null if workers cannot be used
+     */
+    getWorker() {
+        if (this.worker || this.workerFailed) {
+            return this.worker;
+        }
+        if (typeof Worker === 'undefined') {
+            this.workerFailed = true;
+            return null;
+        }
+
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            console.error('Could not start the IGC parser worker:', error);
+            this.workerFailed = true;
+            return null;
+        }
+
+        this.worker.onmessage = event => this.handleMessage(event.data);
+        this.worker.onerror = event => {
+            console.error('IGC parser worker failed:', event.message);
+            event.preventDefault();
+            this.stopWorker(new Error(`IGC parser worker failed: ${event.message}`));
+        };
+
+        return this.worker;
+    }
+
+    /**
+     * Stop a broken worker and fail its pending requests
+     * @param {Error} error - Error passed to the pending requests
+     */
+    stopWorker(error) {
+        this.workerFailed = true;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.requests.forEach(request => request.reject(error));
+        this.requests.clear();
+    }
+
+    /**
+     * Parse a file in the worker
+     * @param {Worker} worker - Parser worker
+     * @param {string} igcContent - The raw content of the IGC file
+     * @param {object} options - Parse options
+     * @param {object} settings - Parser settings from settings()
+     * @param {function|null} onProgress - Progress callback
+     * @returns {Promise<object>} - Parsed flight data
+     */
+    parseInWorker(worker, igcContent, options, settings, onProgress) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.requests.set(id, { resolve, reject, onProgress });
+            worker.postMessage({ id, content: igcContent, options, settings });
+        });
+    }
+
+    /**
+     * Dispatch a message from the worker to its request
+     * @param {object} message - {id, type: 'progress'|'result'|'error', ...}
+     */
+    handleMessage(message) {
+        const request = this.requests.get(message.id);
+        if (!request) {
+            return;
+        }
+
+        if (message.type === 'progress') {
+            if (request.onProgress) {
+                request.onProgress(message.loaded, message.total);
+            }
+            return;
+        }
+
+        this.requests.delete(message.id);
+        if (message.type === 'result') {
+            request.resolve(message.flightData);
+        } else {
+            // Errors lose their class crossing the worker boundary
+            const error = message.name === 'IGCValidationError' ?
+                new IGCValidationError(message.message, message.diagnostics) :
+                new Error(message.message);
+            request.reject(error);
+        }
+    }
+
+    /**
+     * Parse a file on the main thread, letting the page update between chunks
+     * @param {string} igcContent - The raw content of the IGC file
+     * @param {object} options - Parse options
+     * @param {function|null} onProgress - Progress callback
+     * @returns {Promise<object>} - Parsed flight data
+     */
+    async parseInChunks(igcContent, options, onProgress) {
+        const state = this.parser.startParse(options);
+
+        for (let offset = 0; offset < igcContent.length; offset += this.CHUNK_SIZE) {
+            this.parser.parseChunk(state, igcContent.substring(offset, offset + this.CHUNK_SIZE));
+            if (onProgress) {
+                onProgress(Math.min(offset + this.CHUNK_SIZE, igcContent.length), igcContent.length);
+            }
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        return this.parser.finishParse(state);
+    }
+
+    /**
+     * Cache key of a parse
+     * @param {string} igcContent - The raw content of the IGC file
+     * @param {object} options - Parse options
+     * @param {object} settings - Parser settings
+     * @returns {string} - Key combining the options with the length and a hash of the content
+     */
+    cacheKey(igcContent, options, settings) {
+        // FNV-1a hash of the content
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < igcContent.length; i++) {
+            hash ^= igcContent.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return `${igcContent.length}:${(hash >>> 0).toString(16)}:${JSON.stringify(options)}:${JSON.stringify(settings)}`;
+    }
+
+    /**
+     * Forget all cached flights
+     */
+    clearCache() {
+        this.cache.clear();
+    }
+}
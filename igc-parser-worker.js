@@ -0,0 +1,33 @@
+/**
+ * IGC Parser Worker
+ * Parses IGC files off the main thread and reports progress while reading
+ */
+importScripts('igc-parser.js');
+
+const parser = new IGCParser();
+
+// Characters fed to the parser between progress messages
+const CHUNK_SIZE = 256 * 1024;
+
+/**
+ * Parse a file sent by IGCParseService
+ * Message data: {id, content, options, settings} where settings holds the parser's
+ * altitudeOptions, seriesOptions and cleaningOptions as configured on the page
+ */
+self.onmessage = event => {
+    const { id, content, options, settings } = event.data;
+
+    try {
+        Object.assign(parser, settings);
+
+        const state = parser.startParse(options);
+        for (let offset = 0; offset < content.length; offset += CHUNK_SIZE) {
+            parser.parseChunk(state, content.substring(offset, offset + CHUNK_SIZE));
+            self.postMessage({ id, type: 'progress', loaded: Math.min(offset + CHUNK_SIZE, content.length), total: content.length });
+        }
+
+        self.postMessage({ id, type: 'result', flightData: parser.finishParse(state) });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', name: error.name, message: error.message, diagnostics: error.diagnostics || null });
+    }
+};
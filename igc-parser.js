@@ -2,52 +2,348 @@
  * IGC Parser
  * A library for parsing IGC flight logs
  */
+
+/**
+ * Error thrown by strict parsing when a file violates the IGC specification
+ */
+class IGCValidationError extends Error {
+    /**
+     * Create a validation error
+     * @param {string} message - Error message
+     * @param {object} diagnostics - Diagnostics collected while parsing
+     */
+    constructor(message, diagnostics) {
+        super(message);
+        this.name = 'IGCValidationError';
+        this.diagnostics = diagnostics;
+    }
+}
+
 class IGCParser {
     constructor() {
         // Constants for IGC parsing
         this.METER_TO_FEET = 3.2808399;
         this.KNOTS_TO_KMH = 1.852;
+
+        // Radius used for declared turnpoints that do not specify one (meters)
+        this.DEFAULT_TURNPOINT_RADIUS = 400;
+
+        // Takeoff/landing detection thresholds
+        this.AIRBORNE_SPEED = 15; // km/h, ground speed faster than walking
+        this.AIRBORNE_VERTICAL_SPEED = 1.5; // m/s, climb or sink that walking cannot produce
+        this.AIRBORNE_DURATION = 60; // seconds the pattern must be sustained
+
+        // Glide ratios above this are reported as this value (straight glide with no sink)
+        this.MAX_GLIDE_RATIO = 99;
+
+        // Baro data is rejected when mostly zero, flat, far from GNSS altitude or full of spikes
+        this.MAX_BARO_GNSS_OFFSET = 500; // meters, median difference
+        this.MAX_BARO_RATE = 30; // m/s between consecutive fixes
+        this.MAX_BARO_SPIKE_SHARE = 0.01;
+
+        // ISA sea level pressure (hPa) that pressure altitudes are referenced to
+        this.ISA_PRESSURE = 1013.25;
+
+        // Fix cleaning applied before any statistics are calculated
+        this.cleaningOptions = {
+            dropVoidFixes: false, // Drop fixes logged with validity V
+            maxFixAccuracy: 50, // meters, fixes with a worse logged FXA are dropped (null keeps them all)
+            removeDuplicates: true, // Drop fixes repeating or going back in time
+            maxSpeed: 300, // km/h, faster jumps to a single fix are GPS glitches
+            maxVerticalSpeed: 50, // m/s
+            maxAcceleration: 30, // m/s², sudden changes of horizontal speed
+            maxInterpolationGap: 10 // seconds, shorter gaps are filled with interpolated fixes
+        };
+
+        // Altitude source: 'auto' (pressure unless the baro data looks bogus), 'pressure' or 'gnss'.
+        // With qnhCorrection, pressure altitudes are calibrated to the elevation at takeoff.
+        this.altitudeOptions = {
+            source: 'auto',
+            qnhCorrection: true
+        };
+
+        // Record types defined by the IGC specification
+        this.RECORD_TYPES = 'ABCDEFGHIJKL';
+
+        // Extension codes defined by the IGC specification for I and J records
+        this.KNOWN_EXTENSIONS = [
+            'ACX', 'ACY', 'ACZ', 'ANA', 'ATS', 'BFI', 'CCL', 'CCN', 'CCO', 'CDC', 'CGD', 'CID', 'CLB', 'CM2',
+            'CUR', 'DAE', 'DTE', 'EDN', 'ENL', 'EOF', 'EON', 'EUP', 'FIN', 'FLP', 'FRS', 'FXA', 'GCN', 'GSP',
+            'HDM', 'HDT', 'IAS', 'LAD', 'LOD', 'LOV', 'MAC', 'MOP', 'OA1', 'OA2', 'OA3', 'OA4', 'OAT', 'ONT',
+            'PEV', 'PFC', 'PLT', 'PRS', 'RAI', 'REX', 'RFW', 'RHW', 'RPM', 'SCM', 'SEC', 'SIT', 'SIU', 'STA',
+            'TAS', 'TDS', 'TEN', 'TPC', 'TRM', 'TRT', 'TZN', 'UND', 'UNT', 'VAR', 'VAT', 'VXA', 'WDI', 'WSP'
+        ];
+
+        // Names of the common E record (event) codes
+        this.EVENT_NAMES = {
+            PEV: 'Pilot event',
+            TPC: 'Turnpoint confirmation',
+            ATS: 'Altimeter setting',
+            FLP: 'Flap setting',
+            ONT: 'On task',
+            STA: 'Start',
+            FIN: 'Finish',
+            EON: 'Engine on',
+            EOF: 'Engine off',
+            UND: 'Undercarriage'
+        };
+
+        // Default smoothing windows (seconds) for the vario, ground speed and glide ratio series
+        this.seriesOptions = {
+            varioWindow: 5,
+            speedWindow: 10,
+            glideWindow: 30
+        };
     }
 
     /**
      * Parse an IGC file content
      * @param {string} igcContent - The raw content of the IGC file
-     * @returns {object} - Parsed flight data
-     */
-    parse(igcContent) {
-        // Split the IGC file by lines
-        const lines = igcContent.split('\n');
-        let flightData = {
-            header: this.parseHeader(lines),
-            fixes: [],
-            task: null
+     * @param {object} [options] - Parse options
+     * @param {boolean} [options.strict] - Throw an IGCValidationError when the file violates the specification
+     * @returns {object} - Parsed flight data with diagnostics
+     */
+    parse(igcContent, options = {}) {
+        const state = this.startParse(options);
+        this.parseChunk(state, igcContent);
+        return this.finishParse(state);
+    }
+
+    /**
+     * Start an incremental parse: feed the file in pieces with parseChunk, then call finishParse
+     * @param {object} [options] - Parse options, as for parse
+     * @returns {object} - Parse state
+     */
+    startParse(options = {}) {
+        return {
+            options,
+            flightData: {
+                header: this.createHeader(),
+                fixes: [],
+                task: null,
+                activity: [],
+                events: [],
+                diagnostics: { errors: [], warnings: [] },
+                // Raw records kept for IGCWriter: fixes as logged, before cleaning, and other
+                // records (D, F, K, L and unreadable B lines) with the timestamp of the fix
+                // they followed, or null before the first fix
+                records: { a: null, h: [], j: [], c: [], fixes: [], other: [] }
+            },
+            taskLines: [],
+            loggerRecords: {},
+            // Absolute UTC times: the HFDTE date plus one day for every midnight rollover
+            clock: { dayStart: null, undated: false, last: null },
+            dateFound: false,
+            lineNumber: 0,
+            // Incomplete last line of the previous chunk
+            remainder: ''
         };
+    }
 
-        // Process each line
-        lines.forEach(line => {
-            if (line.startsWith('B')) { // B records contain fix data
-                const fix = this.parseBRecord(line);
-                if (fix) {
-                    flightData.fixes.push(fix);
-                }
-            } else if (line.startsWith('C')) { // C records contain task data
-                // Task parsing would go here if needed
-            }
-        });
+    /**
+     * Parse the next piece of an IGC file
+     * @param {object} state - Parse state from startParse
+     * @param {string} chunk - Next part of the file content, split anywhere
+     */
+    parseChunk(state, chunk) {
+        // Lines are usually CRLF terminated; the last piece waits for the rest of its line
+        const lines = (state.remainder + chunk).split(/\r?\n/);
+        state.remainder = lines.pop();
+        lines.forEach(line => this.parseLine(state, line));
+    }
+
+    /**
+     * Complete an incremental parse and derive the flight data
+     * @param {object} state - Parse state from startParse
+     * @returns {object} - Parsed flight data with diagnostics
+     */
+    finishParse(state) {
+        if (state.remainder) {
+            this.parseLine(state, state.remainder.replace(/\r$/, ''));
+            state.remainder = '';
+        }
+
+        const flightData = state.flightData;
+        const diagnostics = flightData.diagnostics;
+
+        if (state.lineNumber === 0) {
+            diagnostics.errors.push({ line: 1, type: 'missing-header', message: 'The file does not start with an A record' });
+        }
+        if (!state.dateFound) {
+            diagnostics.errors.push({ line: null, type: 'missing-header', message: 'Missing HFDTE (date) header' });
+        }
+
+        // Times read before a late HFDTE record were dated 1970-01-01
+        if (state.clock.dayStart !== null && state.clock.undated && flightData.header.date) {
+            const offset = this.dayStart(flightData.header.date);
+            flightData.fixes.concat(flightData.events, flightData.activity)
+                .forEach(record => { record.timestamp += offset; });
+            flightData.records.other
+                .filter(record => record.timestamp !== null)
+                .forEach(record => { record.timestamp += offset; });
+        }
+        flightData.records.c = state.taskLines;
+        // Cleaning builds a new array, this one keeps every logged fix
+        flightData.records.fixes = flightData.fixes;
+
+        flightData.loggerInfo = this.parseLoggerInfo(state.loggerRecords, flightData.activity, diagnostics);
+
+        if (flightData.fixes.length === 0) {
+            diagnostics.errors.push({ line: null, type: 'no-fixes', message: 'The file contains no valid B records' });
+        }
+
+        if (state.options.strict && diagnostics.errors.length > 0) {
+            throw new IGCValidationError(
+                `IGC file has ${diagnostics.errors.length} specification violation(s); first: ${diagnostics.errors[0].message}`,
+                diagnostics
+            );
+        }
+
+        // Build the declared task from the collected C records
+        flightData.task = this.parseTask(state.taskLines);
+
+        return this.completeFlightData(flightData);
+    }
+
+    /**
+     * Derive everything else from the fixes: cleaning, altitude, takeoff/landing, series and statistics.
+     * Also used for tracks imported from other formats.
+     * @param {object} flightData - Flight data with header, fixes and events
+     * @returns {object} - The same flight data, completed
+     */
+    completeFlightData(flightData) {
+        // Remove glitches before anything is derived from the fixes
+        const cleaned = this.cleanFixes(flightData.fixes);
+        flightData.fixes = cleaned.fixes;
+        flightData.cleaning = cleaned.report;
 
-        // Calculate additional flight statistics
+        // Tie every event to the fix closest in time
+        this.locateEvents(flightData.events, flightData.fixes);
+
+        // Pick the altitude source, detect the airborne part, then calibrate QNH at takeoff
+        this.applyAltitude(flightData);
+        flightData.airborne = this.detectTakeoffLanding(flightData.fixes);
+        this.applyAltitude(flightData);
+
+        // Calculate statistics over the airborne part
+        flightData.series = this.calculateSeries(flightData.fixes);
         this.calculateFlightStats(flightData);
 
         return flightData;
     }
 
     /**
-     * Parse the header information from IGC file
-     * @param {string[]} lines - Array of IGC file lines
+     * Parse one line of an IGC file into the parse state
+     * @param {object} state - Parse state from startParse
+     * @param {string} line - Line without its terminator
+     */
+    parseLine(state, line) {
+        const lineNumber = ++state.lineNumber;
+        const flightData = state.flightData;
+        const diagnostics = flightData.diagnostics;
+
+        // The A record (logger manufacturer and ID) must be the first record
+        if (lineNumber === 1) {
+            if (line.startsWith('A')) {
+                flightData.records.a = line;
+                flightData.header.manufacturer = line.substring(1, 4).toUpperCase();
+                flightData.header.loggerId = line.substring(4).trim() || null;
+            } else {
+                diagnostics.errors.push({ line: 1, type: 'missing-header', message: 'The file does not start with an A record' });
+            }
+        }
+
+        if (line.trim() && !this.RECORD_TYPES.includes(line.charAt(0))) {
+            diagnostics.errors.push({ line: lineNumber, type: 'unknown-record', message: `Unknown record type "${line.charAt(0)}"` });
+        } else if (line.startsWith('B')) { // B records contain fix data
+            const problem = this.validateBRecord(line);
+            if (problem && problem.severity === 'error') {
+                diagnostics.errors.push({ line: lineNumber, type: problem.type, message: problem.message });
+                this.keepRecord(flightData, line);
+                return;
+            }
+            if (problem) {
+                diagnostics.warnings.push({ line: lineNumber, type: problem.type, message: problem.message });
+            }
+
+            const fix = this.parseBRecord(line, flightData.header.extensions);
+            if (fix) {
+                fix.timestamp = this.epochTime(state.clock, fix.timestamp, flightData.header.date);
+                const previous = flightData.fixes[flightData.fixes.length - 1];
+                if (previous && this.timeDifference(previous, fix) <= 0) {
+                    diagnostics.warnings.push({
+                        line: lineNumber,
+                        type: 'time-order',
+                        message: `Fix time ${fix.time} is not after the previous fix (${previous.time})`
+                    });
+                }
+                flightData.fixes.push(fix);
+            } else {
+                this.keepRecord(flightData, line);
+            }
+        } else if (line.startsWith('H')) { // H records hold the header
+            if (line.startsWith('HFDTE') && !state.dateFound) {
+                state.dateFound = true;
+                const match = line.match(/HFDTE(?:DATE:)?(\d{6})/);
+                if (!match || !this.parseDate(match[1])) {
+                    diagnostics.errors.push({ line: lineNumber, type: 'bad-header', message: 'Invalid HFDTE date' });
+                }
+            }
+            this.parseHeaderLine(flightData.header, line);
+            flightData.records.h.push(line);
+        } else if (line.startsWith('I') || line.startsWith('J')) { // Extensions of B and K records
+            this.checkExtensionRecord(line, lineNumber, diagnostics);
+            if (line.startsWith('I')) {
+                flightData.header.extensions = this.parseIRecord(line);
+            } else {
+                flightData.records.j.push(line);
+            }
+        } else if (line.startsWith('C')) { // C records contain task data
+            state.taskLines.push(line);
+        } else if (line.startsWith('E')) { // E records mark events
+            const event = this.parseERecord(line);
+            if (event) {
+                event.timestamp = this.epochTime(state.clock, event.timestamp, flightData.header.date);
+                flightData.events.push(event);
+            } else {
+                diagnostics.warnings.push({ line: lineNumber, type: 'malformed-record', message: 'Malformed E record' });
+            }
+        }
+
+        // Records the viewer does not use are kept in place for writing the file back
+        if (/^[DFKL]/.test(line)) {
+            this.keepRecord(flightData, line);
+        }
+
+        if (line.startsWith('LXCTACTIVITY')) { // XCTrack activity recognition
+            const activity = this.parseActivity(line, flightData.fixes[flightData.fixes.length - 1]);
+            if (activity) {
+                flightData.activity.push(activity);
+            }
+        } else if (line.startsWith('LXCT')) { // Other XCTrack records, values may span several lines
+            const match = line.match(/^LXCT([A-Z]+)\s?(.*)$/);
+            if (match) {
+                (state.loggerRecords[match[1]] = state.loggerRecords[match[1]] || []).push(match[2]);
+            }
+        }
+    }
+
+    /**
+     * Keep a record for IGCWriter after the last fix read so far
+     * @param {object} flightData - Flight data being parsed
+     * @param {string} line - Record line
+     */
+    keepRecord(flightData, line) {
+        const lastFix = flightData.fixes[flightData.fixes.length - 1];
+        flightData.records.other.push({ line, timestamp: lastFix ? lastFix.timestamp : null });
+    }
+
+    /**
+     * Create the header with its defaults, filled in by parseHeaderLine
      * @returns {object} - Header information
      */
-    parseHeader(lines) {
-        const header = {
+    createHeader() {
+        return {
             date: null,
             pilot: 'Unknown',
             gliderType: 'Unknown',
@@ -56,67 +352,509 @@ class IGCParser {
             firmwareVersion: null,
             hardwareVersion: null,
             loggerType: 'Unknown',
-            competitionId: null
+            manufacturer: null,
+            loggerId: null,
+            competitionId: null,
+            gnssAltitudeDatum: null,
+            pressureSensor: null,
+            timezoneOffset: null,
+            extensions: []
         };
+    }
 
-        lines.forEach(line => {
-            if (line.startsWith('HFDTE')) {
-                // Date format: HFDTEDATE:DDMMYY
-                const match = line.match(/HFDTE(\d{2})(\d{2})(\d{2})/);
-                if (match) {
-                    const day = match[1];
-                    const month = match[2];
-                    const year = '20' + match[3]; // Assuming all files are post-2000
-                    header.date = `${year}-${month}-${day}`;
-                }
-            } else if (line.match(/H[FO]PLT/)) {
-                // Pilot
-                const match = line.match(/H[FO]PLT.*?:(.*)/);
-                if (match && match[1].trim()) {
-                    header.pilot = match[1].trim();
-                }
-            } else if (line.match(/H[FO]GTY/)) {
-                // Glider type
-                const match = line.match(/H[FO]GTY.*?:(.*)/);
-                if (match && match[1].trim()) {
-                    header.gliderType = match[1].trim();
-                }
-            } else if (line.match(/H[FO]GID/)) {
-                // Glider ID
-                const match = line.match(/H[FO]GID.*?:(.*)/);
-                if (match && match[1].trim()) {
-                    header.gliderReg = match[1].trim();
-                }
-            } else if (line.match(/H[FO]CID/)) {
-                // Competition ID
-                const match = line.match(/H[FO]CID.*?:(.*)/);
-                if (match && match[1].trim()) {
-                    header.competitionId = match[1].trim();
-                }
-            } else if (line.startsWith('HFRFW')) {
-                // Firmware version
-                const match = line.match(/HFRFW.*?:(.*)/);
-                if (match && match[1].trim()) {
-                    header.firmwareVersion = match[1].trim();
-                }
-            } else if (line.startsWith('HFRHW')) {
-                // Hardware version
-                const match = line.match(/HFRHW.*?:(.*)/);
-                if (match && match[1].trim()) {
-                    header.hardwareVersion = match[1].trim();
+    /**
+     * Parse an H record into the header
+     * @param {object} header - Header from createHeader, updated in place
+     * @param {string} line - H record line
+     */
+    parseHeaderLine(header, line) {
+        if (line.startsWith('HFDTE')) {
+            // Date format: HFDTEDATE:DDMMYY
+            const match = line.match(/HFDTE(?:DATE:)?(\d{6})/);
+            if (match) {
+                header.date = this.parseDate(match[1]);
+            }
+        } else if (line.match(/H[FO]PLT/)) {
+            // Pilot
+            const match = line.match(/H[FO]PLT.*?:(.*)/);
+            if (match && match[1].trim()) {
+                header.pilot = match[1].trim();
+            }
+        } else if (line.match(/H[FO]GTY/)) {
+            // Glider type
+            const match = line.match(/H[FO]GTY.*?:(.*)/);
+            if (match && match[1].trim()) {
+                header.gliderType = match[1].trim();
+            }
+        } else if (line.match(/H[FO]GID/)) {
+            // Glider ID
+            const match = line.match(/H[FO]GID.*?:(.*)/);
+            if (match && match[1].trim()) {
+                header.gliderReg = match[1].trim();
+            }
+        } else if (line.match(/H[FO]CID/)) {
+            // Competition ID
+            const match = line.match(/H[FO]CID.*?:(.*)/);
+            if (match && match[1].trim()) {
+                header.competitionId = match[1].trim();
+            }
+        } else if (line.startsWith('HFRFW')) {
+            // Firmware version
+            const match = line.match(/HFRFW.*?:(.*)/);
+            if (match && match[1].trim()) {
+                header.firmwareVersion = match[1].trim();
+            }
+        } else if (line.startsWith('HFRHW')) {
+            // Hardware version
+            const match = line.match(/HFRHW.*?:(.*)/);
+            if (match && match[1].trim()) {
+                header.hardwareVersion = match[1].trim();
+            }
+        } else if (line.startsWith('HFTZN')) {
+            // Local time offset from UTC in hours, e.g. HFTZNTIMEZONE:7
+            const match = line.match(/HFTZN.*?:\s*([+-]?\d+(?:\.\d+)?)/);
+            if (match) {
+                header.timezoneOffset = parseFloat(match[1]);
+            }
+        } else if (line.startsWith('HFALG')) {
+            // GNSS altitude reference, e.g. ELL (ellipsoid) or GEO (geoid)
+            const match = line.match(/HFALG.*?:(.*)/);
+            if (match && match[1].trim()) {
+                header.gnssAltitudeDatum = match[1].trim();
+            }
+        } else if (line.startsWith('HFALP')) {
+            // Pressure altitude reference, e.g. ISA
+            const match = line.match(/HFALP.*?:(.*)/);
+            if (match && match[1].trim()) {
+                header.pressureSensor = match[1].trim();
+            }
+        }
+    }
+
+    /**
+     * Check an I or J record and the extensions it declares
+     * @param {string} line - I or J record line
+     * @param {number} lineNumber - Line number in the file
+     * @param {object} diagnostics - Diagnostics as {errors, warnings}, updated in place
+     */
+    checkExtensionRecord(line, lineNumber, diagnostics) {
+        const extensions = this.parseIRecord(line);
+        const declared = parseInt(line.substr(1, 2), 10);
+        if (isNaN(declared) || extensions.length !== declared) {
+            diagnostics.errors.push({ line: lineNumber, type: 'malformed-record', message: `Malformed ${line.charAt(0)} record` });
+        }
+        extensions
+            .filter(extension => !this.KNOWN_EXTENSIONS.includes(extension.code))
+            .forEach(extension => diagnostics.warnings.push({
+                line: lineNumber,
+                type: 'unsupported-extension',
+                message: `Unsupported extension ${extension.code}`
+            }));
+    }
+
+    /**
+     * Check a B record against the fixed layout of the specification
+     * @param {string} line - B record line
+     * @returns {object|null} - Problem as {severity, type, message} or null if the record is valid
+     */
+    validateBRecord(line) {
+        if (line.length < 35) {
+            return { severity: 'error', type: 'malformed-record', message: `B record is too short (${line.length} characters)` };
+        }
+
+        const time = line.substr(1, 6).match(/^(\d{2})(\d{2})(\d{2})$/);
+        if (!time || parseInt(time[1], 10) > 23 || parseInt(time[2], 10) > 59 || parseInt(time[3], 10) > 59) {
+            return { severity: 'error', type: 'bad-time', message: `Invalid fix time "${line.substr(1, 6)}"` };
+        }
+
+        const latitude = line.substr(7, 8).match(/^(\d{2})(\d{2})\d{3}[NS]$/);
+        if (!latitude || parseInt(latitude[1], 10) > 90 || parseInt(latitude[2], 10) > 59) {
+            return { severity: 'error', type: 'bad-coordinate', message: `Invalid latitude "${line.substr(7, 8)}"` };
+        }
+
+        const longitude = line.substr(15, 9).match(/^(\d{3})(\d{2})\d{3}[EW]$/);
+        if (!longitude || parseInt(longitude[1], 10) > 180 || parseInt(longitude[2], 10) > 59) {
+            return { severity: 'error', type: 'bad-coordinate', message: `Invalid longitude "${line.substr(15, 9)}"` };
+        }
+
+        if (!/^[-\d]\d{4}[-\d]\d{4}$/.test(line.substr(25, 10))) {
+            return { severity: 'error', type: 'bad-altitude', message: `Invalid altitude "${line.substr(25, 10)}"` };
+        }
+
+        if (line.charAt(24) !== 'A' && line.charAt(24) !== 'V') {
+            return { severity: 'warning', type: 'bad-validity', message: `Unknown fix validity "${line.charAt(24)}"` };
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse an I record declaring the extension fields appended to B records
+     * @param {string} line - I record line, e.g. I023636LAD3737LOD
+     * @returns {object[]} - Extensions as {code, start, end} with 0-based inclusive offsets
+     */
+    parseIRecord(line) {
+        const extensions = [];
+        const count = parseInt(line.substr(1, 2), 10);
+        if (isNaN(count)) {
+            return extensions;
+        }
+
+        for (let i = 0; i < count; i++) {
+            // Each entry is SSFFCCC: start byte, finish byte (1-based), three letter code
+            const entry = line.substr(3 + i * 7, 7);
+            const match = entry.match(/^(\d{2})(\d{2})([A-Z0-9]{3})$/);
+            if (!match) {
+                break;
+            }
+
+            extensions.push({
+                code: match[3],
+                start: parseInt(match[1], 10) - 1,
+                end: parseInt(match[2], 10) - 1
+            });
+        }
+
+        return extensions;
+    }
+
+    /**
+     * Parse an E record (event)
+     * @param {string} line - E record line, e.g. E052421TPCWaypoint WPT 1 reached
+     * @returns {object|null} - Event or null if malformed
+     */
+    parseERecord(line) {
+        const match = line.match(/^E(\d{2})(\d{2})(\d{2})([A-Z0-9]{3})(.*)$/);
+        if (!match) {
+            return null;
+        }
+
+        const hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        const seconds = parseInt(match[3], 10);
+        if (hours > 23 || minutes > 59 || seconds > 59) {
+            return null;
+        }
+
+        return {
+            time: `${match[1]}:${match[2]}:${match[3]}`,
+            timestamp: hours * 3600 + minutes * 60 + seconds,
+            code: match[4],
+            name: this.EVENT_NAMES[match[4]] || match[4],
+            text: match[5].trim(),
+            fixIndex: null
+        };
+    }
+
+    /**
+     * Set the index of the fix closest in time on every event
+     * @param {object[]} events - Events from parseERecord, in file order
+     * @param {object[]} fixes - Flight fixes
+     */
+    locateEvents(events, fixes) {
+        if (fixes.length === 0) {
+            return;
+        }
+
+        // Seconds since the first fix
+        const elapsed = fixes.map(fix => this.timeDifference(fixes[0], fix));
+
+        let index = 0;
+        events.forEach(event => {
+            const time = this.timeDifference(fixes[0], event);
+
+            // Events are in time order, so the search continues from the previous one
+            if (index > 0 && elapsed[index] > time) {
+                index = 0;
+            }
+            while (index < fixes.length - 1 && elapsed[index + 1] <= time) {
+                index++;
+            }
+            if (index < fixes.length - 1 && elapsed[index + 1] - time < time - elapsed[index]) {
+                event.fixIndex = index + 1;
+            } else {
+                event.fixIndex = index;
+            }
+        });
+    }
+
+    /**
+     * Parse an XCTrack activity recognition line
+     * @param {string} line - L record line, e.g. LXCTACTIVITY IN_VEHICLE 91
+     * @param {object|undefined} lastFix - Most recent fix, which dates the report
+     * @returns {object|null} - Activity report or null if malformed
+     */
+    parseActivity(line, lastFix) {
+        const match = line.match(/^LXCTACTIVITY\s+(\w+)\s+(\d+)/);
+        if (!match) {
+            return null;
+        }
+
+        return {
+            time: lastFix ? lastFix.time : null,
+            timestamp: lastFix ? lastFix.timestamp : 0,
+            activity: match[1],
+            confidence: parseInt(match[2], 10)
+        };
+    }
+
+    /**
+     * Decode the XCTrack L records into logger details
+     * @param {object} records - Record values keyed by record name (DEVICE, SENSOR, ...), in file order
+     * @param {object[]} activity - Activity reports from parseActivity
+     * @param {object} diagnostics - Parse diagnostics, records that cannot be decoded are added as warnings
+     * @returns {object|null} - Logger details or null if the file has no XCTrack records
+     */
+    parseLoggerInfo(records, activity, diagnostics) {
+        if (Object.keys(records).length === 0 && activity.length === 0) {
+            return null;
+        }
+
+        // DEVICE and STATS hold base64 JSON split over several lines
+        const device = this.decodeBase64Json(records, 'DEVICE', diagnostics) || {};
+        const stats = this.decodeBase64Json(records, 'STATS', diagnostics);
+        const hardware = device.device || {};
+        const app = device.xctrack || {};
+
+        return {
+            application: 'XCTrack',
+            appVersion: app.versionName || null,
+            appVersionCode: app.versionCode || null,
+            deviceId: device.deviceId || null,
+            model: hardware.manufacturer && hardware.model ?
+                `${hardware.manufacturer} ${hardware.model}` :
+                (hardware.deviceString || null),
+            osVersion: hardware.sdk ? `Android SDK ${hardware.sdk}` : null,
+            timezone: hardware.timezone || null,
+            capabilities: device.capabilities || {},
+            device: hardware,
+            sensors: (records.SENSOR || []).map(value => value.replace(/^Sensors:\s*/, '')),
+            earthModel: records.EARTHMODEL ? records.EARTHMODEL.join(' ') : null,
+            faiCivlCompliant: records.FAICIVLCOMPLIANT ? records.FAICIVLCOMPLIANT[0].trim() === 'true' : null,
+            stats: stats ? stats.stats || stats : null,
+            // Same reports as flightData.activity, in time order
+            activity
+        };
+    }
+
+    /**
+     * Decode JSON that was base64 encoded and split over several record lines
+     * @param {object} records - Record values keyed by record name, as for parseLoggerInfo
+     * @param {string} name - Name of the record to decode, e.g. DEVICE
+     * @param {object} diagnostics - Parse diagnostics, a malformed record is added as a warning
+     * @returns {object|null} - Decoded object or null if missing or malformed
+     */
+    decodeBase64Json(records, name, diagnostics) {
+        const parts = records[name];
+        if (!parts || parts.length === 0) {
+            return null;
+        }
+
+        try {
+            const binary = atob(parts.join('').replace(/\s+/g, ''));
+            const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+            return JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            diagnostics.warnings.push({
+                line: null,
+                type: 'malformed-record',
+                message: `LXCT${name} record could not be decoded: ${error.message}`
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Parse the C records into a declared task
+     * @param {string[]} lines - C record lines in file order
+     * @returns {object|null} - Declared task or null if no declaration is present
+     */
+    parseTask(lines) {
+        if (lines.length === 0) {
+            return null;
+        }
+
+        // First line: declaration date/time, flight date, task id, number of turnpoints, task name
+        // Example: C120125044103120125000102TASK
+        const declaration = lines[0];
+        const entries = lines.slice(1);
+
+        // The count excludes takeoff, start, finish and landing. Loggers without a task
+        // write it as the line count minus four (XCTrack: -2), so a count that is not two
+        // digits is taken from the lines instead.
+        const countField = declaration.substr(23, 2);
+        const turnpointCount = /^\d{2}$/.test(countField) ?
+            parseInt(countField, 10) :
+            Math.max(entries.length - 4, 0);
+
+        const task = {
+            declarationDate: this.parseDate(declaration.substr(1, 6)),
+            declarationTime: this.formatTimeField(declaration.substr(7, 6)),
+            flightDate: this.parseDate(declaration.substr(13, 6)),
+            taskId: declaration.substr(19, 4),
+            turnpointCount,
+            name: declaration.substr(25).trim(),
+            turnpoints: []
+        };
+
+        // Remaining lines are takeoff, start, turnpoints, finish and landing in that order
+        entries.forEach((line, index) => {
+            const turnpoint = this.parseTaskTurnpoint(line);
+            if (!turnpoint) {
+                return;
+            }
+
+            // Placeholder entries (0000000N00000000E) carry no position
+            if (turnpoint.latitude === 0 && turnpoint.longitude === 0) {
+                return;
+            }
+
+            if (!turnpoint.type) {
+                if (index === 0) {
+                    turnpoint.type = 'takeoff';
+                } else if (index === entries.length - 1) {
+                    turnpoint.type = 'landing';
+                } else if (index === 1) {
+                    turnpoint.type = 'start';
+                } else if (index === entries.length - 2) {
+                    turnpoint.type = 'finish';
+                } else {
+                    turnpoint.type = 'turnpoint';
                 }
             }
+
+            task.turnpoints.push(turnpoint);
         });
 
-        return header;
+        return task;
+    }
+
+    /**
+     * Parse a single C record turnpoint line
+     * @param {string} line - C record line, e.g. C2128040N10537980E...STARTAREA WPT 1
+     * @returns {object|null} - Turnpoint or null if the line is malformed
+     */
+    parseTaskTurnpoint(line) {
+        const match = line.match(/^C(\d{2})(\d{5})([NS])(\d{3})(\d{5})([EW])(.*)$/);
+        if (!match) {
+            return null;
+        }
+
+        const latitude = (match[3] === 'N' ? 1 : -1) *
+            (parseInt(match[1], 10) + parseInt(match[2], 10) / 1000 / 60);
+        const longitude = (match[6] === 'E' ? 1 : -1) *
+            (parseInt(match[4], 10) + parseInt(match[5], 10) / 1000 / 60);
+
+        let text = match[7].trim();
+        let radius = this.DEFAULT_TURNPOINT_RADIUS;
+        let type = null;
+
+        // Flyskyhy extension: 26 digits of zone geometry followed by the area type,
+        // the cylinder radius in meters is held in digits 10-14
+        const areaMatch = text.match(/^(\d{26})(STARTAREA|TURNAREA|FINISHAREA)\s*(.*)$/);
+        if (areaMatch) {
+            radius = parseInt(areaMatch[1].substr(9, 5), 10) || this.DEFAULT_TURNPOINT_RADIUS;
+            type = {
+                STARTAREA: 'start',
+                TURNAREA: 'turnpoint',
+                FINISHAREA: 'finish'
+            }[areaMatch[2]];
+            text = areaMatch[3].trim();
+        }
+
+        return {
+            name: text || 'WPT',
+            latitude,
+            longitude,
+            radius,
+            type
+        };
+    }
+
+    /**
+     * Convert an IGC DDMMYY date to YYYY-MM-DD
+     * @param {string} value - Date in DDMMYY format
+     * @returns {string|null} - ISO date or null if the date is empty
+     */
+    parseDate(value) {
+        const match = value.match(/^(\d{2})(\d{2})(\d{2})$/);
+        if (!match || value === '000000') {
+            return null;
+        }
+
+        const day = parseInt(match[1], 10);
+        const month = parseInt(match[2], 10);
+        if (day < 1 || day > 31 || month < 1 || month > 12) {
+            return null;
+        }
+
+        // Two-digit years ahead of next year can only be from the 1990s, when the IGC format started
+        const shortYear = parseInt(match[3], 10);
+        const year = 2000 + shortYear > new Date().getFullYear() + 1 ? 1900 + shortYear : 2000 + shortYear;
+        return `${year}-${match[2]}-${match[1]}`;
+    }
+
+    /**
+     * UTC epoch seconds at the start of a flight date
+     * @param {string|null} date - ISO date from parseDate
+     * @returns {number} - Seconds since 1970-01-01 UTC, 0 when the date is unknown
+     */
+    dayStart(date) {
+        const time = date ? Date.parse(`${date}T00:00:00Z`) : NaN;
+        return isNaN(time) ? 0 : time / 1000;
+    }
+
+    /**
+     * Turn a time of day into UTC epoch seconds, moving to the next day when the time wraps past midnight
+     * @param {object} clock - {dayStart, undated, last} state shared by the records of one file, updated in place
+     * @param {number} secondsOfDay - Seconds since midnight UTC
+     * @param {string|null} date - Flight date from the header, used by the first timed record
+     * @returns {number} - UTC epoch seconds
+     */
+    epochTime(clock, secondsOfDay, date) {
+        if (clock.dayStart === null) {
+            clock.dayStart = this.dayStart(date);
+            clock.undated = !date;
+        }
+
+        // Records are in time order, so a large step back means the log crossed midnight
+        if (clock.last !== null && secondsOfDay < clock.last - 12 * 3600) {
+            clock.dayStart += 24 * 3600;
+        }
+        clock.last = secondsOfDay;
+        return clock.dayStart + secondsOfDay;
+    }
+
+    /**
+     * Format UTC epoch seconds as HH:MM:SS UTC
+     * @param {number} timestamp - UTC epoch seconds
+     * @returns {string} - Time of day in UTC
+     */
+    formatUtcTime(timestamp) {
+        const secondsOfDay = ((Math.round(timestamp) % 86400) + 86400) % 86400;
+        const hours = Math.floor(secondsOfDay / 3600);
+        const minutes = Math.floor((secondsOfDay % 3600) / 60);
+        const seconds = secondsOfDay % 60;
+        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Convert an IGC HHMMSS time to HH:MM:SS
+     * @param {string} value - Time in HHMMSS format
+     * @returns {string|null} - Formatted time or null if malformed
+     */
+    formatTimeField(value) {
+        const match = value.match(/^(\d{2})(\d{2})(\d{2})$/);
+        return match ? `${match[1]}:${match[2]}:${match[3]}` : null;
     }
 
     /**
      * Parse a B record (fix) from the IGC file
      * @param {string} line - B record line
+     * @param {object[]} [extensions] - Extension fields declared in the I record
      * @returns {object|null} - Parsed fix data or null if invalid
      */
-    parseBRecord(line) {
+    parseBRecord(line, extensions = []) {
         // B record format: B,time,lat,long,validity,pressure alt,gnss alt,other optional fields
         // Example: B1101355206343N00006198WA0058700614
         if (line.length < 35) {
@@ -129,17 +867,30 @@ class IGCParser {
         const minutes = parseInt(time.substr(2, 2), 10);
         const seconds = parseInt(time.substr(4, 2), 10);
 
+        // Extract extension fields declared in the I record
+        const fixExtensions = {};
+        extensions.forEach(extension => {
+            if (extension.end < line.length) {
+                const raw = line.substring(extension.start, extension.end + 1);
+                fixExtensions[extension.code] = this.parseExtensionValue(raw);
+            }
+        });
+
+        // LAD/LOD carry additional decimal digits of the latitude/longitude minutes
+        const latExtraDigits = this.getExtensionDigits(line, extensions, 'LAD');
+        const lonExtraDigits = this.getExtensionDigits(line, extensions, 'LOD');
+
         // Extract latitude
         const latDegrees = parseInt(line.substr(7, 2), 10);
         const latMinutes = parseInt(line.substr(9, 2), 10);
-        const latDecimalMinutes = parseInt(line.substr(11, 3), 10) / 1000;
+        const latDecimalMinutes = parseFloat('0.' + line.substr(11, 3) + latExtraDigits);
         const latDirection = line.charAt(14) === 'N' ? 1 : -1;
         const latitude = latDirection * (latDegrees + (latMinutes + latDecimalMinutes) / 60);
 
         // Extract longitude
         const lonDegrees = parseInt(line.substr(15, 3), 10);
         const lonMinutes = parseInt(line.substr(18, 2), 10);
-        const lonDecimalMinutes = parseInt(line.substr(20, 3), 10) / 1000;
+        const lonDecimalMinutes = parseFloat('0.' + line.substr(20, 3) + lonExtraDigits);
         const lonDirection = line.charAt(23) === 'E' ? 1 : -1;
         const longitude = lonDirection * (lonDegrees + (lonMinutes + lonDecimalMinutes) / 60);
 
@@ -157,8 +908,519 @@ class IGCParser {
             longitude,
             validity: validity === 'A', // 'A' is valid, 'V' is void
             pressureAltitude,
-            gnssAltitude
+            gnssAltitude,
+            altitude: pressureAltitude, // Selected altitude, set by applyAltitude
+            extensions: fixExtensions
+        };
+    }
+
+    /**
+     * Convert a raw extension field to a typed value
+     * @param {string} raw - Raw characters of the extension field
+     * @returns {number|string} - Numeric value when the field is numeric, otherwise the trimmed text
+     */
+    parseExtensionValue(raw) {
+        const trimmed = raw.trim();
+        if (/^[+-]?\d+$/.test(trimmed)) {
+            return parseInt(trimmed, 10);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Get the raw digits of an extension field, used for LAD/LOD precision
+     * @param {string} line - B record line
+     * @param {object[]} extensions - Extension fields declared in the I record
+     * @param {string} code - Extension code
+     * @returns {string} - Digits of the field, or an empty string if absent
+     */
+    getExtensionDigits(line, extensions, code) {
+        const extension = extensions.find(ext => ext.code === code);
+        if (!extension || extension.end >= line.length) {
+            return '';
+        }
+
+        const digits = line.substring(extension.start, extension.end + 1);
+        return /^\d+$/.test(digits) ? digits : '';
+    }
+
+    /**
+     * Clean fixes: drop void and inaccurate fixes, duplicates and glitches, then interpolate short gaps
+     * @param {object[]} fixes - Fixes in logging order
+     * @param {object} [options] - Overrides of cleaningOptions
+     * @returns {object} - {fixes, report} where report lists every change
+     */
+    cleanFixes(fixes, options = {}) {
+        const settings = Object.assign({}, this.cleaningOptions, options);
+        const changes = [];
+        const remove = (fix, reason) => changes.push({ type: 'removed', time: fix.time, reason });
+
+        // Void or inaccurate fixes and duplicate or backwards timestamps
+        let kept = [];
+        fixes.forEach(fix => {
+            if (settings.dropVoidFixes && !fix.validity) {
+                remove(fix, 'void fix');
+                return;
+            }
+
+            const accuracy = fix.extensions ? fix.extensions.FXA : undefined;
+            if (settings.maxFixAccuracy !== null && typeof accuracy === 'number' && accuracy > settings.maxFixAccuracy) {
+                remove(fix, 'poor accuracy');
+                return;
+            }
+
+            const previous = kept[kept.length - 1];
+            if (settings.removeDuplicates && previous) {
+                const dt = this.timeDifference(previous, fix);
+                if (dt === 0) {
+                    remove(fix, 'duplicate timestamp');
+                    return;
+                }
+                if (dt < 0) {
+                    remove(fix, 'timestamp goes back in time');
+                    return;
+                }
+            }
+
+            kept.push(fix);
+        });
+
+        // Single-fix glitches: a jump away and back again that no glider can fly
+        const cleaned = [];
+        kept.forEach((fix, i) => {
+            const previous = cleaned[cleaned.length - 1];
+            const next = kept[i + 1];
+            if (previous && next) {
+                const reason = this.glitchReason(cleaned[cleaned.length - 2], previous, fix, settings);
+                if (reason && !this.glitchReason(cleaned[cleaned.length - 2], previous, next, settings)) {
+                    remove(fix, reason);
+                    return;
+                }
+            }
+            cleaned.push(fix);
+        });
+        kept = cleaned;
+
+        // Fill short gaps at the usual logging interval
+        const intervals = [];
+        for (let i = 1; i < kept.length; i++) {
+            intervals.push(this.timeDifference(kept[i - 1], kept[i]));
+        }
+        intervals.sort((a, b) => a - b);
+        const interval = intervals.length > 0 ? Math.max(1, intervals[Math.floor(intervals.length / 2)]) : 1;
+
+        const result = [];
+        kept.forEach((fix, i) => {
+            const previous = kept[i - 1];
+            if (previous) {
+                const gap = this.timeDifference(previous, fix);
+                if (gap > interval && gap <= settings.maxInterpolationGap) {
+                    for (let t = interval; t < gap; t += interval) {
+                        const interpolated = this.interpolateFix(previous, fix, t / gap);
+                        result.push(interpolated);
+                        changes.push({ type: 'interpolated', time: interpolated.time, reason: `${gap}s gap` });
+                    }
+                }
+            }
+            result.push(fix);
+        });
+
+        const count = type => changes.filter(change => change.type === type).length;
+        const countReason = reason => changes.filter(change => change.reason === reason).length;
+
+        return {
+            fixes: result,
+            report: {
+                options: settings,
+                originalCount: fixes.length,
+                finalCount: result.length,
+                voidRemoved: countReason('void fix'),
+                accuracyRemoved: countReason('poor accuracy'),
+                duplicatesRemoved: countReason('duplicate timestamp') + countReason('timestamp goes back in time'),
+                glitchesRemoved: count('removed') - countReason('void fix') - countReason('poor accuracy') -
+                    countReason('duplicate timestamp') - countReason('timestamp goes back in time'),
+                interpolated: count('interpolated'),
+                changes
+            }
+        };
+    }
+
+    /**
+     * Check whether moving from one fix to another is physically impossible
+     * @param {object|undefined} beforePrevious - Fix before the previous one, for acceleration
+     * @param {object} previous - Previous fix
+     * @param {object} fix - Fix to check
+     * @param {object} settings - Cleaning options
+     * @returns {string|null} - Reason the move is impossible, or null if plausible
+     */
+    glitchReason(beforePrevious, previous, fix, settings) {
+        const dt = this.timeDifference(previous, fix);
+        if (dt <= 0) {
+            return null;
+        }
+
+        const speed = this.calculateDistance(previous.latitude, previous.longitude, fix.latitude, fix.longitude) * 1000 / dt;
+        if (speed * 3.6 > settings.maxSpeed) {
+            return 'impossible speed';
+        }
+
+        if (Math.abs(fix.pressureAltitude - previous.pressureAltitude) / dt > settings.maxVerticalSpeed ||
+            Math.abs(fix.gnssAltitude - previous.gnssAltitude) / dt > settings.maxVerticalSpeed) {
+            return 'impossible climb or sink';
+        }
+
+        if (beforePrevious) {
+            const previousDt = this.timeDifference(beforePrevious, previous);
+            if (previousDt > 0) {
+                const previousSpeed = this.calculateDistance(
+                    beforePrevious.latitude, beforePrevious.longitude, previous.latitude, previous.longitude
+                ) * 1000 / previousDt;
+                if (Math.abs(speed - previousSpeed) / dt > settings.maxAcceleration) {
+                    return 'impossible acceleration';
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Create a fix between two fixes by linear interpolation
+     * @param {object} from - Fix before the gap
+     * @param {object} to - Fix after the gap
+     * @param {number} fraction - Position in the gap (0-1)
+     * @returns {object} - Interpolated fix, flagged as such
+     */
+    interpolateFix(from, to, fraction) {
+        const lerp = (a, b) => a + (b - a) * fraction;
+        const timestamp = Math.round(lerp(from.timestamp, to.timestamp));
+
+        return {
+            time: this.formatUtcTime(timestamp),
+            timestamp,
+            latitude: lerp(from.latitude, to.latitude),
+            longitude: lerp(from.longitude, to.longitude),
+            validity: from.validity && to.validity,
+            pressureAltitude: Math.round(lerp(from.pressureAltitude, to.pressureAltitude)),
+            gnssAltitude: Math.round(lerp(from.gnssAltitude, to.gnssAltitude)),
+            altitude: Math.round(lerp(from.altitude, to.altitude)),
+            extensions: Object.assign({}, from.extensions),
+            interpolated: true
+        };
+    }
+
+    /**
+     * Seconds from one fix to the next
+     * @param {object} from - Earlier fix
+     * @param {object} to - Later fix
+     * @returns {number} - Seconds between the fixes (negative when going back in time)
+     */
+    timeDifference(from, to) {
+        return to.timestamp - from.timestamp;
+    }
+
+    /**
+     * Check whether the pressure altitudes of a log can be trusted
+     * @param {object[]} fixes - Flight fixes
+     * @returns {object} - {valid, reason} where reason explains a rejection
+     */
+    checkBaro(fixes) {
+        if (fixes.length === 0) {
+            return { valid: false, reason: 'no fixes' };
+        }
+
+        // Phone loggers without a barometer often write zeros
+        const zeros = fixes.filter(fix => fix.pressureAltitude === 0).length;
+        if (zeros > fixes.length / 2) {
+            return { valid: false, reason: 'pressure altitude is zero' };
+        }
+
+        const altitudes = fixes.map(fix => fix.pressureAltitude);
+        if (Math.max(...altitudes) === Math.min(...altitudes)) {
+            return { valid: false, reason: 'pressure altitude is constant' };
+        }
+
+        // Jumps no glider can fly point at a broken sensor
+        let spikes = 0;
+        for (let i = 1; i < fixes.length; i++) {
+            const dt = fixes[i].timestamp - fixes[i - 1].timestamp;
+            if (dt > 0 && Math.abs(fixes[i].pressureAltitude - fixes[i - 1].pressureAltitude) / dt > this.MAX_BARO_RATE) {
+                spikes++;
+            }
+        }
+        if (spikes > fixes.length * this.MAX_BARO_SPIKE_SHARE) {
+            return { valid: false, reason: 'pressure altitude has spikes' };
+        }
+
+        // Compare with GNSS altitude where the logger has a 3D fix
+        const offsets = fixes
+            .filter(fix => fix.gnssAltitude !== 0)
+            .map(fix => fix.pressureAltitude - fix.gnssAltitude)
+            .sort((a, b) => a - b);
+        if (offsets.length > 0 && Math.abs(offsets[Math.floor(offsets.length / 2)]) > this.MAX_BARO_GNSS_OFFSET) {
+            return { valid: false, reason: 'pressure altitude is far from GNSS altitude' };
+        }
+
+        return { valid: true, reason: null };
+    }
+
+    /**
+     * Set the selected altitude of every fix from the altitude options
+     * @param {object} flightData - Flight data with fixes
+     * @param {object} [options] - Overrides of altitudeOptions (source, qnhCorrection)
+     */
+    applyAltitude(flightData, options = {}) {
+        const settings = Object.assign({}, this.altitudeOptions, options);
+        const fixes = flightData.fixes;
+        const baro = this.checkBaro(fixes);
+
+        const source = settings.source === 'auto' ? (baro.valid ? 'pressure' : 'gnss') : settings.source;
+
+        // QNH that makes the pressure altitude at takeoff match the takeoff elevation
+        let qnh = null;
+        if (baro.valid && settings.qnhCorrection && fixes.length > 0) {
+            const index = flightData.airborne ? flightData.airborne.takeoffIndex : 0;
+            const terrain = flightData.groundElevation ? flightData.groundElevation[index] : null;
+            const elevation = terrain !== null && terrain !== undefined ? terrain : fixes[index].gnssAltitude;
+            if (elevation) {
+                qnh = this.calculateQnh(fixes[index].pressureAltitude, elevation);
+            }
+        }
+
+        const gap = [];
+        fixes.forEach(fix => {
+            const baroAltitude = qnh ? this.qnhAltitude(fix.pressureAltitude, qnh) : fix.pressureAltitude;
+            fix.altitude = source === 'gnss' ? fix.gnssAltitude : baroAltitude;
+            gap.push(baro.valid && fix.gnssAltitude !== 0 ? baroAltitude - fix.gnssAltitude : null);
+        });
+
+        flightData.altitude = {
+            requested: settings.source,
+            source,
+            qnhCorrection: settings.qnhCorrection,
+            qnh,
+            baroValid: baro.valid,
+            baroReason: baro.reason,
+            gap
+        };
+    }
+
+    /**
+     * Change the altitude source of a flight, then recalculate everything derived from altitude
+     * @param {object} flightData - Flight data with fixes
+     * @param {object} options - Altitude options (source, qnhCorrection)
+     */
+    setAltitudeSource(flightData, options) {
+        this.applyAltitude(flightData, options);
+        if (!flightData.airborne || !flightData.airborne.manual) {
+            flightData.airborne = this.detectTakeoffLanding(flightData.fixes);
+            this.applyAltitude(flightData, options);
+        }
+        flightData.series = this.calculateSeries(flightData.fixes);
+        this.calculateFlightStats(flightData);
+    }
+
+    /**
+     * Sea level pressure that puts a pressure altitude at a known elevation
+     * @param {number} pressureAltitude - Pressure altitude on the ISA (meters)
+     * @param {number} elevation - Known elevation above sea level (meters)
+     * @returns {number} - QNH in hPa
+     */
+    calculateQnh(pressureAltitude, elevation) {
+        const pressure = this.ISA_PRESSURE * Math.pow(1 - pressureAltitude / 44330.77, 5.25588);
+        return pressure / Math.pow(1 - elevation / 44330.77, 5.25588);
+    }
+
+    /**
+     * Convert an ISA pressure altitude to an altitude above sea level for a QNH
+     * @param {number} pressureAltitude - Pressure altitude on the ISA (meters)
+     * @param {number} qnh - Sea level pressure in hPa
+     * @returns {number} - Altitude in meters, rounded like logged altitudes
+     */
+    qnhAltitude(pressureAltitude, qnh) {
+        const pressure = this.ISA_PRESSURE * Math.pow(1 - pressureAltitude / 44330.77, 5.25588);
+        return Math.round(44330.77 * (1 - Math.pow(pressure / qnh, 1 / 5.25588)));
+    }
+
+    /**
+     * Detect launch and landing from ground speed and vertical speed patterns
+     * @param {object[]} fixes - Flight fixes
+     * @returns {object} - {takeoffIndex, landingIndex, manual}
+     */
+    detectTakeoffLanding(fixes) {
+        const range = {
+            takeoffIndex: 0,
+            landingIndex: Math.max(0, fixes.length - 1),
+            manual: false
+        };
+        if (fixes.length < 2) {
+            return range;
+        }
+
+        // A fix looks airborne when moving faster than walking or climbing/sinking steadily
+        const flying = fixes.map((fix, i) => {
+            const previous = fixes[Math.max(0, i - 1)];
+            const next = fixes[Math.min(fixes.length - 1, i + 1)];
+            const timeDiff = next.timestamp - previous.timestamp;
+            if (timeDiff <= 0) {
+                return false;
+            }
+
+            const loggedSpeed = fix.extensions && fix.extensions.GSP;
+            const speed = typeof loggedSpeed === 'number' ?
+                loggedSpeed :
+                this.calculateDistance(previous.latitude, previous.longitude, next.latitude, next.longitude) / timeDiff * 3600;
+            const verticalSpeed = (next.altitude - previous.altitude) / timeDiff;
+
+            return speed >= this.AIRBORNE_SPEED || Math.abs(verticalSpeed) >= this.AIRBORNE_VERTICAL_SPEED;
+        });
+
+        // Require the pattern to hold for most of the detection window
+        const sustained = (index, direction) => {
+            const start = fixes[index].timestamp;
+            let total = 0;
+            let airborne = 0;
+            for (let j = index; j >= 0 && j < fixes.length && Math.abs(fixes[j].timestamp - start) < this.AIRBORNE_DURATION; j += direction) {
+                total++;
+                if (flying[j]) {
+                    airborne++;
+                }
+            }
+            return total > 0 && airborne / total >= 0.9;
+        };
+
+        const takeoff = flying.findIndex((isFlying, i) => isFlying && sustained(i, 1));
+        if (takeoff < 0) {
+            return range;
+        }
+
+        let landing = fixes.length - 1;
+        for (let i = fixes.length - 1; i > takeoff; i--) {
+            if (flying[i] && sustained(i, -1)) {
+                landing = i;
+                break;
+            }
+        }
+
+        range.takeoffIndex = takeoff;
+        range.landingIndex = landing;
+        return range;
+    }
+
+    /**
+     * Calculate smoothed vario, ground speed and glide ratio for every fix
+     * @param {object[]} fixes - Flight fixes
+     * @param {object} [options] - Smoothing windows in seconds (varioWindow, speedWindow, glideWindow)
+     * @returns {object} - Arrays vario (m/s), groundSpeed (km/h) and glideRatio (null when not gliding)
+     */
+    calculateSeries(fixes, options = {}) {
+        const settings = Object.assign({}, this.seriesOptions, options);
+        const count = fixes.length;
+
+        // Cumulative path length in meters, for distance over any window
+        const pathLength = new Float64Array(count);
+        for (let i = 1; i < count; i++) {
+            pathLength[i] = pathLength[i - 1] + this.calculateDistance(
+                fixes[i - 1].latitude, fixes[i - 1].longitude,
+                fixes[i].latitude, fixes[i].longitude
+            ) * 1000;
+        }
+
+        // Centered window bounds for every fix
+        const windowBounds = windowSize => {
+            const half = windowSize / 2;
+            const from = new Int32Array(count);
+            const to = new Int32Array(count);
+            let low = 0;
+            let high = 0;
+            for (let i = 0; i < count; i++) {
+                while (fixes[i].timestamp - fixes[low].timestamp > half) low++;
+                if (high < i) high = i;
+                while (high < count - 1 && fixes[high + 1].timestamp - fixes[i].timestamp <= half) high++;
+                from[i] = low;
+                to[i] = high;
+            }
+            return { from, to };
+        };
+
+        const varioBounds = windowBounds(settings.varioWindow);
+        const speedBounds = windowBounds(settings.speedWindow);
+        const glideBounds = windowBounds(settings.glideWindow);
+
+        const vario = new Array(count).fill(0);
+        const groundSpeed = new Array(count).fill(0);
+        const glideRatio = new Array(count).fill(null);
+        const hasLoggedSpeed = count > 0 && fixes.every(fix => fix.extensions && typeof fix.extensions.GSP === 'number');
+
+        for (let i = 0; i < count; i++) {
+            let from = varioBounds.from[i];
+            let to = varioBounds.to[i];
+            let dt = fixes[to].timestamp - fixes[from].timestamp;
+            if (dt > 0) {
+                vario[i] = (fixes[to].altitude - fixes[from].altitude) / dt;
+            }
+
+            from = speedBounds.from[i];
+            to = speedBounds.to[i];
+            if (hasLoggedSpeed) {
+                // Average the logger's own ground speed
+                let sum = 0;
+                for (let j = from; j <= to; j++) {
+                    sum += fixes[j].extensions.GSP;
+                }
+                groundSpeed[i] = sum / (to - from + 1);
+            } else {
+                dt = fixes[to].timestamp - fixes[from].timestamp;
+                if (dt > 0) {
+                    groundSpeed[i] = (pathLength[to] - pathLength[from]) / dt * 3.6;
+                }
+            }
+
+            from = glideBounds.from[i];
+            to = glideBounds.to[i];
+            const altitudeLoss = fixes[from].altitude - fixes[to].altitude;
+            if (altitudeLoss > 0) {
+                glideRatio[i] = Math.min(this.MAX_GLIDE_RATIO, (pathLength[to] - pathLength[from]) / altitudeLoss);
+            }
+        }
+
+        return {
+            options: settings,
+            vario,
+            groundSpeed,
+            glideRatio
+        };
+    }
+
+    /**
+     * Override the detected takeoff and landing, then recalculate the statistics
+     * @param {object} flightData - Flight data with fixes
+     * @param {number} takeoffIndex - Index of the takeoff fix
+     * @param {number} landingIndex - Index of the landing fix
+     */
+    setAirborneRange(flightData, takeoffIndex, landingIndex) {
+        const last = flightData.fixes.length - 1;
+        const takeoff = Math.max(0, Math.min(last, Math.round(takeoffIndex)));
+        const landing = Math.max(takeoff, Math.min(last, Math.round(landingIndex)));
+
+        flightData.airborne = {
+            takeoffIndex: takeoff,
+            landingIndex: landing,
+            manual: true
         };
+        this.calculateFlightStats(flightData);
+    }
+
+    /**
+     * Get the fixes between takeoff and landing
+     * @param {object} flightData - Flight data with fixes
+     * @returns {object[]} - Airborne fixes (all fixes if no range was detected)
+     */
+    getAirborneFixes(flightData) {
+        if (!flightData.airborne) {
+            return flightData.fixes;
+        }
+        return flightData.fixes.slice(flightData.airborne.takeoffIndex, flightData.airborne.landingIndex + 1);
     }
 
     /**
@@ -166,19 +1428,24 @@ class IGCParser {
      * @param {object} flightData - Flight data with fixes
      */
     calculateFlightStats(flightData) {
-        const fixes = flightData.fixes;
+        const fixes = flightData.fixes ? this.getAirborneFixes(flightData) : null;
         if (!fixes || fixes.length === 0) {
             flightData.stats = {
                 duration: 0,
                 startTime: null,
                 endTime: null,
+                startTimestamp: null,
+                endTimestamp: null,
                 maxAltitude: 0,
                 minAltitude: 0,
                 takeoffAltitude: 0,
                 landingAltitude: 0,
                 maxClimb: 0,
                 maxSink: 0,
-                distance: 0
+                distance: 0,
+                averageAccuracy: null,
+                minHeightAboveGround: null,
+                maxHeightAboveGround: null
             };
             return;
         }
@@ -190,33 +1457,29 @@ class IGCParser {
         // Calculate duration in seconds
         const startTimestamp = fixes[0].timestamp;
         const endTimestamp = fixes[fixes.length - 1].timestamp;
-        let duration = endTimestamp - startTimestamp;
-        if (duration < 0) {
-            duration += 24 * 3600; // Handle flights crossing midnight
-        }
+        const duration = endTimestamp - startTimestamp;
         
         // Find altitude extremes
         let maxAltitude = -Infinity;
         let minAltitude = Infinity;
         
         fixes.forEach(fix => {
-            maxAltitude = Math.max(maxAltitude, fix.pressureAltitude);
-            minAltitude = Math.min(minAltitude, fix.pressureAltitude);
+            maxAltitude = Math.max(maxAltitude, fix.altitude);
+            minAltitude = Math.min(minAltitude, fix.altitude);
         });
         
         // Get takeoff and landing altitudes
-        const takeoffAltitude = fixes[0].pressureAltitude;
-        const landingAltitude = fixes[fixes.length - 1].pressureAltitude;
+        const takeoffAltitude = fixes[0].altitude;
+        const landingAltitude = fixes[fixes.length - 1].altitude;
         
-        // Calculate max climb and sink rates
+        // Max climb and sink from the smoothed vario series
         let maxClimb = 0;
         let maxSink = 0;
         
-        for (let i = 1; i < fixes.length; i++) {
-            const timeDiff = fixes[i].timestamp - fixes[i-1].timestamp;
-            if (timeDiff > 0) {
-                const altDiff = fixes[i].pressureAltitude - fixes[i-1].pressureAltitude;
-                const rate = altDiff / timeDiff * 60; // Convert to meters per minute
+        if (flightData.series) {
+            const offset = flightData.airborne ? flightData.airborne.takeoffIndex : 0;
+            for (let i = 0; i < fixes.length; i++) {
+                const rate = flightData.series.vario[offset + i];
                 maxClimb = Math.max(maxClimb, rate);
                 maxSink = Math.min(maxSink, rate);
             }
@@ -231,17 +1494,46 @@ class IGCParser {
             );
         }
         
+        // Average horizontal fix accuracy, when the logger records FXA
+        const accuracies = fixes
+            .map(fix => fix.extensions && fix.extensions.FXA)
+            .filter(value => typeof value === 'number');
+        const averageAccuracy = accuracies.length > 0 ?
+            accuracies.reduce((sum, value) => sum + value, 0) / accuracies.length :
+            null;
+        
+        // Height above ground, when terrain elevations have been looked up for the fixes
+        let minHeightAboveGround = null;
+        let maxHeightAboveGround = null;
+        if (flightData.groundElevation) {
+            const offset = flightData.airborne ? flightData.airborne.takeoffIndex : 0;
+            fixes.forEach((fix, i) => {
+                const ground = flightData.groundElevation[offset + i];
+                if (ground === null || ground === undefined) {
+                    return;
+                }
+                const height = fix.altitude - ground;
+                minHeightAboveGround = minHeightAboveGround === null ? height : Math.min(minHeightAboveGround, height);
+                maxHeightAboveGround = maxHeightAboveGround === null ? height : Math.max(maxHeightAboveGround, height);
+            });
+        }
+        
         flightData.stats = {
             duration,
             startTime,
             endTime,
+            startTimestamp,
+            endTimestamp,
             maxAltitude,
             minAltitude,
             takeoffAltitude,
             landingAltitude,
             maxClimb,
             maxSink: Math.abs(maxSink),
-            distance
+            distance,
+            averageAccuracy,
+            minHeightAboveGround,
+            maxHeightAboveGround
         };
     }
 
@@ -291,3 +1583,8 @@ class IGCParser {
         return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
     }
 }
+
+// Node/CommonJS exports; in the browser the classes are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IGCParser, IGCValidationError };
+}
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * IGC Tool
+ * Command line access to the flight computations; every command prints JSON
+ *
+ * The file can be an IGC log or a GPX, KML or FIT track.
+ *
+ * Usage: igc-tool <stats|waypoints|export|track> <file.igc> [--level low|medium|high]
+ *        [--format gpx|csv|kml|geojson] [--airborne] [--logged-only] [--utc] [--strict]
+ */
+const fs = require('fs');
+const { IGCParser, WaypointOptimizer, TrackExporter, TrackImporter } = require('./index');
+
+const USAGE = 'Usage: igc-tool <stats|waypoints|export|track> <file.igc> [--level low|medium|high] ' +
+    '[--format gpx|csv|kml|geojson] [--airborne] [--logged-only] [--utc] [--strict]';
+
+// Formats written by the commands that export
+const FORMATS = {
+    export: ['gpx', 'csv'],
+    track: ['gpx', 'kml', 'geojson']
+};
+
+/**
+ * Read the command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {object} - {command, file, level, format, airborne, loggedOnly, utc, strict}
+ */
+function parseArguments(args) {
+    const options = {
+        command: null,
+        file: null,
+        level: 'medium',
+        format: 'gpx',
+        airborne: false,
+        loggedOnly: false,
+        utc: false,
+        strict: false
+    };
+    const positional = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--level' || arg === '--format') {
+            if (i + 1 >= args.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options[arg.substring(2)] = args[++i];
+        } else if (arg === '--airborne') {
+            options.airborne = true;
+        } else if (arg === '--logged-only') {
+            options.loggedOnly = true;
+        } else if (arg === '--utc') {
+            options.utc = true;
+        } else if (arg === '--strict') {
+            options.strict = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    [options.command, options.file] = positional;
+    if (!['stats', 'waypoints', 'export', 'track'].includes(options.command) || !options.file || positional.length > 2) {
+        throw new Error(USAGE);
+    }
+    if (!['low', 'medium', 'high'].includes(options.level)) {
+        throw new Error(`Unknown optimization level ${options.level}`);
+    }
+    if (FORMATS[options.command] && !FORMATS[options.command].includes(options.format)) {
+        throw new Error(`Unknown ${options.command} format ${options.format}`);
+    }
+
+    return options;
+}
+
+/**
+ * Parse a flight file, picking the importer from the file name or content
+ * @param {object} options - Options from parseArguments
+ * @param {ArrayBuffer} buffer - Raw file content
+ * @returns {object} - Flight data
+ */
+function readFlight(options, buffer) {
+    const parser = new IGCParser();
+    const importer = new TrackImporter(parser);
+    const format = importer.detectFormat(options.file, buffer);
+
+    return format === 'igc' ?
+        parser.parse(new TextDecoder().decode(buffer), { strict: options.strict }) :
+        importer.import(buffer, format);
+}
+
+/**
+ * Run a command on a flight file
+ * @param {object} options - Options from parseArguments
+ * @param {ArrayBuffer} buffer - Raw file content
+ * @returns {object} - Result to print as JSON
+ */
+function run(options, buffer) {
+    const flightData = readFlight(options, buffer);
+
+    if (options.command === 'stats') {
+        return {
+            header: flightData.header,
+            stats: flightData.stats,
+            airborne: flightData.airborne,
+            diagnostics: flightData.diagnostics
+        };
+    }
+
+    if (options.command === 'track') {
+        const result = new TrackExporter().export(flightData, options.format, {
+            airborneOnly: options.airborne,
+            loggedOnly: options.loggedOnly
+        });
+        return { format: options.format, fileName: result.fileName, content: result.content };
+    }
+
+    const optimizer = new WaypointOptimizer();
+    optimizer.timeFormatter.setFlight(flightData);
+    optimizer.timeFormatter.mode = options.utc ? 'utc' : 'local';
+    const waypoints = optimizer.generateWaypoints(flightData, options.level);
+
+    if (options.command === 'waypoints') {
+        return {
+            level: options.level,
+            flightDistance: optimizer.flightDistance,
+            waypoints
+        };
+    }
+
+    return {
+        format: options.format,
+        level: options.level,
+        content: options.format === 'csv' ? optimizer.generateCSV() : optimizer.generateGPX()
+    };
+}
+
+if (require.main === module) {
+    try {
+        const options = parseArguments(process.argv.slice(2));
+        const file = fs.readFileSync(options.file);
+        const result = run(options, file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength));
+        process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    } catch (error) {
+        process.stderr.write(`${error.message}\n`);
+        if (error.diagnostics) {
+            process.stderr.write(JSON.stringify(error.diagnostics, null, 2) + '\n');
+        }
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { parseArguments, readFlight, run };
@@ -0,0 +1,361 @@
+/**
+ * IGC Writer
+ * Writes flight data back out as an IGC file, and trims, merges or anonymizes flights before writing
+ */
+class IGCWriter {
+    constructor() {
+        // The IGC specification asks for CRLF line endings
+        this.LINE_END = '\r\n';
+
+        // Extension fields of a B record start after the fixed 35 characters
+        this.B_RECORD_LENGTH = 35;
+
+        // Header lines written for flights without original H records (imported tracks)
+        this.HEADER_FIELDS = [
+            ['HFPLTPILOTINCHARGE', 'pilot'],
+            ['HFGTYGLIDERTYPE', 'gliderType'],
+            ['HFGIDGLIDERID', 'gliderReg'],
+            ['HFCIDCOMPETITIONID', 'competitionId'],
+            ['HFRFWFIRMWAREVERSION', 'firmwareVersion'],
+            ['HFRHWHARDWAREVERSION', 'hardwareVersion'],
+            ['HFFTYFRTYPE', 'loggerType']
+        ];
+
+        // H records naming people or aircraft, replaced by anonymize
+        this.PERSONAL_HEADERS = {
+            PLT: 'Anonymous',
+            CM2: '',
+            GID: '',
+            CID: ''
+        };
+    }
+
+    /**
+     * Write flight data as an IGC file
+     * IGC flights are written with every logged fix, including those cleaning removed;
+     * imported tracks with their fixes minus the interpolated ones. The file has no
+     * G record: the original signature does not cover a file that was written again.
+     * @param {object} flightData - Parsed flight data from IGCParser or TrackImporter
+     * @returns {string} - IGC file content
+     */
+    write(flightData) {
+        const header = flightData.header;
+        const records = flightData.records || null;
+        const extensions = header.extensions || [];
+        const lines = [];
+
+        lines.push(records && records.a ? records.a : `A${header.manufacturer || 'XXX'}${header.loggerId || '000'}`);
+        lines.push(...(records ? records.h : this.headerLines(header)));
+        if (extensions.length > 0) {
+            lines.push(this.iRecord(extensions));
+        }
+        if (records) {
+            lines.push(...records.j, ...records.c);
+        }
+
+        // Records logged before the first fix stay in front of the fixes
+        const other = records ? records.other : [];
+        other.filter(record => record.timestamp === null).forEach(record => lines.push(record.line));
+
+        // Fixes keep their logged order; events go in front of the fix at their time,
+        // other records after the fix they followed
+        const fixes = this.loggedFixes(flightData);
+        const events = flightData.events || [];
+        const timed = other.filter(record => record.timestamp !== null);
+        let event = 0;
+        let record = 0;
+        fixes.forEach(fix => {
+            while (event < events.length && events[event].timestamp <= fix.timestamp) {
+                lines.push(this.eRecord(events[event++]));
+            }
+            lines.push(this.bRecord(fix, extensions));
+            while (record < timed.length && timed[record].timestamp <= fix.timestamp) {
+                lines.push(timed[record++].line);
+            }
+        });
+        events.slice(event).forEach(rest => lines.push(this.eRecord(rest)));
+        timed.slice(record).forEach(rest => lines.push(rest.line));
+
+        return lines.join(this.LINE_END) + this.LINE_END;
+    }
+
+    /**
+     * Fixes as the logger recorded them
+     * @param {object} flightData - Flight data
+     * @returns {object[]} - Fixes before cleaning, or the fixes without interpolated ones for imported tracks
+     */
+    loggedFixes(flightData) {
+        return flightData.records && flightData.records.fixes ?
+            flightData.records.fixes :
+            flightData.fixes.filter(fix => !fix.interpolated);
+    }
+
+    /**
+     * H records for a flight that has none of its own
+     * @param {object} header - Flight header
+     * @returns {string[]} - H record lines
+     */
+    headerLines(header) {
+        const lines = [];
+        if (header.date) {
+            const [year, month, day] = header.date.split('-');
+            lines.push(`HFDTEDATE:${day}${month}${year.substring(2)},01`);
+        }
+        this.HEADER_FIELDS.forEach(([prefix, field]) => {
+            const value = header[field];
+            lines.push(`${prefix}:${value && value !== 'Unknown' ? value : ''}`);
+        });
+        lines.push('HFDTM100GPSDATUM:WGS-1984');
+        if (header.timezoneOffset !== null && header.timezoneOffset !== undefined) {
+            lines.push(`HFTZNTIMEZONE:${header.timezoneOffset}`);
+        }
+        return lines;
+    }
+
+    /**
+     * Build the I record declaring the B record extensions
+     * @param {object[]} extensions - Extensions with 0-based inclusive start and end
+     * @returns {string} - I record line
+     */
+    iRecord(extensions) {
+        const pad = value => value.toString().padStart(2, '0');
+        return `I${pad(extensions.length)}` + extensions
+            .map(extension => `${pad(extension.start + 1)}${pad(extension.end + 1)}${extension.code}`)
+            .join('');
+    }
+
+    /**
+     * Build an E record
+     * @param {object} event - Event from the parser
+     * @returns {string} - E record line
+     */
+    eRecord(event) {
+        return `E${this.timeField(event.timestamp)}${event.code}${event.text || ''}`;
+    }
+
+    /**
+     * Build a B record
+     * @param {object} fix - Fix from the parser
+     * @param {object[]} extensions - Extensions declared in the I record
+     * @returns {string} - B record line
+     */
+    bRecord(fix, extensions) {
+        const width = code => {
+            const extension = extensions.find(ext => ext.code === code);
+            return extension ? extension.end - extension.start + 1 : 0;
+        };
+
+        // LAD/LOD carry the minute digits after the three in the fixed part
+        const latitude = this.coordinateField(fix.latitude, 2, 'NS', width('LAD'));
+        const longitude = this.coordinateField(fix.longitude, 3, 'EW', width('LOD'));
+
+        let line = `B${this.timeField(fix.timestamp)}${latitude.field}${longitude.field}` +
+            `${fix.validity ? 'A' : 'V'}${this.altitudeField(fix.pressureAltitude)}${this.altitudeField(fix.gnssAltitude)}`;
+
+        extensions.forEach(extension => {
+            const size = extension.end - extension.start + 1;
+            let value;
+            if (extension.code === 'LAD') {
+                value = latitude.extra;
+            } else if (extension.code === 'LOD') {
+                value = longitude.extra;
+            } else {
+                value = this.extensionField(fix.extensions ? fix.extensions[extension.code] : undefined, size);
+            }
+            line = line.padEnd(extension.start, '0') + value;
+        });
+
+        return line;
+    }
+
+    /**
+     * Encode a latitude or longitude as degrees and thousandths of minutes
+     * @param {number} value - Signed decimal degrees
+     * @param {number} degreeDigits - 2 for latitude, 3 for longitude
+     * @param {string} hemispheres - Positive and negative hemisphere letters, e.g. NS
+     * @param {number} extraDigits - Further minute digits written in LAD/LOD
+     * @returns {object} - {field, extra}: the B record field and the extra digits
+     */
+    coordinateField(value, degreeDigits, hemispheres, extraDigits) {
+        const absolute = Math.abs(value);
+        const scale = Math.pow(10, 3 + extraDigits);
+        let degrees = Math.floor(absolute);
+        let minutes = Math.round((absolute - degrees) * 60 * scale);
+
+        // Rounding up to a full 60 minutes carries into the degrees
+        if (minutes >= 60 * scale) {
+            degrees++;
+            minutes -= 60 * scale;
+        }
+
+        const digits = minutes.toString().padStart(5 + extraDigits, '0');
+        return {
+            field: degrees.toString().padStart(degreeDigits, '0') + digits.substring(0, 5) +
+                hemispheres.charAt(value < 0 ? 1 : 0),
+            extra: digits.substring(5)
+        };
+    }
+
+    /**
+     * Encode an altitude as the five characters of a B record
+     * @param {number} altitude - Altitude in meters
+     * @returns {string} - e.g. 00587 or -0012
+     */
+    altitudeField(altitude) {
+        const meters = Math.round(altitude || 0);
+        return meters < 0 ?
+            '-' + Math.abs(meters).toString().padStart(4, '0') :
+            meters.toString().padStart(5, '0');
+    }
+
+    /**
+     * Encode an extension value with the width declared in the I record
+     * @param {number|string|undefined} value - Value from fix.extensions
+     * @param {number} size - Field width in characters
+     * @returns {string} - Field of exactly size characters
+     */
+    extensionField(value, size) {
+        if (typeof value === 'number') {
+            const digits = Math.abs(Math.round(value)).toString();
+            return value < 0 ? '-' + digits.padStart(size - 1, '0') : digits.padStart(size, '0');
+        }
+        if (value === undefined || value === null) {
+            return '0'.repeat(size);
+        }
+        return String(value).padEnd(size).substring(0, size);
+    }
+
+    /**
+     * Format a timestamp as the HHMMSS time of a record
+     * @param {number} timestamp - UTC epoch seconds
+     * @returns {string} - UTC time of day
+     */
+    timeField(timestamp) {
+        const secondsOfDay = ((Math.round(timestamp) % 86400) + 86400) % 86400;
+        return [Math.floor(secondsOfDay / 3600), Math.floor((secondsOfDay % 3600) / 60), secondsOfDay % 60]
+            .map(part => part.toString().padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Keep the part of a flight between two times
+     * @param {object} flightData - Parsed flight data
+     * @param {number} from - First kept time, UTC epoch seconds
+     * @param {number} to - Last kept time, UTC epoch seconds
+     * @returns {object} - Flight data with the fixes, events and records in the range
+     */
+    trim(flightData, from, to) {
+        const inRange = record => record.timestamp >= from && record.timestamp <= to;
+        const records = flightData.records ? Object.assign({}, flightData.records, {
+            fixes: this.loggedFixes(flightData).filter(inRange),
+            // Records from before the first fix belong to the whole file
+            other: flightData.records.other.filter(record => record.timestamp === null || inRange(record))
+        }) : null;
+
+        return Object.assign({}, flightData, {
+            fixes: flightData.fixes.filter(inRange),
+            events: (flightData.events || []).filter(inRange),
+            records
+        });
+    }
+
+    /**
+     * Join two logs of one flight, e.g. after the logger restarted
+     * The earlier flight provides the headers and task; fixes of the later flight
+     * are added from the end of the earlier one.
+     * @param {object} first - Parsed flight data
+     * @param {object} second - Parsed flight data
+     * @returns {object} - Merged flight data
+     */
+    merge(first, second) {
+        const startOf = flightData => flightData.fixes.length > 0 ? flightData.fixes[0].timestamp : Infinity;
+        const [earlier, later] = startOf(first) <= startOf(second) ? [first, second] : [second, first];
+        const lastFix = earlier.fixes[earlier.fixes.length - 1];
+        const end = lastFix ? lastFix.timestamp : -Infinity;
+        const after = record => record.timestamp > end;
+
+        const events = (earlier.events || []).concat((later.events || []).filter(after));
+        const header = Object.assign({}, earlier.header, {
+            extensions: this.commonExtensions(earlier.header.extensions || [], later.header.extensions || [])
+        });
+
+        let records = earlier.records || null;
+        if (records) {
+            const laterRecords = later.records || { c: [], other: [] };
+            const logged = this.loggedFixes(earlier);
+            const loggedEnd = logged.length > 0 ? logged[logged.length - 1].timestamp : -Infinity;
+            records = Object.assign({}, records, {
+                c: records.c.length > 0 ? records.c : laterRecords.c,
+                fixes: logged.concat(this.loggedFixes(later).filter(fix => fix.timestamp > loggedEnd)),
+                // The file-level records of the later log (before its first fix) are not repeated
+                other: records.other.concat(laterRecords.other.filter(record => record.timestamp !== null && after(record)))
+            });
+        }
+
+        return Object.assign({}, earlier, {
+            header,
+            fixes: earlier.fixes.concat(later.fixes.filter(after)),
+            events,
+            records
+        });
+    }
+
+    /**
+     * Extensions logged by both flights, laid out again from the end of the fixed B record
+     * @param {object[]} first - Extensions of the first flight
+     * @param {object[]} second - Extensions of the second flight
+     * @returns {object[]} - Extensions with new start and end positions
+     */
+    commonExtensions(first, second) {
+        let start = this.B_RECORD_LENGTH;
+        return first
+            .filter(extension => second.some(other => other.code === extension.code &&
+                other.end - other.start === extension.end - extension.start))
+            .sort((a, b) => a.start - b.start)
+            .map(extension => {
+                const size = extension.end - extension.start + 1;
+                const placed = { code: extension.code, start, end: start + size - 1 };
+                start += size;
+                return placed;
+            });
+    }
+
+    /**
+     * Remove the pilot, crew, glider and logger identity from a flight
+     * L records are dropped as they can hold anything the logger wants to keep.
+     * @param {object} flightData - Parsed flight data
+     * @returns {object} - Anonymized flight data
+     */
+    anonymize(flightData) {
+        const header = Object.assign({}, flightData.header, {
+            pilot: this.PERSONAL_HEADERS.PLT,
+            gliderReg: 'Unknown',
+            competitionId: null,
+            loggerId: '000'
+        });
+
+        let records = flightData.records || null;
+        if (records) {
+            records = Object.assign({}, records, {
+                a: records.a ? records.a.substring(0, 4) + '000' : null,
+                h: records.h.map(line => {
+                    const code = line.substring(2, 5);
+                    if (!Object.prototype.hasOwnProperty.call(this.PERSONAL_HEADERS, code)) {
+                        return line;
+                    }
+                    const separator = line.indexOf(':');
+                    const prefix = separator >= 0 ? line.substring(0, separator + 1) : `${line.substring(0, 5)}:`;
+                    return prefix + this.PERSONAL_HEADERS[code];
+                }),
+                other: records.other.filter(record => !record.line.startsWith('L'))
+            });
+        }
+
+        return Object.assign({}, flightData, { header, records });
+    }
+}
+
+// Node/CommonJS export; in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IGCWriter };
+}
@@ -0,0 +1,21 @@
+/**
+ * Node entry point
+ * The flight computations of the viewer without the DOM, Leaflet or D3 parts
+ */
+module.exports = {
+    ...require('./igc-parser'),
+    ...require('./waypoint-optimizer'),
+    ...require('./track-exporter'),
+    ...require('./track-importer'),
+    ...require('./igc-writer'),
+    ...require('./score-optimizer'),
+    ...require('./task-scorer'),
+    ...require('./flight-phases'),
+    ...require('./wind-estimator'),
+    ...require('./flight-comparison'),
+    ...require('./airspace-checker'),
+    ...require('./openair-parser'),
+    ...require('./terrain-model'),
+    ...require('./time-formatter'),
+    ...require('./g-record-verifier')
+};
@@ -5,12 +5,45 @@
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize classes
     const igcParser = new IGCParser();
+    const parseService = new IGCParseService(igcParser);
+    const trackImporter = new TrackImporter(igcParser);
     const altitudeDisplay = new AltitudeDisplay('altitudeChart');
     const flightDisplay = new FlightDisplay('map', 'flightInfo');
     const waypointGenerator = new WaypointGenerator('map');
+    const taskScorer = new TaskScorer();
+    const scoreOptimizer = new ScoreOptimizer();
+    const phaseAnalyzer = new FlightPhaseAnalyzer();
+    const windEstimator = new WindEstimator();
+    const windProfileDisplay = new WindProfileDisplay('windProfileChart');
+    const flightReplay = new FlightReplay('replayControls');
+    const flightComparison = new FlightComparison(taskScorer);
+    const openAirParser = new OpenAirParser();
+    const airspaceChecker = new AirspaceChecker();
+    const terrainModel = new TerrainModel();
+    const gRecordVerifier = new GRecordVerifier();
+    const trackExporter = new TrackExporter();
+    const igcWriter = new IGCWriter();
+    const timeFormatter = new TimeFormatter();
+
+    // One formatter for every display, so the UTC/local choice applies everywhere
+    altitudeDisplay.timeFormatter = timeFormatter;
+    flightDisplay.timeFormatter = timeFormatter;
+    waypointGenerator.timeFormatter = timeFormatter;
+    windProfileDisplay.timeFormatter = timeFormatter;
+    flightReplay.timeFormatter = timeFormatter;
+
+    // AGL airspace limits use the loaded terrain
+    airspaceChecker.getGroundElevation = fix => terrainModel.getElevation(fix.latitude, fix.longitude);
 
     // Current flight data
     let currentFlightData = null;
+    let windEstimates = [];
+
+    // Other flights of the same day loaded for comparison
+    let comparisonFlights = [];
+
+    // Airspaces loaded from an OpenAir file
+    let airspaces = [];
 
     // Get DOM elements
     const igcFileInput = document.getElementById('igcFileInput');
@@ -25,62 +58,564 @@ document.addEventListener('DOMContentLoaded', () => {
     const formatCSV = document.getElementById('formatCSV');
     const formatGPX = document.getElementById('formatGPX');
     
-    // Last successfully loaded content (for resize handling)
-    let lastLoadedIgcContent = '';
+    // Content of the current flight (for signature re-checks)
+    let currentIgcContent = '';
+
+    // Last content given to the parser, loaded or not (for re-validation)
+    let lastAttemptedIgcContent = '';
+
+    /**
+     * Run the flight analyses and display their results
+     * @param {object} flightData - Parsed flight data
+     */
+    function analyzeFlight(flightData) {
+        // Segment the flight into phases
+        const phases = phaseAnalyzer.analyze(flightData);
+        altitudeDisplay.setPhases(phases, flightDisplay.PHASE_COLORS);
+        flightDisplay.displayPhases(flightData, phases);
+
+        // Check the flight against the loaded airspaces
+        checkAirspace(flightData);
+        altitudeDisplay.render(flightData);
+
+        // Estimate the wind from thermalling circles
+        windEstimates = windEstimator.estimate(flightData, phases);
+        flightDisplay.displayWind(windEstimates);
+        getPanel('windProfileChart', 'Wind Profile');
+        windProfileDisplay.render(windEstimates);
+
+        // Validate the flight against its declared task
+        const taskResult = taskScorer.score(flightData);
+        flightDisplay.displayTaskResult(taskResult);
+        updateTaskTimeline(taskResult);
+
+        // Optimize the XContest free distance and triangle score
+        flightDisplay.displayScore(scoreOptimizer.optimize(flightData));
+    }
+
+    /**
+     * Check a flight against the loaded airspaces and list the infringements
+     * @param {object} flightData - Parsed flight data
+     */
+    function checkAirspace(flightData) {
+        const infringements = airspaceChecker.check(flightData, airspaces);
+        altitudeDisplay.setInfringements(infringements);
+        flightDisplay.displayInfringements(flightData, infringements);
+        updateAirspaceResults(infringements);
+    }
+
+    // Airspace file input, in its own panel
+    const airspacePanel = getPanel('airspacePanel', 'Airspace');
+    airspacePanel.innerHTML = `
+        <div class="mb-3">
+            <label for="openAirFileInput" class="form-label">OpenAir airspace file</label>
+            <input class="form-control" type="file" id="openAirFileInput" accept=".txt,.air,.openair">
+        </div>
+        <div id="airspaceResults"><p class="no-data-message">Load an OpenAir file to check for infringements</p></div>
+    `;
+
+    document.getElementById('openAirFileInput').addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            airspaces = openAirParser.parse(e.target.result);
+            flightDisplay.displayAirspaces(airspaces);
+
+            if (currentFlightData) {
+                checkAirspace(currentFlightData);
+                altitudeDisplay.render(currentFlightData);
+            } else {
+                updateAirspaceResults([]);
+            }
+        };
+        reader.onerror = () => {
+            console.error('Error reading airspace file');
+            alert('Lỗi đọc file');
+        };
+        reader.readAsText(file);
+    });
+
+    /**
+     * Look up the ground elevation under a flight and update its height above ground stats
+     * @param {object} flightData - Parsed flight data
+     */
+    function applyTerrain(flightData) {
+        if (!terrainModel.hasData()) return;
+
+        flightData.groundElevation = terrainModel.elevationProfile(flightData.fixes);
+
+        // Recalibrate QNH against the terrain at takeoff
+        igcParser.setAltitudeSource(flightData, {
+            source: flightData.altitude.requested,
+            qnhCorrection: flightData.altitude.qnhCorrection
+        });
+    }
+
+    // Terrain tile input, in its own panel
+    const terrainPanel = getPanel('terrainPanel', 'Terrain');
+    terrainPanel.innerHTML = `
+        <div class="mb-3">
+            <label for="hgtFileInput" class="form-label">SRTM/ASTER .hgt tiles</label>
+            <input class="form-control" type="file" id="hgtFileInput" accept=".hgt" multiple>
+        </div>
+        <div id="terrainStatus"><p class="no-data-message">Load elevation tiles to show height above ground</p></div>
+    `;
+
+    document.getElementById('hgtFileInput').addEventListener('change', (event) => {
+        const files = Array.from(event.target.files);
+        if (files.length === 0) return;
+
+        Promise.all(files.map(file => file.arrayBuffer().then(buffer => terrainModel.loadTile(file.name, buffer))))
+            .then(() => {
+                document.getElementById('terrainStatus').innerHTML =
+                    `<p><small class="text-muted">Tiles loaded: ${Object.keys(terrainModel.tiles).join(', ')}</small></p>`;
+
+                if (!currentFlightData) return;
+                applyTerrain(currentFlightData);
+                flightDisplay.displayFlightInfo(currentFlightData);
+                analyzeFlight(currentFlightData);
+            })
+            .catch(error => {
+                console.error('Error loading terrain tiles:', error);
+                alert('Lỗi đọc file: ' + error.message);
+            });
+    });
+
+    /**
+     * Check the G record signature of a flight and show the result once known
+     * @param {object} flightData - Parsed flight data
+     * @param {string} igcContent - Raw IGC file content the signature covers
+     */
+    function verifySignature(flightData, igcContent) {
+        flightData.signature = null;
+        gRecordVerifier.verify(igcContent)
+            .then(result => {
+                flightData.signature = result;
+                if (flightData === currentFlightData) {
+                    flightDisplay.displaySignature(result);
+                }
+            })
+            .catch(error => {
+                console.error('Error verifying G records:', error);
+            });
+    }
+
+    // Logger public keys are kept in this browser only
+    const LOGGER_KEYS_STORAGE = 'igcLoggerPublicKeys';
+    try {
+        const storedKeys = JSON.parse(localStorage.getItem(LOGGER_KEYS_STORAGE) || '{}');
+        Object.keys(storedKeys).forEach(code => gRecordVerifier.setKey(code, storedKeys[code]));
+    } catch (error) {
+        console.error('Error reading stored logger keys:', error);
+    }
+
+    // Logger public key configuration, in its own panel
+    const loggerKeysPanel = getPanel('loggerKeysPanel', 'Logger Keys');
+    loggerKeysPanel.innerHTML = `
+        <div class="logger-key-form">
+            <input class="form-control form-control-sm" type="text" id="loggerKeyManufacturer" maxlength="3" placeholder="XCT">
+            <select class="form-select form-select-sm" id="loggerKeyAlgorithm">
+                <option value="RSASSA-PKCS1-v1_5">RSA PKCS#1 v1.5</option>
+                <option value="RSA-PSS">RSA-PSS</option>
+                <option value="ECDSA">ECDSA P-256</option>
+                <option value="Ed25519">Ed25519</option>
+            </select>
+            <select class="form-select form-select-sm" id="loggerKeyHash">
+                <option value="SHA-256">SHA-256</option>
+                <option value="SHA-1">SHA-1</option>
+                <option value="SHA-384">SHA-384</option>
+                <option value="SHA-512">SHA-512</option>
+            </select>
+        </div>
+        <textarea class="form-control form-control-sm mb-2" id="loggerKeyValue" rows="4"
+            placeholder="-----BEGIN PUBLIC KEY----- ... or a JWK"></textarea>
+        <button type="button" class="btn btn-primary btn-sm mb-2" id="saveLoggerKeyBtn">Save key</button>
+        <div id="loggerKeyList"></div>
+    `;
+
+    /**
+     * Store the configured keys and re-check the current flight
+     */
+    function loggerKeysChanged() {
+        localStorage.setItem(LOGGER_KEYS_STORAGE, JSON.stringify(gRecordVerifier.keys));
+        updateLoggerKeyList();
+
+        if (currentFlightData && currentIgcContent) {
+            verifySignature(currentFlightData, currentIgcContent);
+            flightDisplay.displaySignature(null);
+        }
+    }
+
+    // List the configured keys with a remove button each
+    function updateLoggerKeyList() {
+        const list = document.getElementById('loggerKeyList');
+        const codes = Object.keys(gRecordVerifier.keys);
+        if (codes.length === 0) {
+            list.innerHTML = '<p class="no-data-message">No public keys configured; signatures cannot be verified</p>';
+            return;
+        }
+
+        list.innerHTML = codes.map(code => `
+            <div class="logger-key-item">
+                <strong>${code}</strong> <small class="text-muted">${gRecordVerifier.keys[code].algorithm}</small>
+                <button type="button" class="btn btn-outline-danger btn-sm" data-manufacturer="${code}">Remove</button>
+            </div>`).join('');
+
+        list.querySelectorAll('button[data-manufacturer]').forEach(button => {
+            button.addEventListener('click', () => {
+                gRecordVerifier.setKey(button.dataset.manufacturer, null);
+                loggerKeysChanged();
+            });
+        });
+    }
+
+    document.getElementById('saveLoggerKeyBtn').addEventListener('click', () => {
+        const manufacturer = document.getElementById('loggerKeyManufacturer').value.trim().toUpperCase();
+        const value = document.getElementById('loggerKeyValue').value.trim();
+        if (!/^[A-Z0-9]{3}$/.test(manufacturer) || !value) {
+            alert('Enter the three-letter manufacturer code and its public key');
+            return;
+        }
+
+        // Keys can be pasted as PEM or as a JWK
+        let key = value;
+        if (value.startsWith('{')) {
+            try {
+                key = JSON.parse(value);
+            } catch (error) {
+                alert('The JWK is not valid JSON: ' + error.message);
+                return;
+            }
+        }
+
+        gRecordVerifier.setKey(manufacturer, {
+            algorithm: document.getElementById('loggerKeyAlgorithm').value,
+            hash: document.getElementById('loggerKeyHash').value,
+            key
+        });
+        document.getElementById('loggerKeyValue').value = '';
+        loggerKeysChanged();
+    });
+
+    updateLoggerKeyList();
+
+    // Takeoff/landing handles dragged on the altitude chart
+    altitudeDisplay.onAirborneRangeChange = (takeoffIndex, landingIndex) => {
+        if (!currentFlightData) return;
+
+        igcParser.setAirborneRange(currentFlightData, takeoffIndex, landingIndex);
+        flightDisplay.updateTakeoffLanding(currentFlightData);
+        flightDisplay.displayFlightInfo(currentFlightData);
+        analyzeFlight(currentFlightData);
+    };
+
+    /**
+     * Show a fix of the current flight on the map, with the comparison flights at the same time
+     * @param {number} index - Fix index
+     */
+    function selectFix(index) {
+        flightReplay.seekToFix(index);
+        flightDisplay.showFix(index);
+        flightDisplay.showComparisonFixes(flightReplay.comparisonIndices());
+    }
+
+    // Shared fix selection between the charts and the map
+    altitudeDisplay.onFixSelect = (index) => {
+        selectFix(index);
+    };
+    flightDisplay.onFixSelect = (index) => {
+        altitudeDisplay.selectFix(index);
+        selectFix(index);
+    };
+
+    // Replay animation moves the gliders, the tail and the chart cursor
+    flightReplay.onFrame = (index, comparisonIndices) => {
+        altitudeDisplay.selectFix(index);
+        flightDisplay.showFix(index);
+        flightDisplay.showComparisonFixes(comparisonIndices);
+        flightDisplay.showReplayTail(index);
+        if (flightReplay.follow) {
+            flightDisplay.panToFix(index);
+        }
+    };
+
+    // Vario smoothing window changed on the stacked charts
+    altitudeDisplay.onSmoothingChange = (varioWindow) => {
+        // Keep the choice for flights loaded later
+        igcParser.seriesOptions.varioWindow = varioWindow;
+        if (!currentFlightData) return;
+
+        currentFlightData.series = igcParser.calculateSeries(currentFlightData.fixes);
+        igcParser.calculateFlightStats(currentFlightData);
+        flightDisplay.displayFlightInfo(currentFlightData);
+        analyzeFlight(currentFlightData);
+    };
+
+    // File health panel with the strict validation switch
+    const fileHealthPanel = getPanel('fileHealth', 'File Health');
+    fileHealthPanel.innerHTML = `
+        <div class="form-check form-switch mb-2">
+            <input class="form-check-input" type="checkbox" id="strictValidationSwitch">
+            <label class="form-check-label" for="strictValidationSwitch">Strict IGC validation</label>
+        </div>
+        <div id="fileHealthResults"><p class="no-data-message">Load a flight to check the file</p></div>
+    `;
+    const strictValidationSwitch = document.getElementById('strictValidationSwitch');
+
+    // Re-validate the last file with the new setting
+    strictValidationSwitch.addEventListener('change', () => {
+        if (lastAttemptedIgcContent) {
+            processIgcContent(lastAttemptedIgcContent);
+        }
+    });
+
+    // Altitude source or QNH correction changed on the charts
+    altitudeDisplay.onAltitudeSourceChange = (options) => {
+        // Keep the choice for flights loaded later
+        igcParser.altitudeOptions = options;
+        if (!currentFlightData) return;
+
+        igcParser.setAltitudeSource(currentFlightData, options);
+        flightDisplay.updateTakeoffLanding(currentFlightData);
+        flightDisplay.displayFlightInfo(currentFlightData);
+        analyzeFlight(currentFlightData);
+    };
+
+    // UTC/local time switched on the charts
+    altitudeDisplay.onTimeModeChange = (mode) => {
+        timeFormatter.mode = mode;
+        if (!currentFlightData) return;
+
+        // Redraw everything that shows a time
+        flightDisplay.displayFlightInfo(currentFlightData);
+        analyzeFlight(currentFlightData);
+        flightDisplay.displayEvents(currentFlightData);
+        if (altitudeDisplay.selectedIndex !== null) {
+            flightDisplay.showFix(altitudeDisplay.selectedIndex);
+        }
+        updateEventTimeline(currentFlightData.events);
+        flightReplay.updateControls();
+        updateIgcTrimLabels();
+        if (comparisonFlights.length > 0) {
+            updateComparison();
+        }
+        if (showWaypointsSwitch.checked && waypointGenerator.waypoints.length > 0) {
+            waypointGenerator.displayWaypoints(flightDisplay.map);
+        }
+    };
+
+    // Parse progress shown next to the loading spinner
+    const loadingProgress = document.createElement('span');
+    loadingProgress.className = 'loading-progress ms-2';
+    loadingIndicator.appendChild(loadingProgress);
+
+    // Incremented for every load so a slow parse cannot replace a newer flight
+    let loadSequence = 0;
+
+    /**
+     * Show parse progress in the loading indicator
+     * @param {string} label - What is being parsed, e.g. "file 2 of 5"
+     * @returns {function} - Progress callback (loaded, total) for the parse service
+     */
+    function showProgress(label) {
+        loadingProgress.textContent = label;
+        return (loaded, total) => {
+            const percent = total > 0 ? Math.round(loaded / total * 100) : 100;
+            loadingProgress.textContent = `${label} ${percent}%`.trim();
+        };
+    }
+
+    /**
+     * Hide the loading indicator
+     */
+    function hideLoading() {
+        loadingIndicator.classList.add('d-none');
+        loadingProgress.textContent = '';
+    }
 
     /**
      * Process IGC content
      * @param {string} igcContent - Raw IGC file content
+     * @param {string} [progressLabel] - Label shown with the parse progress
+     * @returns {Promise<boolean>} - True if the flight was loaded
+     */
+    function processIgcContent(igcContent, progressLabel = '') {
+        lastAttemptedIgcContent = igcContent;
+        return loadFlight(
+            onProgress => parseService.parse(igcContent, { strict: strictValidationSwitch.checked }, onProgress),
+            igcContent,
+            progressLabel
+        );
+    }
+
+    /**
+     * Process a flight file in any supported format (IGC, GPX, KML or FIT)
+     * @param {string} fileName - File name or URL, used to pick the format
+     * @param {ArrayBuffer} buffer - Raw file content
+     * @param {string} [progressLabel] - Label shown with the parse progress
+     * @returns {Promise<boolean>} - True if the flight was loaded
      */
-    function processIgcContent(igcContent) {
+    function processFlightFile(fileName, buffer, progressLabel = '') {
+        const format = trackImporter.detectFormat(fileName, buffer);
+        if (format === 'igc') {
+            return processIgcContent(new TextDecoder().decode(buffer), progressLabel);
+        }
+
+        // Strict validation and signatures only apply to IGC files
+        lastAttemptedIgcContent = '';
+        return loadFlight(async () => trackImporter.import(buffer, format), '', progressLabel);
+    }
+
+    /**
+     * Parse a flight and show it as the current flight
+     * @param {function} parse - Called with a progress callback, resolves to the flight data
+     * @param {string} igcContent - Raw IGC content for the signature check, empty for other formats
+     * @param {string} progressLabel - Label shown with the parse progress
+     * @returns {Promise<boolean>} - True if the flight was loaded
+     */
+    async function loadFlight(parse, igcContent, progressLabel) {
+        const sequence = ++loadSequence;
+        loadingIndicator.classList.remove('d-none');
+
         try {
-            // Parse IGC file
-            const flightData = igcParser.parse(igcContent);
+            // Parse the flight file
+            const flightData = await parse(showProgress(progressLabel));
+            if (sequence !== loadSequence) {
+                return false;
+            }
+            updateFileHealth(flightData.diagnostics, null);
+            applyTerrain(flightData);
+            timeFormatter.setFlight(flightData);
+            verifySignature(flightData, igcContent);
 
             // Save current flight data
             currentFlightData = flightData;
+            comparisonFlights = [];
+            altitudeDisplay.setComparisonFlights(comparisonFlights);
 
             // Display flight data
+            altitudeDisplay.selectedIndex = null;
             flightDisplay.displayFlight(flightData);
-            altitudeDisplay.render(flightData);
+            analyzeFlight(flightData);
+            getPanel('replayControls', 'Replay');
+            flightReplay.load(flightData);
+            updateComparisonTable(null);
+            updateEventTimeline(flightData.events);
+            resetIgcWriter(flightData);
 
             // Reset waypoint elements
             showWaypointsSwitch.checked = false;
             waypointStatistics.innerHTML = '<p class="no-data-message">Generate waypoints to see statistics</p>';
             document.getElementById('qrCodeContainer').innerHTML = '';
 
-            // Save IGC content for resize handling
-            lastLoadedIgcContent = igcContent;
+            // Save IGC content for signature re-checks
+            currentIgcContent = igcContent;
 
             // Hide loading indicator
-            loadingIndicator.classList.add('d-none');
+            hideLoading();
+            return true;
+        } catch (error) {
+            if (sequence !== loadSequence) {
+                return false;
+            }
+            console.error('Error processing flight file:', error);
+            updateFileHealth(error.diagnostics || null, error);
+            hideLoading();
+            return false;
+        }
+    }
+
+    /**
+     * Parse an additional flight file and add it to the comparison
+     * @param {ArrayBuffer} buffer - Raw file content (IGC, GPX, KML or FIT)
+     * @param {string} fileName - File name, used to pick the format and when the log has no pilot name
+     * @param {string} [progressLabel] - Label shown with the parse progress
+     * @returns {Promise<void>} - Resolves once the flight is parsed
+     */
+    async function addComparisonFlight(buffer, fileName, progressLabel = '') {
+        const sequence = loadSequence;
+        try {
+            const format = trackImporter.detectFormat(fileName, buffer);
+            const flightData = format === 'igc' ?
+                await parseService.parse(new TextDecoder().decode(buffer), {}, showProgress(progressLabel)) :
+                trackImporter.import(buffer, format);
+            if (sequence !== loadSequence) {
+                // Another main flight was loaded meanwhile
+                return;
+            }
+            comparisonFlights.push({
+                flightData,
+                name: flightData.header.pilot !== 'Unknown' ? flightData.header.pilot : fileName,
+                color: flightDisplay.FLIGHT_COLORS[comparisonFlights.length % flightDisplay.FLIGHT_COLORS.length]
+            });
         } catch (error) {
-            console.error('Error processing IGC file:', error);
-            alert('Lỗi xử lý file IGC: ' + error.message);
-            loadingIndicator.classList.add('d-none');
+            console.error(`Error processing IGC file ${fileName}:`, error);
+            alert(`Lỗi xử lý file IGC ${fileName}: ` + error.message);
         }
     }
 
+    /**
+     * Show the comparison flights on the map, the altitude chart, the replay and the comparison table
+     */
+    function updateComparison() {
+        flightDisplay.displayComparisonFlights(comparisonFlights);
+        altitudeDisplay.setComparisonFlights(comparisonFlights);
+        altitudeDisplay.render(currentFlightData);
+        flightReplay.setComparisonFlights(comparisonFlights);
+        flightDisplay.showComparisonFixes(flightReplay.comparisonIndices());
+
+        const flights = [{ flightData: currentFlightData, name: currentFlightData.header.pilot, color: '#4682b4' }]
+            .concat(comparisonFlights);
+        updateComparisonTable(flightComparison.compare(flights));
+    }
+
+    // Several files of one task day can be selected at once for comparison
+    igcFileInput.multiple = true;
+
+    // Tracks from other apps are imported into the same flight data
+    igcFileInput.accept = '.igc,.gpx,.kml,.fit';
+
     // File input change event listener
     igcFileInput.addEventListener('change', (event) => {
-        const file = event.target.files[0];
-        if (!file) return;
+        const files = Array.from(event.target.files);
+        if (files.length === 0) return;
         
         // Show loading indicator
         loadingIndicator.classList.remove('d-none');
         
-        // Read the file
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const igcContent = e.target.result;
-            processIgcContent(igcContent);
-        };
-        reader.onerror = () => {
-            console.error('Error reading file');
-            alert('Lỗi đọc file');
-            loadingIndicator.classList.add('d-none');
-        };
-        reader.readAsText(file);
+        // Read the files
+        const readFile = file => new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error(`Lỗi đọc file ${file.name}`));
+            reader.readAsArrayBuffer(file);
+        });
+
+        // Files are parsed one after the other so progress can be followed in a batch
+        const fileLabel = i => files.length > 1 ? `File ${i + 1} of ${files.length}` : '';
+
+        Promise.all(files.map(readFile))
+            .then(async contents => {
+                // The first file is the main flight, the others are compared against it
+                if (!await processFlightFile(files[0].name, contents[0], fileLabel(0))) return;
+                if (contents.length === 1) return;
+
+                const sequence = loadSequence;
+                loadingIndicator.classList.remove('d-none');
+                for (let i = 1; i < contents.length; i++) {
+                    await addComparisonFlight(contents[i], files[i].name, fileLabel(i));
+                    if (sequence !== loadSequence) return;
+                }
+                hideLoading();
+                updateComparison();
+            })
+            .catch(error => {
+                console.error('Error reading file', error);
+                alert(error.message);
+                hideLoading();
+            });
     });
 
     // Add load button event listener for URL loading
@@ -106,15 +641,15 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!response.ok) {
                 throw new Error(`HTTP error! Status: ${response.status}`);
             }
-            return response.text();
+            return response.arrayBuffer();
         })
-        .then(igcContent => {
-            processIgcContent(igcContent);
+        .then(buffer => {
+            processFlightFile(url, buffer);
         })
         .catch(error => {
             console.error('Error fetching IGC file:', error);
             alert('Lỗi tải file IGC: ' + error.message);
-            loadingIndicator.classList.add('d-none');
+            hideLoading();
         });
     });
 
@@ -185,6 +720,159 @@ document.addEventListener('DOMContentLoaded', () => {
         waypointGenerator.generateQRCode('qrCodeContainer', format);
     });
 
+    // Full track download, in its own panel
+    const trackExportPanel = getPanel('trackExport', 'Track Export');
+    trackExportPanel.innerHTML = `
+        <select class="form-select form-select-sm mb-2" id="trackExportFormat">
+            <option value="gpx">GPX 1.1</option>
+            <option value="kml">KML (Google Earth, 3D)</option>
+            <option value="geojson">GeoJSON</option>
+        </select>
+        <div class="form-check">
+            <input class="form-check-input" type="checkbox" id="trackExportAirborne">
+            <label class="form-check-label" for="trackExportAirborne">Takeoff to landing only</label>
+        </div>
+        <div class="form-check mb-2">
+            <input class="form-check-input" type="checkbox" id="trackExportLogged">
+            <label class="form-check-label" for="trackExportLogged">Logged fixes only (no fixes interpolated by cleaning)</label>
+        </div>
+        <button type="button" class="btn btn-primary btn-sm" id="trackExportBtn">Download track</button>
+    `;
+
+    document.getElementById('trackExportBtn').addEventListener('click', () => {
+        if (!currentFlightData) {
+            alert('Please load a flight first');
+            return;
+        }
+
+        const file = trackExporter.export(currentFlightData, document.getElementById('trackExportFormat').value, {
+            airborneOnly: document.getElementById('trackExportAirborne').checked,
+            loggedOnly: document.getElementById('trackExportLogged').checked
+        });
+        downloadFile(file.content, file.fileName, file.mimeType);
+    });
+
+    // IGC file written back out: trimmed, merged with another log and/or anonymized
+    const igcWriterPanel = getPanel('igcWriter', 'IGC File');
+    igcWriterPanel.innerHTML = `
+        <label class="form-label mb-0" for="igcTrimFrom">From <span id="igcTrimFromTime">-</span></label>
+        <input type="range" class="form-range" id="igcTrimFrom" min="0" max="0" value="0">
+        <label class="form-label mb-0" for="igcTrimTo">To <span id="igcTrimToTime">-</span></label>
+        <input type="range" class="form-range" id="igcTrimTo" min="0" max="0" value="0">
+        <div class="form-check mb-2">
+            <input class="form-check-input" type="checkbox" id="igcAnonymize">
+            <label class="form-check-label" for="igcAnonymize">Anonymize (no pilot, glider, logger ID or L records)</label>
+        </div>
+        <button type="button" class="btn btn-primary btn-sm" id="igcDownloadBtn">Download IGC</button>
+        <label class="form-label d-block mt-3" for="igcMergeInput">Merge with another log of this flight</label>
+        <input type="file" class="form-control form-control-sm" id="igcMergeInput" accept=".igc,.gpx,.kml,.fit">
+        <p class="small text-muted mt-2 mb-0">Written files have no G record, as the original signature does not cover them.</p>
+    `;
+
+    const igcTrimFrom = document.getElementById('igcTrimFrom');
+    const igcTrimTo = document.getElementById('igcTrimTo');
+
+    /**
+     * Set the trim range of the IGC panel to the airborne part of a new flight
+     * @param {object} flightData - Flight data
+     */
+    function resetIgcWriter(flightData) {
+        const last = Math.max(flightData.fixes.length - 1, 0);
+        igcTrimFrom.max = last;
+        igcTrimTo.max = last;
+        igcTrimFrom.value = flightData.airborne ? flightData.airborne.takeoffIndex : 0;
+        igcTrimTo.value = flightData.airborne ? flightData.airborne.landingIndex : last;
+        updateIgcTrimLabels();
+    }
+
+    /**
+     * Show the times of the trim range in the selected time zone
+     */
+    function updateIgcTrimLabels() {
+        const fixes = currentFlightData ? currentFlightData.fixes : [];
+        const time = index => fixes[index] ? timeFormatter.format(fixes[index].timestamp) : '-';
+        document.getElementById('igcTrimFromTime').textContent = time(igcTrimFrom.value);
+        document.getElementById('igcTrimToTime').textContent = time(igcTrimTo.value);
+    }
+
+    /**
+     * Write a flight as an IGC file download, anonymized when asked
+     * @param {object} flightData - Flight data to write
+     */
+    function downloadIgc(flightData) {
+        const output = document.getElementById('igcAnonymize').checked ? igcWriter.anonymize(flightData) : flightData;
+        downloadFile(igcWriter.write(output), `${trackExporter.baseName(output)}.igc`, 'text/plain');
+    }
+
+    // Keep the start of the range before its end
+    igcTrimFrom.addEventListener('input', () => {
+        if (Number(igcTrimFrom.value) > Number(igcTrimTo.value)) {
+            igcTrimTo.value = igcTrimFrom.value;
+        }
+        updateIgcTrimLabels();
+    });
+    igcTrimTo.addEventListener('input', () => {
+        if (Number(igcTrimTo.value) < Number(igcTrimFrom.value)) {
+            igcTrimFrom.value = igcTrimTo.value;
+        }
+        updateIgcTrimLabels();
+    });
+
+    document.getElementById('igcDownloadBtn').addEventListener('click', () => {
+        if (!currentFlightData || currentFlightData.fixes.length === 0) {
+            alert('Please load a flight first');
+            return;
+        }
+
+        const fixes = currentFlightData.fixes;
+        downloadIgc(igcWriter.trim(
+            currentFlightData,
+            fixes[Number(igcTrimFrom.value)].timestamp,
+            fixes[Number(igcTrimTo.value)].timestamp
+        ));
+    });
+
+    document.getElementById('igcMergeInput').addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        if (!currentFlightData) {
+            alert('Please load a flight first');
+            return;
+        }
+
+        try {
+            const buffer = await file.arrayBuffer();
+            const format = trackImporter.detectFormat(file.name, buffer);
+            const other = format === 'igc' ?
+                await parseService.parse(new TextDecoder().decode(buffer)) :
+                trackImporter.import(buffer, format);
+            downloadIgc(igcWriter.merge(currentFlightData, other));
+        } catch (error) {
+            console.error(`Error merging IGC file ${file.name}:`, error);
+            alert(`Lỗi xử lý file IGC ${file.name}: ` + error.message);
+        }
+    });
+
+    /**
+     * Save generated content as a file
+     * @param {string} content - File content
+     * @param {string} fileName - Suggested file name
+     * @param {string} mimeType - MIME type of the content
+     */
+    function downloadFile(content, fileName, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Release the content once the download has started
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
     // Update waypoint statistics display
     function updateWaypointStatistics(waypoints) {
         if (!waypoints || waypoints.length === 0) {
@@ -223,13 +911,270 @@ document.addEventListener('DOMContentLoaded', () => {
         `;
     }
 
+    /**
+     * Get a panel body by ID, creating a card for it below the altitude chart if the page lacks one
+     * @param {string} id - ID of the panel body element
+     * @param {string} title - Card title
+     * @returns {HTMLElement} - Panel body element
+     */
+    function getPanel(id, title) {
+        let body = document.getElementById(id);
+        if (body) {
+            return body;
+        }
+
+        const card = document.createElement('div');
+        card.className = 'card mb-4';
+        card.innerHTML = `
+            <div class="card-header"><h3>${title}</h3></div>
+            <div class="card-body" id="${id}"></div>
+        `;
+
+        const chartCard = document.getElementById('altitudeChart').closest('.card');
+        (chartCard ? chartCard.parentNode : document.body).appendChild(card);
+
+        return document.getElementById(id);
+    }
+
+    // Update task timeline display
+    function updateTaskTimeline(result) {
+        const timeline = getPanel('taskTimeline', 'Task');
+
+        if (!result) {
+            timeline.innerHTML = '<p class="no-data-message">No task declared in this flight</p>';
+            return;
+        }
+
+        const rows = result.turnpoints.map(tp => {
+            const elapsed = tp.reached && result.start ?
+                flightDisplay.formatDuration(taskScorer.elapsed(result.start.timestamp, tp.tag.timestamp)) :
+                '';
+            return `
+                    <tr class="${tp.reached ? '' : 'text-muted'}">
+                        <td><strong>${tp.name}</strong> <small class="text-muted">${tp.type}</small></td>
+                        <td>${tp.reached ? timeFormatter.format(tp.tag.timestamp) : 'not reached'}</td>
+                        <td>${elapsed}</td>
+                    </tr>`;
+        }).join('');
+
+        timeline.innerHTML = `
+            <table class="table table-sm">
+                <thead>
+                    <tr><th>Turnpoint</th><th>Time</th><th>Elapsed</th></tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+            <table class="table table-sm">
+                <tbody>
+                    <tr>
+                        <td><strong>Status:</strong></td>
+                        <td>${result.completed ? 'Goal' : 'Not in goal'}</td>
+                    </tr>
+                    <tr>
+                        <td><strong>Task Distance:</strong></td>
+                        <td>${result.optimizedDistance.toFixed(2)} km <small class="text-muted">(optimized)</small></td>
+                    </tr>
+                    <tr>
+                        <td><strong>Speed Section:</strong></td>
+                        <td>${result.speedSectionDuration !== null ? flightDisplay.formatDuration(result.speedSectionDuration) : '-'}</td>
+                    </tr>
+                    <tr>
+                        <td><strong>Average Speed:</strong></td>
+                        <td>${result.averageSpeed !== null ? result.averageSpeed.toFixed(1) + ' km/h' : '-'}</td>
+                    </tr>
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Update event timeline with the E records of the flight
+    function updateEventTimeline(events) {
+        const timeline = getPanel('eventTimeline', 'Events');
+
+        if (events.length === 0) {
+            timeline.innerHTML = '<p class="no-data-message">No events logged in this flight</p>';
+            return;
+        }
+
+        const rows = events.map((event, i) => `
+                    <tr class="event-row ${event.fixIndex === null ? 'text-muted' : ''}" data-event="${i}">
+                        <td>${timeFormatter.format(event.timestamp)}</td>
+                        <td><strong>${event.code}</strong> <small class="text-muted">${event.name}</small></td>
+                        <td>${event.text}</td>
+                    </tr>`).join('');
+
+        timeline.innerHTML = `
+            <table class="table table-sm table-hover">
+                <thead>
+                    <tr><th>Time</th><th>Event</th><th>Details</th></tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+        `;
+
+        // Jump to the moment of an event
+        timeline.querySelectorAll('.event-row').forEach(row => {
+            row.addEventListener('click', () => {
+                const index = events[parseInt(row.dataset.event, 10)].fixIndex;
+                if (index === null) return;
+
+                altitudeDisplay.selectFix(index);
+                selectFix(index);
+                flightDisplay.panToFix(index);
+            });
+        });
+    }
+
+    // Update file health panel with parser diagnostics
+    function updateFileHealth(diagnostics, error) {
+        const results = document.getElementById('fileHealthResults');
+        if (!results) return;
+
+        const errors = diagnostics ? diagnostics.errors : [];
+        const warnings = diagnostics ? diagnostics.warnings : [];
+
+        let status;
+        if (error) {
+            status = `<p class="text-danger"><strong>Lỗi xử lý file IGC:</strong> ${error.message}</p>`;
+        } else if (errors.length === 0 && warnings.length === 0) {
+            status = '<p class="text-success">No problems found</p>';
+        } else {
+            status = `<p class="text-warning">${errors.length} error(s), ${warnings.length} warning(s)</p>`;
+        }
+
+        const issues = errors.map(issue => Object.assign({ severity: 'error' }, issue))
+            .concat(warnings.map(issue => Object.assign({ severity: 'warning' }, issue)));
+        if (issues.length === 0) {
+            results.innerHTML = status;
+            return;
+        }
+
+        // Long lists are cut short; the counts above them stay complete
+        const limit = 200;
+        const rows = issues.slice(0, limit).map(issue => `
+                    <tr>
+                        <td>${issue.line !== null ? issue.line : '-'}</td>
+                        <td class="${issue.severity === 'error' ? 'text-danger' : 'text-warning'}">${issue.severity}</td>
+                        <td>${issue.message}</td>
+                    </tr>`).join('');
+
+        results.innerHTML = status + `
+            <details class="file-health-details" ${error ? 'open' : ''}>
+                <summary>Details${issues.length > limit ? ` (first ${limit} of ${issues.length})` : ''}</summary>
+                <table class="table table-sm">
+                    <thead>
+                        <tr><th>Line</th><th>Severity</th><th>Problem</th></tr>
+                    </thead>
+                    <tbody>${rows}
+                    </tbody>
+                </table>
+            </details>
+        `;
+    }
+
+    // Update airspace infringement list
+    function updateAirspaceResults(infringements) {
+        const results = document.getElementById('airspaceResults');
+        if (!results || airspaces.length === 0) {
+            return;
+        }
+
+        const loaded = `<p><small class="text-muted">${airspaces.length} airspaces loaded</small></p>`;
+        if (!currentFlightData) {
+            results.innerHTML = loaded;
+            return;
+        }
+        if (infringements.length === 0) {
+            results.innerHTML = loaded + '<p class="text-success">No airspace infringements</p>';
+            return;
+        }
+
+        const formatMeters = meters => isFinite(meters) ? `${meters.toFixed(0)}m` : '-';
+        const rows = infringements.map(infringement => `
+                    <tr>
+                        <td><strong>${infringement.airspace.name}</strong> <small class="text-muted">${infringement.airspace.class}</small></td>
+                        <td>${timeFormatter.format(infringement.entryTimestamp)}</td>
+                        <td>${timeFormatter.format(infringement.exitTimestamp)}</td>
+                        <td>${formatMeters(infringement.maxVerticalPenetration)}</td>
+                        <td>${formatMeters(infringement.maxHorizontalPenetration)}</td>
+                    </tr>`).join('');
+
+        results.innerHTML = loaded + `
+            <table class="table table-sm">
+                <thead>
+                    <tr><th>Airspace</th><th>Entry</th><th>Exit</th><th>Vertical</th><th>Horizontal</th></tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Update the multi-flight comparison table
+    function updateComparisonTable(result) {
+        // Only add the panel once flights are compared
+        if (!result && !document.getElementById('flightComparison')) {
+            return;
+        }
+        const panel = getPanel('flightComparison', 'Flight Comparison');
+
+        if (!result) {
+            panel.innerHTML = '<p class="no-data-message">Select several IGC files to compare flights</p>';
+            return;
+        }
+
+        const swatch = pilot => `<span class="phase-swatch" style="background-color:${pilot.color}"></span>`;
+        const statRows = result.pilots.map(pilot => `
+                    <tr>
+                        <td>${swatch(pilot)}<strong>${pilot.name}</strong></td>
+                        <td>${timeFormatter.format(pilot.stats.startTimestamp)}</td>
+                        <td>${flightDisplay.formatDuration(pilot.stats.duration)}</td>
+                        <td>${pilot.stats.maxAltitude}m</td>
+                        <td>${pilot.stats.maxClimb.toFixed(1)} m/s</td>
+                        <td>${pilot.stats.distance.toFixed(1)} km</td>
+                    </tr>`).join('');
+
+        let gapTable = '';
+        if (result.turnpoints.length > 0) {
+            const header = result.pilots.map(pilot => `<th>${swatch(pilot)}${pilot.name}</th>`).join('');
+            const rows = result.turnpoints.map(tp => `
+                    <tr>
+                        <td><strong>${tp.name}</strong> <small class="text-muted">${tp.type}</small></td>
+                        ${tp.times.map(entry => entry ?
+                            `<td>${timeFormatter.format(entry.timestamp)} <small class="text-muted">${entry.gap > 0 ? '+' + flightDisplay.formatDuration(entry.gap) : 'first'}</small></td>` :
+                            '<td class="text-muted">-</td>').join('')}
+                    </tr>`).join('');
+
+            gapTable = `
+            <table class="table table-sm">
+                <thead>
+                    <tr><th>Turnpoint</th>${header}</tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>`;
+        }
+
+        panel.innerHTML = `
+            <table class="table table-sm">
+                <thead>
+                    <tr><th>Pilot</th><th>Takeoff</th><th>Duration</th><th>Max Alt</th><th>Max Climb</th><th>Distance</th></tr>
+                </thead>
+                <tbody>${statRows}
+                </tbody>
+            </table>${gapTable}
+        `;
+    }
+
     // Handle window resize
     window.addEventListener('resize', debounce(() => {
-        if (lastLoadedIgcContent) {
+        if (currentFlightData) {
             try {
-                // We already have the IGC content saved, no need to fetch again
-                const flightData = igcParser.parse(lastLoadedIgcContent);
-                altitudeDisplay.render(flightData);
+                // Re-render the current flight so a manually adjusted takeoff/landing is kept
+                altitudeDisplay.render(currentFlightData);
+                windProfileDisplay.render(windEstimates);
                 
                 // Reapply waypoints if visible
                 if (showWaypointsSwitch && showWaypointsSwitch.checked && 
@@ -0,0 +1,272 @@
+/**
+ * OpenAir Parser
+ * Parses OpenAir airspace files into polygons with vertical limits
+ */
+class OpenAirParser {
+    constructor() {
+        // Constants for OpenAir parsing
+        this.FEET_TO_METER = 0.3048;
+        this.NM_TO_METER = 1852;
+        this.EARTH_RADIUS = 6371000;
+
+        // Angle between generated points on arcs and circles (degrees)
+        this.ARC_STEP = 5;
+    }
+
+    /**
+     * Parse an OpenAir file content
+     * @param {string} content - The raw content of the OpenAir file
+     * @returns {object[]} - Airspaces as {name, class, floor, ceiling, polygon}
+     */
+    parse(content) {
+        const airspaces = [];
+        let airspace = null;
+
+        // Arc state set by V records
+        let center = null;
+        let clockwise = true;
+
+        const finish = () => {
+            if (airspace && airspace.polygon.length >= 3) {
+                airspaces.push(airspace);
+            }
+        };
+
+        content.split(/\r?\n/).forEach(rawLine => {
+            // Strip comments and surrounding whitespace
+            const line = rawLine.replace(/\*.*$/, '').trim();
+            if (!line) {
+                return;
+            }
+
+            const match = line.match(/^([A-Z]{1,2})\s+(.*)$/i);
+            if (!match) {
+                return;
+            }
+            const command = match[1].toUpperCase();
+            const value = match[2].trim();
+
+            if (command === 'AC') {
+                // A new airspace starts with its class
+                finish();
+                airspace = {
+                    name: 'Unnamed',
+                    class: value,
+                    floor: this.parseAltitude('SFC'),
+                    ceiling: this.parseAltitude('UNL'),
+                    polygon: []
+                };
+                center = null;
+                clockwise = true;
+                return;
+            }
+
+            if (!airspace) {
+                return;
+            }
+
+            if (command === 'AN') {
+                airspace.name = value;
+            } else if (command === 'AL') {
+                airspace.floor = this.parseAltitude(value);
+            } else if (command === 'AH') {
+                airspace.ceiling = this.parseAltitude(value);
+            } else if (command === 'V') {
+                // Variable assignment: X=centre, D=+/- arc direction
+                const variable = value.match(/^([XD])\s*=\s*(.*)$/i);
+                if (!variable) {
+                    return;
+                }
+                if (variable[1].toUpperCase() === 'X') {
+                    center = this.parseCoordinate(variable[2]);
+                } else {
+                    clockwise = variable[2].trim() !== '-';
+                }
+            } else if (command === 'DP') {
+                const point = this.parseCoordinate(value);
+                if (point) {
+                    airspace.polygon.push(point);
+                }
+            } else if (command === 'DA' && center) {
+                // Arc by radius (NM) and start/end angles (degrees)
+                const parts = value.split(',').map(part => parseFloat(part));
+                if (parts.length === 3 && parts.every(part => !isNaN(part))) {
+                    airspace.polygon.push(...this.arc(center, parts[0] * this.NM_TO_METER, parts[1], parts[2], clockwise));
+                }
+            } else if (command === 'DB' && center) {
+                // Arc between two coordinates
+                const ends = value.split(',').map(part => this.parseCoordinate(part));
+                if (ends.length === 2 && ends[0] && ends[1]) {
+                    const radius = this.distance(center, ends[0]);
+                    airspace.polygon.push(
+                        ...this.arc(center, radius, this.bearing(center, ends[0]), this.bearing(center, ends[1]), clockwise)
+                    );
+                }
+            } else if (command === 'DC' && center) {
+                // Full circle by radius (NM)
+                const radius = parseFloat(value) * this.NM_TO_METER;
+                if (!isNaN(radius)) {
+                    airspace.polygon.push(...this.arc(center, radius, 0, 360 - this.ARC_STEP, true));
+                }
+            }
+        });
+
+        finish();
+
+        return airspaces;
+    }
+
+    /**
+     * Parse an altitude limit
+     * @param {string} value - Limit such as SFC, GND, FL95, 3500ft AMSL, 1000ft AGL, 1500m or UNL
+     * @returns {object} - {reference: 'SFC'|'AMSL'|'AGL'|'FL', meters, text}
+     */
+    parseAltitude(value) {
+        const text = value.trim().toUpperCase();
+
+        if (/^(SFC|GND)$/.test(text) || /^0+\s*(FT|F|M)?\s*(AGL|GND|SFC)$/.test(text)) {
+            return { reference: 'SFC', meters: 0, text };
+        }
+        if (/^(UNL|UNLIM|UNLIMITED)/.test(text)) {
+            return { reference: 'AMSL', meters: Infinity, text };
+        }
+
+        const flightLevel = text.match(/^FL\s*(\d+)/);
+        if (flightLevel) {
+            return { reference: 'FL', meters: parseInt(flightLevel[1], 10) * 100 * this.FEET_TO_METER, text };
+        }
+
+        const match = text.match(/^(\d+(?:\.\d+)?)\s*(FT|F|M)?\s*(AMSL|MSL|ASL|AGL|GND|SFC)?/);
+        if (!match) {
+            // Unknown limits are treated as the widest possible band
+            return { reference: 'SFC', meters: 0, text };
+        }
+
+        const number = parseFloat(match[1]);
+        const meters = match[2] === 'M' ? number : number * this.FEET_TO_METER;
+        const reference = match[3] && ['AGL', 'GND', 'SFC'].includes(match[3]) ? 'AGL' : 'AMSL';
+
+        return { reference, meters, text };
+    }
+
+    /**
+     * Parse an OpenAir coordinate
+     * @param {string} value - Coordinate such as "45:30:00 N 006:30:00 E" or "45:30.5N 006:30.5E"
+     * @returns {number[]|null} - [latitude, longitude] in decimal degrees or null if invalid
+     */
+    parseCoordinate(value) {
+        const match = value.trim().toUpperCase()
+            .match(/^(\d+):(\d+(?:\.\d+)?)(?::(\d+(?:\.\d+)?))?\s*([NS])\s*(\d+):(\d+(?:\.\d+)?)(?::(\d+(?:\.\d+)?))?\s*([EW])/);
+        if (!match) {
+            return null;
+        }
+
+        const toDegrees = (degrees, minutes, seconds) =>
+            parseInt(degrees, 10) + parseFloat(minutes) / 60 + (seconds ? parseFloat(seconds) / 3600 : 0);
+
+        let latitude = toDegrees(match[1], match[2], match[3]);
+        let longitude = toDegrees(match[5], match[6], match[7]);
+        if (match[4] === 'S') latitude = -latitude;
+        if (match[8] === 'W') longitude = -longitude;
+
+        return [latitude, longitude];
+    }
+
+    /**
+     * Generate the points of an arc around a centre
+     * @param {number[]} center - [latitude, longitude] of the centre
+     * @param {number} radius - Radius in meters
+     * @param {number} startAngle - Start bearing in degrees
+     * @param {number} endAngle - End bearing in degrees
+     * @param {boolean} clockwise - Direction of the arc
+     * @returns {number[][]} - Points as [latitude, longitude]
+     */
+    arc(center, radius, startAngle, endAngle, clockwise) {
+        // Sweep in the arc direction, always between 0 and 360 degrees
+        let sweep = clockwise ? endAngle - startAngle : startAngle - endAngle;
+        sweep = ((sweep % 360) + 360) % 360;
+        if (sweep === 0) {
+            sweep = 360;
+        }
+
+        const steps = Math.max(1, Math.ceil(sweep / this.ARC_STEP));
+        const points = [];
+        for (let i = 0; i <= steps; i++) {
+            const angle = startAngle + (clockwise ? 1 : -1) * sweep * i / steps;
+            points.push(this.destination(center, radius, angle));
+        }
+
+        return points;
+    }
+
+    /**
+     * Point at a distance and bearing from a start point
+     * @param {number[]} start - [latitude, longitude]
+     * @param {number} distance - Distance in meters
+     * @param {number} bearing - Bearing in degrees
+     * @returns {number[]} - [latitude, longitude]
+     */
+    destination(start, distance, bearing) {
+        const lat1 = this.toRadians(start[0]);
+        const lon1 = this.toRadians(start[1]);
+        const angular = distance / this.EARTH_RADIUS;
+        const theta = this.toRadians(bearing);
+
+        const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(theta));
+        const lon2 = lon1 + Math.atan2(
+            Math.sin(theta) * Math.sin(angular) * Math.cos(lat1),
+            Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+        );
+
+        return [lat2 * 180 / Math.PI, lon2 * 180 / Math.PI];
+    }
+
+    /**
+     * Calculate bearing between two points
+     * @param {number[]} a - [latitude, longitude] of the first point
+     * @param {number[]} b - [latitude, longitude] of the second point
+     * @returns {number} - Bearing in degrees (0-360)
+     */
+    bearing(a, b) {
+        const lat1 = this.toRadians(a[0]);
+        const lat2 = this.toRadians(b[0]);
+        const dLon = this.toRadians(b[1] - a[1]);
+
+        const y = Math.sin(dLon) * Math.cos(lat2);
+        const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+
+    /**
+     * Calculate distance between two points using Haversine formula
+     * @param {number[]} a - [latitude, longitude] of the first point
+     * @param {number[]} b - [latitude, longitude] of the second point
+     * @returns {number} - Distance in meters
+     */
+    distance(a, b) {
+        const dLat = this.toRadians(b[0] - a[0]);
+        const dLon = this.toRadians(b[1] - a[1]);
+
+        const h =
+            Math.sin(dLat/2) * Math.sin(dLat/2) +
+            Math.cos(this.toRadians(a[0])) * Math.cos(this.toRadians(b[0])) *
+            Math.sin(dLon/2) * Math.sin(dLon/2);
+
+        return this.EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1-h));
+    }
+
+    /**
+     * Convert degrees to radians
+     * @param {number} degrees - Angle in degrees
+     * @returns {number} - Angle in radians
+     */
+    toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+}
+
+// Node/CommonJS export; in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OpenAirParser };
+}
@@ -0,0 +1,462 @@
+/**
+ * Score Optimizer
+ * Finds the best XContest-style free distance and triangle scores of a flight
+ */
+class ScoreOptimizer {
+    /**
+     * Create a score optimizer
+     * @param {object} [rules] - Scoring rules overriding the XContest defaults
+     */
+    constructor(rules = {}) {
+        // Earth's radius in km
+        this.EARTH_RADIUS = 6371;
+
+        this.rules = Object.assign({
+            freeMultiplier: 1.0,
+            flatTriangleMultiplier: 1.2,
+            faiTriangleMultiplier: 1.4,
+            maxClosingRatio: 0.2, // Closing distance as a fraction of the triangle perimeter
+            faiMinLegRatio: 0.28 // Shortest FAI leg as a fraction of the perimeter
+        }, rules);
+
+        // Number of points used for the coarse search, the best routes are then refined on all fixes
+        this.COARSE_FREE_POINTS = 600;
+        this.COARSE_TRIANGLE_POINTS = 250;
+    }
+
+    /**
+     * Optimize the score of a flight
+     * @param {object} flightData - Parsed flight data from IGCParser
+     * @returns {object|null} - Free flight, flat and FAI triangle results plus the best one
+     */
+    optimize(flightData) {
+        if (!flightData || !flightData.fixes || flightData.fixes.length < 5) {
+            return null;
+        }
+
+        // Only the airborne part of the log is scored
+        const offset = flightData.airborne ? flightData.airborne.takeoffIndex : 0;
+        const fixes = flightData.airborne ?
+            flightData.fixes.slice(offset, flightData.airborne.landingIndex + 1) :
+            flightData.fixes;
+        if (fixes.length < 5) {
+            return null;
+        }
+
+        const points = this.projectFixes(fixes);
+
+        const free = this.optimizeFreeDistance(fixes, points);
+        const triangles = this.optimizeTriangles(fixes, points);
+
+        const results = [free, triangles.flat, triangles.fai].filter(result => result !== null);
+        const best = results.reduce((winner, result) => (!winner || result.score > winner.score ? result : winner), null);
+
+        // Report fix indices relative to the full log
+        results.forEach(result => {
+            result.points.concat(result.closing || []).forEach(point => {
+                point.fixIndex += offset;
+            });
+        });
+
+        return {
+            free,
+            flatTriangle: triangles.flat,
+            faiTriangle: triangles.fai,
+            best
+        };
+    }
+
+    /**
+     * Project fixes onto a local flat plane for fast distance estimates
+     * @param {object[]} fixes - Flight fixes
+     * @returns {object} - Float64Arrays x and y in km
+     */
+    projectFixes(fixes) {
+        const lat0 = fixes.reduce((sum, fix) => sum + fix.latitude, 0) / fixes.length;
+        const cosLat = Math.cos(this.toRadians(lat0));
+        const x = new Float64Array(fixes.length);
+        const y = new Float64Array(fixes.length);
+
+        fixes.forEach((fix, i) => {
+            x[i] = this.toRadians(fix.longitude) * cosLat * this.EARTH_RADIUS;
+            y[i] = this.toRadians(fix.latitude) * this.EARTH_RADIUS;
+        });
+
+        return { x, y };
+    }
+
+    /**
+     * Find the best free flight through up to 3 turnpoints
+     * @param {object[]} fixes - Flight fixes
+     * @param {object} points - Projected points
+     * @returns {object} - Free distance result
+     */
+    optimizeFreeDistance(fixes, points) {
+        const coarse = this.sampleIndices(fixes.length, this.COARSE_FREE_POINTS);
+        const n = coarse.length;
+        const legs = 4; // Start, 3 turnpoints and finish
+        const dist = (a, b) => Math.hypot(points.x[a] - points.x[b], points.y[a] - points.y[b]);
+
+        // best[k][j]: longest path of k legs ending at coarse point j, with back-pointers
+        let best = new Float64Array(n);
+        const from = [];
+        for (let k = 1; k <= legs; k++) {
+            const next = new Float64Array(n);
+            const back = new Int32Array(n);
+            for (let j = 0; j < n; j++) {
+                let value = -Infinity;
+                for (let i = 0; i <= j; i++) {
+                    const candidate = best[i] + dist(coarse[i], coarse[j]);
+                    if (candidate > value) {
+                        value = candidate;
+                        back[j] = i;
+                    }
+                }
+                next[j] = value;
+            }
+            from.push(back);
+            best = next;
+        }
+
+        // Walk the back-pointers from the best end point
+        let end = 0;
+        for (let j = 1; j < n; j++) {
+            if (best[j] > best[end]) {
+                end = j;
+            }
+        }
+        const route = [end];
+        for (let k = legs - 1; k >= 0; k--) {
+            route.unshift(from[k][route[0]]);
+        }
+
+        // Refine each vertex on the full-resolution fixes
+        const stride = Math.ceil(fixes.length / n);
+        const indices = this.refineRoute(route.map(i => coarse[i]), stride, fixes.length, (candidate) => {
+            let total = 0;
+            for (let i = 1; i < candidate.length; i++) {
+                total += dist(candidate[i - 1], candidate[i]);
+            }
+            return total;
+        });
+
+        const distance = this.routeDistance(fixes, indices);
+        return {
+            type: 'free',
+            name: 'Free flight',
+            distance,
+            multiplier: this.rules.freeMultiplier,
+            score: distance * this.rules.freeMultiplier,
+            points: indices.map(i => this.routePoint(fixes, i)),
+            legs: this.legDistances(fixes, indices)
+        };
+    }
+
+    /**
+     * Find the best flat and FAI triangles
+     * @param {object[]} fixes - Flight fixes
+     * @param {object} points - Projected points
+     * @returns {object} - {flat, fai} triangle results (null if none closes)
+     */
+    optimizeTriangles(fixes, points) {
+        const coarse = this.sampleIndices(fixes.length, this.COARSE_TRIANGLE_POINTS);
+        const n = coarse.length;
+
+        // Distance matrix over coarse points
+        const matrix = new Float64Array(n * n);
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const d = Math.hypot(points.x[coarse[i]] - points.x[coarse[j]], points.y[coarse[i]] - points.y[coarse[j]]);
+                matrix[i * n + j] = d;
+                matrix[j * n + i] = d;
+            }
+        }
+
+        // closing[i][k]: shortest distance between any point up to i and any point from k onwards
+        const closing = new Float64Array(n * n).fill(Infinity);
+        for (let i = 0; i < n; i++) {
+            for (let k = n - 1; k >= i; k--) {
+                let value = matrix[i * n + k];
+                if (i > 0) {
+                    value = Math.min(value, closing[(i - 1) * n + k]);
+                }
+                if (k < n - 1) {
+                    value = Math.min(value, closing[i * n + k + 1]);
+                }
+                closing[i * n + k] = value;
+            }
+        }
+
+        const search = (isFai, multiplier) => {
+            let bestScore = 0;
+            let bestRoute = null;
+            for (let i = 0; i < n; i++) {
+                for (let j = i + 1; j < n; j++) {
+                    const a = matrix[i * n + j];
+                    for (let k = j + 1; k < n; k++) {
+                        const b = matrix[j * n + k];
+                        const c = matrix[k * n + i];
+                        const perimeter = a + b + c;
+
+                        // Prune: even a perfectly closed triangle cannot beat the current best
+                        if (perimeter * multiplier <= bestScore) {
+                            continue;
+                        }
+
+                        const gap = closing[i * n + k];
+                        if (gap > this.rules.maxClosingRatio * perimeter) {
+                            continue;
+                        }
+                        if (isFai && Math.min(a, b, c) < this.rules.faiMinLegRatio * perimeter) {
+                            continue;
+                        }
+
+                        const score = (perimeter - gap) * multiplier;
+                        if (score > bestScore) {
+                            bestScore = score;
+                            bestRoute = [coarse[i], coarse[j], coarse[k]];
+                        }
+                    }
+                }
+            }
+            return bestRoute;
+        };
+
+        const stride = Math.ceil(fixes.length / n);
+        const build = (route, isFai, multiplier) => {
+            if (!route) {
+                return null;
+            }
+
+            // The gap only depends on the first and last vertex, so moving the middle one reuses it
+            const gaps = new Map();
+            const closingGap = (first, last) => {
+                const key = first * fixes.length + last;
+                if (!gaps.has(key)) {
+                    gaps.set(key, this.findClosing(fixes, points, first, last));
+                }
+                return gaps.get(key);
+            };
+
+            // Score candidates like the coarse search: a wider triangle that no longer closes is no better
+            const indices = this.refineRoute(route, stride, fixes.length, candidate => {
+                const legs = this.legDistances(fixes, candidate.concat([candidate[0]]));
+                const perimeter = legs[0] + legs[1] + legs[2];
+                if (isFai && Math.min(...legs) < this.rules.faiMinLegRatio * perimeter) {
+                    return -Infinity;
+                }
+                const gap = closingGap(candidate[0], candidate[2]).distance;
+                if (gap > this.rules.maxClosingRatio * perimeter) {
+                    return -Infinity;
+                }
+                return perimeter - gap;
+            });
+
+            const legs = this.legDistances(fixes, indices.concat([indices[0]]));
+            const perimeter = legs.reduce((sum, leg) => sum + leg, 0);
+            const gap = closingGap(indices[0], indices[2]);
+            if (gap.distance > this.rules.maxClosingRatio * perimeter) {
+                return null;
+            }
+
+            const distance = perimeter - gap.distance;
+            return {
+                type: isFai ? 'fai' : 'flat',
+                name: isFai ? 'FAI triangle' : 'Flat triangle',
+                distance,
+                perimeter,
+                closingDistance: gap.distance,
+                multiplier,
+                score: distance * multiplier,
+                points: indices.map(i => this.routePoint(fixes, i)),
+                closing: [this.routePoint(fixes, gap.start), this.routePoint(fixes, gap.end)],
+                legs
+            };
+        };
+
+        return {
+            flat: build(search(false, this.rules.flatTriangleMultiplier), false, this.rules.flatTriangleMultiplier),
+            fai: build(search(true, this.rules.faiTriangleMultiplier), true, this.rules.faiTriangleMultiplier)
+        };
+    }
+
+    /**
+     * Find the shortest closing gap between the part of the flight before the first
+     * turnpoint and the part after the last one
+     * @param {object[]} fixes - Flight fixes
+     * @param {object} points - Projected points
+     * @param {number} first - Index of the first turnpoint
+     * @param {number} last - Index of the last turnpoint
+     * @returns {object} - {start, end, distance} with distance in km
+     */
+    findClosing(fixes, points, first, last) {
+        const dist = (a, b) => Math.hypot(points.x[a] - points.x[b], points.y[a] - points.y[b]);
+
+        // Coarse pass over sampled fixes on both sides
+        const stride = Math.max(1, Math.ceil(fixes.length / this.COARSE_FREE_POINTS));
+        let best = { start: first, end: last, distance: dist(first, last) };
+        for (let s = 0; s <= first; s += stride) {
+            for (let e = last; e < fixes.length; e += stride) {
+                const d = dist(s, e);
+                if (d < best.distance) {
+                    best = { start: s, end: e, distance: d };
+                }
+            }
+        }
+
+        // Fine pass around the best coarse pair
+        const coarseBest = best;
+        const sLow = Math.max(0, coarseBest.start - stride);
+        const sHigh = Math.min(first, coarseBest.start + stride);
+        const eLow = Math.max(last, coarseBest.end - stride);
+        const eHigh = Math.min(fixes.length - 1, coarseBest.end + stride);
+        for (let s = sLow; s <= sHigh; s++) {
+            for (let e = eLow; e <= eHigh; e++) {
+                const d = dist(s, e);
+                if (d < best.distance) {
+                    best = { start: s, end: e, distance: d };
+                }
+            }
+        }
+
+        best.distance = this.calculateDistance(
+            fixes[best.start].latitude, fixes[best.start].longitude,
+            fixes[best.end].latitude, fixes[best.end].longitude
+        );
+        return best;
+    }
+
+    /**
+     * Improve a coarse route by moving each vertex within its neighbouring fixes
+     * @param {number[]} route - Fix indices of the coarse route
+     * @param {number} window - Number of fixes to search on each side of a vertex
+     * @param {number} count - Total number of fixes
+     * @param {Function} evaluate - Returns the value of a candidate route (higher is better)
+     * @returns {number[]} - Refined fix indices
+     */
+    refineRoute(route, window, count, evaluate) {
+        const indices = route.slice();
+        let bestValue = evaluate(indices);
+        let improved = true;
+
+        while (improved) {
+            improved = false;
+            for (let v = 0; v < indices.length; v++) {
+                const low = Math.max(v > 0 ? indices[v - 1] : 0, indices[v] - window);
+                const high = Math.min(v < indices.length - 1 ? indices[v + 1] : count - 1, indices[v] + window);
+                const original = indices[v];
+                let bestIndex = original;
+
+                for (let i = low; i <= high; i++) {
+                    indices[v] = i;
+                    const value = evaluate(indices);
+                    if (value > bestValue) {
+                        bestValue = value;
+                        bestIndex = i;
+                    }
+                }
+
+                indices[v] = bestIndex;
+                if (bestIndex !== original) {
+                    improved = true;
+                }
+            }
+        }
+
+        return indices;
+    }
+
+    /**
+     * Evenly sample fix indices, always keeping the first and last fix
+     * @param {number} count - Number of fixes
+     * @param {number} maxPoints - Maximum number of samples
+     * @returns {number[]} - Sampled indices
+     */
+    sampleIndices(count, maxPoints) {
+        const stride = Math.max(1, Math.ceil(count / maxPoints));
+        const indices = [];
+        for (let i = 0; i < count; i += stride) {
+            indices.push(i);
+        }
+        if (indices[indices.length - 1] !== count - 1) {
+            indices.push(count - 1);
+        }
+        return indices;
+    }
+
+    /**
+     * Sum of great-circle leg distances along a route
+     * @param {object[]} fixes - Flight fixes
+     * @param {number[]} indices - Fix indices of the route
+     * @returns {number} - Distance in km
+     */
+    routeDistance(fixes, indices) {
+        return this.legDistances(fixes, indices).reduce((sum, leg) => sum + leg, 0);
+    }
+
+    /**
+     * Great-circle distance of each leg of a route
+     * @param {object[]} fixes - Flight fixes
+     * @param {number[]} indices - Fix indices of the route
+     * @returns {number[]} - Leg distances in km
+     */
+    legDistances(fixes, indices) {
+        const legs = [];
+        for (let i = 1; i < indices.length; i++) {
+            const a = fixes[indices[i - 1]];
+            const b = fixes[indices[i]];
+            legs.push(this.calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude));
+        }
+        return legs;
+    }
+
+    /**
+     * Build a route point for the result
+     * @param {object[]} fixes - Flight fixes
+     * @param {number} fixIndex - Fix index
+     * @returns {object} - Fix index, time, timestamp and position
+     */
+    routePoint(fixes, fixIndex) {
+        return {
+            fixIndex,
+            time: fixes[fixIndex].time,
+            timestamp: fixes[fixIndex].timestamp,
+            latitude: fixes[fixIndex].latitude,
+            longitude: fixes[fixIndex].longitude
+        };
+    }
+
+    /**
+     * Calculate distance between two coordinates using Haversine formula
+     * @param {number} lat1 - Latitude of first point
+     * @param {number} lon1 - Longitude of first point
+     * @param {number} lat2 - Latitude of second point
+     * @param {number} lon2 - Longitude of second point
+     * @returns {number} - Distance in kilometers
+     */
+    calculateDistance(lat1, lon1, lat2, lon2) {
+        const dLat = this.toRadians(lat2 - lat1);
+        const dLon = this.toRadians(lon2 - lon1);
+
+        const a =
+            Math.sin(dLat/2) * Math.sin(dLat/2) +
+            Math.cos(this.toRadians(lat1)) * Math.cos(this.toRadians(lat2)) *
+            Math.sin(dLon/2) * Math.sin(dLon/2);
+
+        return this.EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    }
+
+    /**
+     * Convert degrees to radians
+     * @param {number} degrees - Angle in degrees
+     * @returns {number} - Angle in radians
+     */
+    toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+}
+
+// Node/CommonJS export; in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScoreOptimizer };
+}
@@ -0,0 +1,281 @@
+/**
+ * Task Scorer
+ * Validates a flight against the task declared in its C records
+ */
+class TaskScorer {
+    constructor() {
+        // Earth's radius in meters
+        this.EARTH_RADIUS = 6371000;
+
+        // Number of angles sampled around each cylinder when optimizing the route
+        this.OPTIMIZATION_SAMPLES = 72;
+        this.OPTIMIZATION_ITERATIONS = 10;
+    }
+
+    /**
+     * Score a flight against its declared task
+     * @param {object} flightData - Parsed flight data from IGCParser
+     * @returns {object|null} - Task result or null if there is no task to score
+     */
+    score(flightData) {
+        if (!flightData || !flightData.task || !flightData.fixes || flightData.fixes.length === 0) {
+            return null;
+        }
+
+        // Takeoff and landing are not part of the course
+        const course = flightData.task.turnpoints.filter(tp => tp.type !== 'takeoff' && tp.type !== 'landing');
+        if (course.length < 2) {
+            return null;
+        }
+
+        const fixes = flightData.fixes;
+        const turnpoints = course.map(tp => ({
+            name: tp.name,
+            type: tp.type,
+            latitude: tp.latitude,
+            longitude: tp.longitude,
+            radius: tp.radius,
+            reached: false,
+            tag: null
+        }));
+
+        // Tag each cylinder in order, starting from the first entry into the start cylinder
+        let searchFrom = 0;
+        for (let i = 0; i < turnpoints.length; i++) {
+            const fixIndex = this.findEntry(fixes, turnpoints[i], searchFrom);
+            if (fixIndex === null) {
+                break;
+            }
+            this.markReached(turnpoints[i], fixes, fixIndex);
+            searchFrom = fixIndex;
+        }
+
+        // The start is the last crossing of the start cylinder before the first turnpoint is tagged.
+        // For an exit start that is the moment the pilot leaves the cylinder, so it comes later
+        // than the "reached" event loggers such as Flyskyhy write on the first entry.
+        let start = null;
+        if (turnpoints[0].reached) {
+            const limit = turnpoints[1].reached ? turnpoints[1].tag.fixIndex : fixes.length - 1;
+            const crossing = this.findLastCrossing(fixes, turnpoints[0], turnpoints[0].tag.fixIndex, limit);
+            this.markReached(turnpoints[0], fixes, crossing);
+            start = turnpoints[0].tag;
+        }
+
+        const last = turnpoints[turnpoints.length - 1];
+        const goal = last.reached && last.type === 'finish' ? last.tag : null;
+        const speedSectionDuration = start && goal ? this.elapsed(start.timestamp, goal.timestamp) : null;
+
+        // Shortest route through the cylinders
+        const optimizedPoints = this.optimizeRoute(turnpoints);
+        const legDistances = [];
+        for (let i = 1; i < optimizedPoints.length; i++) {
+            legDistances.push(this.calculateDistance(
+                optimizedPoints[i - 1].latitude, optimizedPoints[i - 1].longitude,
+                optimizedPoints[i].latitude, optimizedPoints[i].longitude
+            ) / 1000);
+        }
+        const optimizedDistance = legDistances.reduce((sum, leg) => sum + leg, 0);
+
+        return {
+            turnpoints,
+            start,
+            goal,
+            completed: goal !== null,
+            speedSectionDuration,
+            averageSpeed: speedSectionDuration ? optimizedDistance / (speedSectionDuration / 3600) : null,
+            optimizedDistance,
+            optimizedPoints,
+            legDistances
+        };
+    }
+
+    /**
+     * Find the first fix inside a cylinder
+     * @param {object[]} fixes - Flight fixes
+     * @param {object} turnpoint - Cylinder to look for
+     * @param {number} fromIndex - Index to start searching from
+     * @returns {number|null} - Fix index or null if never reached
+     */
+    findEntry(fixes, turnpoint, fromIndex) {
+        for (let i = fromIndex; i < fixes.length; i++) {
+            if (this.isInside(fixes[i], turnpoint)) {
+                return i;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find the last fix where the track crosses a cylinder boundary within a range
+     * @param {object[]} fixes - Flight fixes
+     * @param {object} turnpoint - Cylinder
+     * @param {number} fromIndex - First index of the range
+     * @param {number} toIndex - Last index of the range
+     * @returns {number} - Index of the fix just after the last crossing
+     */
+    findLastCrossing(fixes, turnpoint, fromIndex, toIndex) {
+        let crossing = fromIndex;
+        let wasInside = this.isInside(fixes[fromIndex], turnpoint);
+
+        for (let i = fromIndex + 1; i <= toIndex; i++) {
+            const inside = this.isInside(fixes[i], turnpoint);
+            if (inside !== wasInside) {
+                crossing = i;
+                wasInside = inside;
+            }
+        }
+
+        return crossing;
+    }
+
+    /**
+     * Check whether a fix is inside a cylinder
+     * @param {object} fix - Flight fix
+     * @param {object} turnpoint - Cylinder with latitude, longitude and radius in meters
+     * @returns {boolean} - True if the fix is within the radius
+     */
+    isInside(fix, turnpoint) {
+        return this.calculateDistance(fix.latitude, fix.longitude, turnpoint.latitude, turnpoint.longitude) <= turnpoint.radius;
+    }
+
+    /**
+     * Record the fix at which a turnpoint was reached
+     * @param {object} turnpoint - Turnpoint result to update
+     * @param {object[]} fixes - Flight fixes
+     * @param {number} fixIndex - Index of the tagging fix
+     */
+    markReached(turnpoint, fixes, fixIndex) {
+        turnpoint.reached = true;
+        turnpoint.tag = this.fixReference(fixes, fixIndex);
+    }
+
+    /**
+     * Build a reference to a fix for the result
+     * @param {object[]} fixes - Flight fixes
+     * @param {number} fixIndex - Fix index
+     * @returns {object} - Fix index, time, timestamp and position
+     */
+    fixReference(fixes, fixIndex) {
+        return {
+            fixIndex,
+            time: fixes[fixIndex].time,
+            timestamp: fixes[fixIndex].timestamp,
+            latitude: fixes[fixIndex].latitude,
+            longitude: fixes[fixIndex].longitude
+        };
+    }
+
+    /**
+     * Elapsed seconds between two timestamps
+     * @param {number} from - Start timestamp in UTC epoch seconds
+     * @param {number} to - End timestamp in UTC epoch seconds
+     * @returns {number} - Elapsed seconds
+     */
+    elapsed(from, to) {
+        return to - from;
+    }
+
+    /**
+     * Find the shortest route touching every cylinder in order
+     * @param {object[]} turnpoints - Cylinders with latitude, longitude and radius in meters
+     * @returns {object[]} - Optimized points as {latitude, longitude}
+     */
+    optimizeRoute(turnpoints) {
+        // Work in a local flat projection (meters) around the first turnpoint
+        const origin = turnpoints[0];
+        const cosLat = Math.cos(this.toRadians(origin.latitude));
+        const project = (lat, lon) => ({
+            x: this.toRadians(lon - origin.longitude) * cosLat * this.EARTH_RADIUS,
+            y: this.toRadians(lat - origin.latitude) * this.EARTH_RADIUS
+        });
+        const unproject = point => ({
+            latitude: origin.latitude + point.y / this.EARTH_RADIUS * 180 / Math.PI,
+            longitude: origin.longitude + point.x / (this.EARTH_RADIUS * cosLat) * 180 / Math.PI
+        });
+
+        const centers = turnpoints.map(tp => project(tp.latitude, tp.longitude));
+        const points = centers.map(center => ({ x: center.x, y: center.y }));
+        const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+        for (let iteration = 0; iteration < this.OPTIMIZATION_ITERATIONS; iteration++) {
+            for (let i = 0; i < points.length; i++) {
+                const radius = turnpoints[i].radius;
+                const prev = i > 0 ? points[i - 1] : null;
+                const next = i < points.length - 1 ? points[i + 1] : null;
+                const cost = angle => {
+                    const candidate = {
+                        x: centers[i].x + radius * Math.cos(angle),
+                        y: centers[i].y + radius * Math.sin(angle)
+                    };
+                    return (prev ? dist(prev, candidate) : 0) + (next ? dist(candidate, next) : 0);
+                };
+
+                // Coarse sampling followed by a local refinement around the best angle
+                const step = 2 * Math.PI / this.OPTIMIZATION_SAMPLES;
+                let bestAngle = 0;
+                let bestCost = Infinity;
+                for (let s = 0; s < this.OPTIMIZATION_SAMPLES; s++) {
+                    const c = cost(s * step);
+                    if (c < bestCost) {
+                        bestCost = c;
+                        bestAngle = s * step;
+                    }
+                }
+
+                let low = bestAngle - step;
+                let high = bestAngle + step;
+                for (let r = 0; r < 30; r++) {
+                    const a = low + (high - low) / 3;
+                    const b = high - (high - low) / 3;
+                    if (cost(a) < cost(b)) {
+                        high = b;
+                    } else {
+                        low = a;
+                    }
+                }
+
+                const angle = (low + high) / 2;
+                points[i] = {
+                    x: centers[i].x + radius * Math.cos(angle),
+                    y: centers[i].y + radius * Math.sin(angle)
+                };
+            }
+        }
+
+        return points.map(unproject);
+    }
+
+    /**
+     * Calculate distance between two coordinates using Haversine formula
+     * @param {number} lat1 - Latitude of first point
+     * @param {number} lon1 - Longitude of first point
+     * @param {number} lat2 - Latitude of second point
+     * @param {number} lon2 - Longitude of second point
+     * @returns {number} - Distance in meters
+     */
+    calculateDistance(lat1, lon1, lat2, lon2) {
+        const dLat = this.toRadians(lat2 - lat1);
+        const dLon = this.toRadians(lon2 - lon1);
+
+        const a =
+            Math.sin(dLat/2) * Math.sin(dLat/2) +
+            Math.cos(this.toRadians(lat1)) * Math.cos(this.toRadians(lat2)) *
+            Math.sin(dLon/2) * Math.sin(dLon/2);
+
+        return this.EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    }
+
+    /**
+     * Convert degrees to radians
+     * @param {number} degrees - Angle in degrees
+     * @returns {number} - Angle in radians
+     */
+    toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+}
+
+// Node/CommonJS export; in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TaskScorer };
+}
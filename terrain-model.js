@@ -0,0 +1,119 @@
+/**
+ * Terrain Model
+ * Ground elevation from user-supplied SRTM/ASTER .hgt tiles
+ */
+class TerrainModel {
+    constructor() {
+        // Loaded tiles keyed by their south-west corner, e.g. "N45E006"
+        this.tiles = {};
+
+        // Value marking missing data in .hgt tiles
+        this.VOID_VALUE = -32768;
+    }
+
+    /**
+     * Load an .hgt tile
+     * @param {string} fileName - Tile file name, e.g. N45E006.hgt
+     * @param {ArrayBuffer} buffer - Raw tile content
+     * @returns {string} - Key of the loaded tile
+     */
+    loadTile(fileName, buffer) {
+        const match = fileName.match(/([NS])(\d{2})([EW])(\d{3})/i);
+        if (!match) {
+            throw new Error(`Cannot read tile position from file name ${fileName}`);
+        }
+
+        // Tiles are square grids of 16-bit samples: 1201x1201 (3") or 3601x3601 (1")
+        const size = Math.sqrt(buffer.byteLength / 2);
+        if (!Number.isInteger(size) || size < 2) {
+            throw new Error(`${fileName} is not a valid .hgt tile`);
+        }
+
+        // Samples are big-endian
+        const view = new DataView(buffer);
+        const data = new Int16Array(size * size);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = view.getInt16(i * 2, false);
+        }
+
+        const latitude = parseInt(match[2], 10) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+        const longitude = parseInt(match[4], 10) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+        const key = this.tileKey(latitude, longitude);
+
+        this.tiles[key] = { latitude, longitude, size, data };
+
+        return key;
+    }
+
+    /**
+     * Check whether any tile is loaded
+     * @returns {boolean} - True if elevations can be looked up
+     */
+    hasData() {
+        return Object.keys(this.tiles).length > 0;
+    }
+
+    /**
+     * Ground elevation at a position, bilinearly interpolated between tile samples
+     * @param {number} latitude - Latitude in degrees
+     * @param {number} longitude - Longitude in degrees
+     * @returns {number|null} - Elevation in meters or null if no tile covers the position
+     */
+    getElevation(latitude, longitude) {
+        const tile = this.tiles[this.tileKey(Math.floor(latitude), Math.floor(longitude))];
+        if (!tile) {
+            return null;
+        }
+
+        // Rows run from north to south, columns from west to east
+        const last = tile.size - 1;
+        const row = (tile.latitude + 1 - latitude) * last;
+        const column = (longitude - tile.longitude) * last;
+
+        const row0 = Math.min(Math.floor(row), last - 1);
+        const column0 = Math.min(Math.floor(column), last - 1);
+        const rowFraction = row - row0;
+        const columnFraction = column - column0;
+
+        const sample = (r, c) => tile.data[r * tile.size + c];
+        const corners = [
+            sample(row0, column0),
+            sample(row0, column0 + 1),
+            sample(row0 + 1, column0),
+            sample(row0 + 1, column0 + 1)
+        ];
+        if (corners.includes(this.VOID_VALUE)) {
+            return null;
+        }
+
+        const top = corners[0] + (corners[1] - corners[0]) * columnFraction;
+        const bottom = corners[2] + (corners[3] - corners[2]) * columnFraction;
+
+        return top + (bottom - top) * rowFraction;
+    }
+
+    /**
+     * Ground elevation under every fix of a flight
+     * @param {object[]} fixes - Flight fixes
+     * @returns {Array<number|null>} - Elevation in meters per fix, null where no tile is loaded
+     */
+    elevationProfile(fixes) {
+        return fixes.map(fix => this.getElevation(fix.latitude, fix.longitude));
+    }
+
+    /**
+     * Key of the tile with a south-west corner
+     * @param {number} latitude - Integer latitude of the corner
+     * @param {number} longitude - Integer longitude of the corner
+     * @returns {string} - Tile key, e.g. "N45E006"
+     */
+    tileKey(latitude, longitude) {
+        return `${latitude < 0 ? 'S' : 'N'}${String(Math.abs(latitude)).padStart(2, '0')}` +
+            `${longitude < 0 ? 'W' : 'E'}${String(Math.abs(longitude)).padStart(3, '0')}`;
+    }
+}
+
+// Node/CommonJS export; in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TerrainModel };
+}
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FlightPhaseAnalyzer, WindEstimator } = require('..');
+
+test('course comes from the logged CCO when the fix has one', () => {
+    const fixes = [
+        { latitude: 21.0, longitude: 105.0, extensions: {} },
+        { latitude: 21.001, longitude: 105.0, extensions: {} },
+        { latitude: 21.002, longitude: 105.0, extensions: { CCO: 90 } }
+    ];
+
+    [new FlightPhaseAnalyzer(), new WindEstimator()].forEach(analyzer => {
+        assert.ok(Math.abs(analyzer.course(fixes, 1)) < 1e-6, 'computed from the positions (due north)');
+        assert.strictEqual(analyzer.course(fixes, 2), 90);
+    });
+});
+
+/**
+ * Build a circling flight, one fix per second
+ * @param {number} seconds - Duration
+ * @param {number} climb - Vertical speed in m/s
+ * @returns {object} - Flight data circling right at 18 deg/s with a 50 m radius
+ */
+function circlingFlight(seconds, climb) {
+    const fixes = [];
+    for (let t = 0; t <= seconds; t++) {
+        const angle = t * 18 * Math.PI / 180;
+        fixes.push({
+            time: null,
+            timestamp: 36000 + t,
+            latitude: 21 + 50 * Math.cos(angle) / 111195,
+            longitude: 105 + 50 * Math.sin(angle) / (111195 * Math.cos(21 * Math.PI / 180)),
+            altitude: 1500 + climb * t,
+            extensions: {}
+        });
+    }
+    return { fixes, airborne: { takeoffIndex: 0, landingIndex: fixes.length - 1 } };
+}
+
+test('circling is a thermal when it climbs, not when it sinks fast', () => {
+    const analyzer = new FlightPhaseAnalyzer();
+
+    const thermal = analyzer.analyze(circlingFlight(120, 1.5));
+    assert.deepStrictEqual(thermal.phases.map(phase => phase.type), ['thermal-right']);
+
+    // A spiral dive turns just as fast but loses 6 m/s
+    const spiral = analyzer.analyze(circlingFlight(120, -6));
+    assert.deepStrictEqual(spiral.phases.map(phase => phase.type), ['glide']);
+});
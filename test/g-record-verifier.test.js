@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { GRecordVerifier } = require('..');
+
+// The sample with its own G records removed, signed again below with a generated key
+const lines = fs.readFileSync(path.join(__dirname, '..', '2025-01-12-XCT-NAN-01.igc'), 'utf8')
+    .split('\r\n')
+    .filter(line => line && !line.startsWith('G'));
+
+const toHex = buffer => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Sign IGC lines as a logger would and append the signature as hex G records
+ * @param {string[]} unsigned - Lines of the IGC file without G records
+ * @param {CryptoKey} privateKey - ECDSA P-256 signing key
+ * @returns {Promise<string[]>} - Lines with the G records appended
+ */
+async function sign(unsigned, privateKey) {
+    const content = new TextEncoder().encode(new GRecordVerifier().signedContent(unsigned, 'XCT'));
+    const signature = toHex(await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, privateKey, content));
+    return unsigned.concat(signature.match(/.{1,64}/g).map(part => `G${part}`));
+}
+
+test('checks an ECDSA signature against the configured key', async () => {
+    const keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    const publicKey = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+    const signed = await sign(lines, keyPair.privateKey);
+
+    const verifier = new GRecordVerifier();
+    assert.strictEqual((await verifier.verify(signed.join('\r\n'))).status, 'unverifiable');
+
+    verifier.setKey('XCT', { algorithm: 'ECDSA', hash: 'SHA-256', key: publicKey });
+    const result = await verifier.verify(signed.join('\r\n'));
+    assert.strictEqual(result.status, 'valid');
+    assert.strictEqual(result.manufacturer, 'XCT');
+
+    // Changing one digit of a fix breaks the signature
+    const edited = signed.slice();
+    const fix = edited.findIndex(line => line.startsWith('B'));
+    edited[fix] = edited[fix].replace(/^(B\d{6}\d)(\d)/, (all, prefix, digit) => prefix + ((Number(digit) + 1) % 10));
+    assert.strictEqual((await verifier.verify(edited.join('\r\n'))).status, 'invalid');
+
+    // L records from anyone but the logger manufacturer are not signed
+    const commented = signed.slice();
+    commented.splice(fix, 0, 'LPLTcomment added after the flight');
+    assert.strictEqual((await verifier.verify(commented.join('\r\n'))).status, 'valid');
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { IGCParser, IGCValidationError } = require('..');
+
+const readSample = name => fs.readFileSync(path.join(__dirname, '..', name), 'utf8');
+const XCT = readSample('2025-01-12-XCT-NAN-01.igc');
+const XFH = readSample('2025-01-12-XFH-000-01.IGC');
+
+test('parses the XCTrack sample', () => {
+    const flightData = new IGCParser().parse(XCT);
+
+    assert.strictEqual(flightData.header.date, '2025-01-12');
+    assert.strictEqual(flightData.header.manufacturer, 'XCT');
+    assert.strictEqual(flightData.header.pilot, 'nguyễn hải anh');
+    assert.strictEqual(flightData.fixes.length, 10896);
+    assert.strictEqual(flightData.loggerInfo.application, 'XCTrack');
+    assert.deepStrictEqual(flightData.diagnostics, { errors: [], warnings: [] });
+});
+
+test('parses the XC FlyHigh sample with its events and time zone', () => {
+    const flightData = new IGCParser().parse(XFH);
+
+    assert.strictEqual(flightData.header.manufacturer, 'XFH');
+    assert.strictEqual(flightData.header.pilot, 'Đôi Cánh Trẻ');
+    assert.strictEqual(flightData.header.timezoneOffset, 7);
+    assert.strictEqual(flightData.fixes.length, 15500);
+    assert.strictEqual(flightData.events.length, 10);
+    flightData.events.forEach(event => assert.ok(event.fixIndex !== null));
+});
+
+test('an XCTrack record that cannot be decoded is reported as a warning', () => {
+    const flightData = new IGCParser().parse(XCT.replace(/^LXCTDEVICE .*$/m, 'LXCTDEVICE e30=!'));
+
+    assert.strictEqual(flightData.loggerInfo.model, null);
+    assert.deepStrictEqual(flightData.diagnostics.warnings.map(warning => warning.type), ['malformed-record']);
+    assert.match(flightData.diagnostics.warnings[0].message, /^LXCTDEVICE record could not be decoded/);
+});
+
+test('declared turnpoint count matches the parsed task', () => {
+    [XCT, XFH].forEach(content => {
+        const task = new IGCParser().parse(content).task;
+        const turnpoints = task.turnpoints.filter(turnpoint => turnpoint.type === 'turnpoint');
+
+        assert.strictEqual(task.turnpointCount, turnpoints.length);
+    });
+    assert.strictEqual(new IGCParser().parse(XFH).task.turnpointCount, 2);
+});
+
+test('cleaning drops fixes with a logged accuracy above the limit', () => {
+    const parser = new IGCParser();
+    parser.cleaningOptions = Object.assign({}, parser.cleaningOptions, { maxFixAccuracy: 5 });
+    const flightData = parser.parse(XFH);
+    const inaccurate = flightData.records.fixes.filter(fix => fix.extensions.FXA > 5).length;
+
+    assert.ok(inaccurate > 0);
+    assert.strictEqual(flightData.cleaning.accuracyRemoved, inaccurate);
+    assert.ok(flightData.fixes.every(fix => fix.interpolated || fix.extensions.FXA <= 5));
+    assert.strictEqual(new IGCParser().parse(XFH).cleaning.accuracyRemoved, 0);
+});
+
+test('calculates flight statistics', () => {
+    const stats = new IGCParser().parse(XFH).stats;
+
+    assert.strictEqual(stats.startTime, '04:41:54');
+    assert.strictEqual(stats.endTime, '08:59:37');
+    assert.strictEqual(stats.duration, 15463);
+    assert.strictEqual(stats.endTimestamp - stats.startTimestamp, stats.duration);
+    assert.strictEqual(stats.maxAltitude, 1983);
+    assert.ok(Math.abs(stats.distance - 138.58) < 0.01);
+});
+
+test('detects takeoff and landing', () => {
+    const flightData = new IGCParser().parse(XCT);
+
+    assert.strictEqual(flightData.airborne.takeoffIndex, 21);
+    assert.strictEqual(flightData.airborne.landingIndex, 10895);
+    assert.strictEqual(flightData.stats.duration, 10874);
+});
+
+test('timestamps are UTC epoch seconds and increase', () => {
+    const fixes = new IGCParser().parse(XCT).fixes;
+
+    assert.strictEqual(new Date(fixes[0].timestamp * 1000).toISOString().substring(0, 10), '2025-01-12');
+    for (let i = 1; i < fixes.length; i++) {
+        assert.ok(fixes[i].timestamp > fixes[i - 1].timestamp, `fix ${i} goes back in time`);
+    }
+});
+
+test('incremental parsing gives the same result for any chunk size', () => {
+    const parser = new IGCParser();
+    const expected = JSON.stringify(parser.parse(XFH));
+
+    [1000, 65536].forEach(size => {
+        const state = parser.startParse();
+        for (let offset = 0; offset < XFH.length; offset += size) {
+            parser.parseChunk(state, XFH.substring(offset, offset + size));
+        }
+        assert.strictEqual(JSON.stringify(parser.finishParse(state)), expected, `chunk size ${size}`);
+    });
+});
+
+test('strict validation accepts the samples and rejects a broken file', () => {
+    const parser = new IGCParser();
+    parser.parse(XCT, { strict: true });
+    parser.parse(XFH, { strict: true });
+
+    const broken = XFH.replace(/^A.*$/m, 'XFH000');
+    assert.throws(() => parser.parse(broken, { strict: true }), error => {
+        assert.ok(error instanceof IGCValidationError);
+        assert.ok(error.diagnostics.errors.length > 0);
+        return true;
+    });
+});
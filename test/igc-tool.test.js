@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { parseArguments, readFlight } = require('../igc-tool');
+const { IGCParser, TrackExporter } = require('..');
+
+const TOOL = path.join(__dirname, '..', 'igc-tool.js');
+const SAMPLE = path.join(__dirname, '..', '2025-01-12-XFH-000-01.IGC');
+const runTool = args => JSON.parse(execFileSync(process.execPath, [TOOL, ...args], { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 }));
+
+test('reads commands and options', () => {
+    assert.deepStrictEqual(parseArguments(['export', 'a.igc', '--format', 'csv', '--utc']), {
+        command: 'export', file: 'a.igc', level: 'medium', format: 'csv',
+        airborne: false, loggedOnly: false, utc: true, strict: false
+    });
+    assert.throws(() => parseArguments(['score', 'a.igc']), /Usage/);
+    assert.throws(() => parseArguments(['stats']), /Usage/);
+    assert.throws(() => parseArguments(['waypoints', 'a.igc', '--level', 'extreme']), /optimization level/);
+    assert.throws(() => parseArguments(['stats', 'a.igc', '--verbose']), /Unknown option/);
+});
+
+test('stats prints the header and statistics as JSON', () => {
+    const result = runTool(['stats', SAMPLE]);
+
+    assert.strictEqual(result.header.manufacturer, 'XFH');
+    assert.strictEqual(result.stats.duration, 15463);
+    assert.deepStrictEqual(result.diagnostics, { errors: [], warnings: [] });
+});
+
+test('waypoints prints the optimized waypoints as JSON', () => {
+    const result = runTool(['waypoints', SAMPLE, '--level', 'high']);
+
+    assert.strictEqual(result.level, 'high');
+    assert.strictEqual(result.waypoints[0].name, 'TAKEOFF');
+    assert.strictEqual(result.waypoints[result.waypoints.length - 1].name, 'LANDING');
+});
+
+test('export prints the GPX or CSV content as JSON', () => {
+    assert.ok(runTool(['export', SAMPLE]).content.includes('<gpx '));
+    assert.ok(runTool(['export', SAMPLE, '--format', 'csv', '--utc']).content.startsWith('name,latitude,longitude,altitude,time (UTC)'));
+});
+
+test('track prints the full track export as JSON', () => {
+    const result = runTool(['track', SAMPLE, '--format', 'geojson', '--airborne']);
+
+    assert.strictEqual(result.fileName, '2025-01-12-doi-canh-tre.geojson');
+    assert.strictEqual(JSON.parse(result.content).type, 'FeatureCollection');
+    assert.throws(() => parseArguments(['track', 'a.igc', '--format', 'csv']), /Unknown track format/);
+});
+
+test('reads GPX tracks as well as IGC files', () => {
+    const igc = fs.readFileSync(SAMPLE, 'utf8');
+    const gpx = new TrackExporter().toGPX(new IGCParser().parse(igc));
+    const flightData = readFlight({ file: 'flight.gpx', strict: false }, new TextEncoder().encode(gpx).buffer);
+
+    assert.strictEqual(flightData.header.pilot, 'Đôi Cánh Trẻ');
+    assert.strictEqual(flightData.header.loggerType, 'IGC Flight Log Viewer');
+});
+
+test('fails with a message for a missing file', () => {
+    const result = spawnSync(process.execPath, [TOOL, 'stats', 'missing.igc'], { encoding: 'utf8' });
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /missing\.igc/);
+});
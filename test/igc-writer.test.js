@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { IGCParser, IGCWriter, TrackExporter, TrackImporter } = require('..');
+
+const readSample = name => fs.readFileSync(path.join(__dirname, '..', name), 'utf8');
+const source = readSample('2025-01-12-XFH-000-01.IGC');
+const flightData = new IGCParser().parse(source);
+const writer = new IGCWriter();
+const records = (content, type) => content.split(/\r?\n/).filter(line => line.startsWith(type));
+
+test('writes the logged B records unchanged and keeps headers, events and task', () => {
+    const written = writer.write(flightData);
+    const reparsed = new IGCParser().parse(written);
+
+    assert.ok(written.endsWith('\r\n'));
+    assert.deepStrictEqual(records(written, 'B'), records(source, 'B'));
+    assert.deepStrictEqual(records(written, 'H'), records(source, 'H'));
+    assert.deepStrictEqual(records(written, 'C'), records(source, 'C'));
+    assert.strictEqual(records(written, 'I')[0], 'I053638FXA3941VXA4244GSP4547CCO4850HDT');
+    assert.strictEqual(records(written, 'G').length, 0);
+
+    assert.deepStrictEqual(reparsed.header, flightData.header);
+    assert.deepStrictEqual(reparsed.events, flightData.events);
+    assert.deepStrictEqual(reparsed.task, flightData.task);
+    assert.deepStrictEqual(reparsed.diagnostics.errors, []);
+});
+
+test('keeps the fixes that cleaning removed', () => {
+    // Move one fix a degree north (a glitch) and log the next one twice (a duplicate)
+    const lines = source.split('\r\n');
+    const first = lines.findIndex(line => line.startsWith('B'));
+    lines[first + 5000] = lines[first + 5000].replace(/^(B\d{6})(\d{2})/, (all, time, degrees) => `${time}${Number(degrees) + 1}`);
+    lines.splice(first + 6000, 0, lines[first + 6000]);
+    const content = lines.join('\r\n');
+
+    const noisy = new IGCParser().parse(content);
+    assert.strictEqual(noisy.cleaning.glitchesRemoved, 1);
+    assert.strictEqual(noisy.cleaning.duplicatesRemoved, 1);
+
+    assert.deepStrictEqual(records(writer.write(noisy), 'B'), records(content, 'B'));
+});
+
+test('keeps the L records of an XCTrack log and the LAD/LOD precision', () => {
+    const xctSource = readSample('2025-01-12-XCT-NAN-01.igc');
+    const written = writer.write(new IGCParser().parse(xctSource));
+
+    assert.deepStrictEqual(records(written, 'B'), records(xctSource, 'B'));
+    assert.deepStrictEqual(records(written, 'L'), records(xctSource, 'L').map(line => line.trimEnd()));
+});
+
+test('trims a flight to a time range', () => {
+    const { takeoffIndex, landingIndex } = flightData.airborne;
+    const from = flightData.fixes[takeoffIndex].timestamp;
+    const to = flightData.fixes[landingIndex].timestamp;
+    const reparsed = new IGCParser().parse(writer.write(writer.trim(flightData, from, to)));
+
+    assert.strictEqual(reparsed.fixes[0].timestamp, from);
+    assert.strictEqual(reparsed.fixes[reparsed.fixes.length - 1].timestamp, to);
+    assert.ok(reparsed.events.every(event => event.timestamp >= from && event.timestamp <= to));
+    assert.deepStrictEqual(reparsed.task, flightData.task);
+});
+
+test('merges two parts of a flight into one log', () => {
+    const middle = flightData.fixes[Math.floor(flightData.fixes.length / 2)].timestamp;
+    const first = writer.trim(flightData, -Infinity, middle);
+    const second = writer.trim(flightData, middle + 1, Infinity);
+    const written = writer.write(writer.merge(second, first));
+
+    assert.deepStrictEqual(records(written, 'B'), records(source, 'B'));
+    assert.strictEqual(records(written, 'E').length, flightData.events.length);
+});
+
+test('merge only keeps the extensions both flights logged', () => {
+    const other = Object.assign({}, flightData, {
+        header: Object.assign({}, flightData.header, {
+            extensions: flightData.header.extensions.filter(extension => extension.code !== 'FXA')
+        })
+    });
+
+    assert.deepStrictEqual(writer.merge(flightData, other).header.extensions.map(extension => [extension.code, extension.start]), [
+        ['VXA', 35],
+        ['GSP', 38],
+        ['CCO', 41],
+        ['HDT', 44]
+    ]);
+});
+
+test('anonymizes the pilot and logger identity', () => {
+    const written = writer.write(writer.anonymize(flightData));
+    const reparsed = new IGCParser().parse(written);
+
+    assert.strictEqual(reparsed.header.pilot, 'Anonymous');
+    assert.ok(!written.includes('Đôi Cánh Trẻ'));
+    assert.ok(written.startsWith('AXFH000\r\n'));
+    assert.strictEqual(records(written, 'L').length, 0);
+    assert.strictEqual(reparsed.fixes.length, flightData.fixes.length);
+});
+
+test('writes headers for an imported track', () => {
+    const gpx = new TrackExporter().toGPX(flightData, { loggedOnly: true });
+    const imported = new TrackImporter(new IGCParser()).import(new TextEncoder().encode(gpx).buffer, 'gpx');
+    const reparsed = new IGCParser().parse(writer.write(imported), { strict: true });
+
+    assert.strictEqual(reparsed.header.date, '2025-01-12');
+    assert.strictEqual(reparsed.header.pilot, flightData.header.pilot);
+    assert.strictEqual(reparsed.fixes.length, imported.fixes.length);
+    assert.ok(Math.abs(reparsed.fixes[0].latitude - imported.fixes[0].latitude) < 1e-5);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OpenAirParser, AirspaceChecker } = require('..');
+
+const FIXTURE = [
+    '* Airspaces around 21N 105E',
+    'AC D',
+    'AN SECTOR DA',
+    'AL SFC',
+    'AH 2000ft AMSL',
+    'V X=21:00:00 N 105:00:00 E',
+    'DP 21:00:00 N 105:00:00 E',
+    'DA 5,0,90',
+    '',
+    'AC R',
+    'AN ARC DB',
+    'AL 500ft AGL',
+    'AH 1500m',
+    'V X=21:00:00 N 105:00:00 E',
+    'V D=-',
+    'DB 21:02:00 N 105:00:00 E, 21:00:00 N 105:02:08 E',
+    '',
+    'AC C',
+    'AN CIRCLE DC',
+    'AL 1000ft AMSL',
+    'AH FL30',
+    'V X=21:00:00 N 105:00:00 E',
+    'DC 1'
+].join('\r\n');
+
+const parser = new OpenAirParser();
+const airspaces = parser.parse(FIXTURE);
+const center = [21, 105];
+
+test('parses DA arcs, DB arcs and circles with their limits', () => {
+    assert.deepStrictEqual(airspaces.map(airspace => [airspace.name, airspace.class]), [
+        ['SECTOR DA', 'D'],
+        ['ARC DB', 'R'],
+        ['CIRCLE DC', 'C']
+    ]);
+
+    // DA: the centre, then a clockwise arc of 5 NM from north to east in 5 degree steps
+    const sector = airspaces[0];
+    assert.strictEqual(sector.polygon.length, 1 + 90 / 5 + 1);
+    sector.polygon.slice(1).forEach(point => assert.ok(Math.abs(parser.distance(center, point) - 5 * 1852) < 1));
+    assert.ok(Math.abs(parser.bearing(center, sector.polygon[1])) < 1e-6);
+    assert.ok(Math.abs(parser.bearing(center, sector.polygon[sector.polygon.length - 1]) - 90) < 1e-6);
+    assert.deepStrictEqual([sector.floor.reference, sector.ceiling.reference], ['SFC', 'AMSL']);
+    assert.ok(Math.abs(sector.ceiling.meters - 609.6) < 1e-6);
+
+    // DB: counterclockwise from north round through west and south to east; the east end
+    // starts a little north of due east on the great circle, so the sweep is just over 270 degrees
+    const arc = airspaces[1];
+    const end = parser.parseCoordinate('21:00:00 N 105:02:08 E');
+    const radius = parser.distance(center, arc.polygon[0]);
+    assert.strictEqual(arc.polygon.length, Math.ceil((360 - parser.bearing(center, end)) / 5) + 1);
+    arc.polygon.forEach(point => assert.ok(Math.abs(parser.distance(center, point) - radius) < 1));
+    assert.ok(parser.bearing(center, arc.polygon[1]) > 350);
+    assert.ok(arc.polygon.some(point => Math.abs(parser.bearing(center, point) - 180) < 5));
+    assert.ok(Math.abs(parser.bearing(center, arc.polygon[arc.polygon.length - 1]) - parser.bearing(center, end)) < 1e-6);
+    assert.deepStrictEqual([arc.floor.reference, arc.floor.meters], ['AGL', 500 * 0.3048]);
+    assert.deepStrictEqual([arc.ceiling.reference, arc.ceiling.meters], ['AMSL', 1500]);
+
+    // DC: a full circle of 1 NM
+    const circle = airspaces[2];
+    assert.strictEqual(circle.polygon.length, 360 / 5);
+    circle.polygon.forEach(point => assert.ok(Math.abs(parser.distance(center, point) - 1852) < 1));
+    assert.strictEqual(circle.ceiling.reference, 'FL');
+    assert.ok(Math.abs(circle.ceiling.meters - 914.4) < 1e-6);
+});
+
+test('finds a 3D infringement with its entry, exit and penetration', () => {
+    // Fly due east through the centre of the circle at 20 m/s, descending at 2 m/s from 1100 m:
+    // the flight is still above the FL30 ceiling when it crosses the edge at 58 s and only
+    // enters at 93 s (914 m), then leaves through the side at 242 s.
+    const fixes = [];
+    for (let t = 0; t <= 300; t++) {
+        const altitude = 1100 - 2 * t;
+        fixes.push({
+            time: `10:${String(Math.floor(t / 60)).padStart(2, '0')}:${String(t % 60).padStart(2, '0')}`,
+            timestamp: 36000 + t,
+            latitude: 21,
+            longitude: 105 + (20 * t - 3000) / (111195 * Math.cos(21 * Math.PI / 180)),
+            pressureAltitude: altitude,
+            gnssAltitude: altitude,
+            altitude,
+            extensions: {}
+        });
+    }
+    const flightData = { fixes, airborne: { takeoffIndex: 0, landingIndex: fixes.length - 1 }, altitude: { baroValid: true } };
+
+    const infringements = new AirspaceChecker().check(flightData, [airspaces[2]]);
+
+    assert.strictEqual(infringements.length, 1);
+    const infringement = infringements[0];
+    assert.strictEqual(infringement.airspace.name, 'CIRCLE DC');
+    assert.deepStrictEqual([infringement.entryTime, infringement.exitTime], ['10:01:33', '10:04:02']);
+    assert.deepStrictEqual([infringement.entryTimestamp, infringement.exitTimestamp], [36093, 36242]);
+
+    // Deepest below the ceiling at the exit (616 m, 298 m under 914 m); widest at the centre
+    assert.ok(Math.abs(infringement.maxVerticalPenetration - (914.4 - 616)) < 1e-6);
+    assert.ok(Math.abs(infringement.maxHorizontalPenetration - 1852 * Math.cos(2.5 * Math.PI / 180)) < 2);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ScoreOptimizer } = require('..');
+
+/**
+ * Build a flight from points on a local plane near the equator
+ * @param {number[][]} points - [x, y] positions in km
+ * @returns {object} - Flight data with one fix per point, a minute apart
+ */
+function buildFlight(points) {
+    const KM_PER_DEGREE = 111.195;
+    return {
+        fixes: points.map(([x, y], i) => ({
+            time: `10:${i.toString().padStart(2, '0')}:00`,
+            timestamp: 36000 + i * 60,
+            latitude: y / KM_PER_DEGREE,
+            longitude: x / KM_PER_DEGREE
+        }))
+    };
+}
+
+test('triangle refinement keeps the route closed rather than taking a wider open one', () => {
+    // The last leg returns 4.5 km from the start, then the flight goes on to a point
+    // that would make a much wider triangle that no longer closes
+    const flightData = buildFlight([[4, 2], [20, 0], [10, 17], [0, 0], [-25, 0]]);
+    const result = new ScoreOptimizer().optimize(flightData);
+
+    [result.flatTriangle, result.faiTriangle].forEach(triangle => {
+        assert.ok(triangle, 'the closed triangle is found');
+        assert.deepStrictEqual(triangle.points.map(point => point.fixIndex), [1, 2, 3]);
+        assert.ok(triangle.closingDistance <= 0.2 * triangle.perimeter);
+        assert.ok(Math.abs(triangle.distance - (triangle.perimeter - triangle.closingDistance)) < 1e-9);
+    });
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { IGCParser, TaskScorer } = require('..');
+
+const flightData = new IGCParser().parse(fs.readFileSync(path.join(__dirname, '..', '2025-01-12-XFH-000-01.IGC'), 'utf8'));
+const scorer = new TaskScorer();
+
+// Flyskyhy logs an E record "TPC Waypoint WPT n reached" when it tags a cylinder
+const reachedAt = name => flightData.events.find(event => event.code === 'TPC' && event.text === `Waypoint ${name} reached`);
+
+test('turnpoints are tagged within a few seconds of the logger', () => {
+    const result = scorer.score(flightData);
+
+    assert.strictEqual(result.completed, true);
+    result.turnpoints.slice(1).forEach(turnpoint => {
+        const event = reachedAt(turnpoint.name);
+        assert.ok(event, `logger event for ${turnpoint.name}`);
+        assert.ok(Math.abs(turnpoint.tag.timestamp - event.timestamp) <= 3,
+            `${turnpoint.name} tagged at ${turnpoint.tag.time}, logger ${event.time}`);
+    });
+});
+
+test('the start is the exit crossing, after the logger reports the entry', () => {
+    const result = scorer.score(flightData);
+    const start = result.turnpoints[0];
+    const event = reachedAt(start.name);
+
+    // The logger reports the first entry into the start cylinder...
+    const entry = scorer.findEntry(flightData.fixes, start, 0);
+    assert.ok(Math.abs(flightData.fixes[entry].timestamp - event.timestamp) <= 3);
+
+    // ...while the scored start is the last crossing before WPT 2: here the exit, 23 s later
+    assert.strictEqual(result.start, start.tag);
+    assert.ok(start.tag.timestamp > event.timestamp);
+    assert.ok(start.tag.timestamp - event.timestamp <= 60);
+    assert.strictEqual(scorer.isInside(flightData.fixes[start.tag.fixIndex], start), false);
+    assert.strictEqual(scorer.isInside(flightData.fixes[start.tag.fixIndex - 1], start), true);
+});
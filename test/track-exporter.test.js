@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { IGCParser, TrackExporter } = require('..');
+
+const readSample = name => fs.readFileSync(path.join(__dirname, '..', name), 'utf8');
+const flightData = new IGCParser().parse(readSample('2025-01-12-XFH-000-01.IGC'));
+const exporter = new TrackExporter();
+
+test('GPX has a timed track point per fix with the logged values as extensions', () => {
+    const gpx = exporter.toGPX(flightData);
+    const first = flightData.fixes[0];
+
+    assert.strictEqual((gpx.match(/<trkpt /g) || []).length, flightData.fixes.length);
+    assert.ok(gpx.includes(`<time>${new Date(first.timestamp * 1000).toISOString().replace('.000Z', 'Z')}</time>`));
+    assert.ok(gpx.includes(`<igc:pressureAltitude>${first.pressureAltitude}</igc:pressureAltitude>`));
+    assert.ok(gpx.includes(`<igc:ext code="GSP">${first.extensions.GSP}</igc:ext>`));
+    assert.ok(gpx.includes('<name>Đôi Cánh Trẻ 2025-01-12</name>'));
+});
+
+test('GPX extension codes that are not XML names stay well-formed', () => {
+    const fix = Object.assign({}, flightData.fixes[0], { extensions: { '1AB': 7, 'A<B': 'x&y' } });
+    const gpx = exporter.toGPX(Object.assign({}, flightData, { fixes: [fix], series: null }));
+
+    assert.ok(gpx.includes('<igc:ext code="1AB">7</igc:ext>'));
+    assert.ok(gpx.includes('<igc:ext code="A&lt;B">x&amp;y</igc:ext>'));
+});
+
+test('KML lines use absolute altitudes and climb colours', () => {
+    const kml = exporter.toKML(flightData);
+    const lines = kml.match(/<coordinates>[^<]*<\/coordinates>/g);
+
+    assert.ok(lines.length > 1);
+    assert.strictEqual((kml.match(/<altitudeMode>absolute<\/altitudeMode>/g) || []).length, lines.length);
+    assert.strictEqual((kml.match(/<Style id="climb\d">/g) || []).length, exporter.CLIMB_BANDS.length);
+
+    // Every line starts where the previous one ended, so the lines hold one extra point each
+    const points = lines.reduce((sum, line) => sum + line.split(' ').length, 0);
+    assert.strictEqual(points, flightData.fixes.length + lines.length - 1);
+});
+
+test('GeoJSON has the track and a point with properties per fix', () => {
+    const geojson = exporter.toGeoJSON(flightData);
+    const [track, ...points] = geojson.features;
+
+    assert.strictEqual(geojson.type, 'FeatureCollection');
+    assert.strictEqual(track.geometry.type, 'LineString');
+    assert.strictEqual(track.geometry.coordinates.length, flightData.fixes.length);
+    assert.strictEqual(points.length, flightData.fixes.length);
+    assert.strictEqual(points[0].properties.timestamp, flightData.fixes[0].timestamp);
+    assert.strictEqual(points[0].properties.HDT, flightData.fixes[0].extensions.HDT);
+    assert.strictEqual(typeof points[0].properties.vario, 'number');
+});
+
+test('exports only the trimmed flight or only logged fixes', () => {
+    const { takeoffIndex, landingIndex } = flightData.airborne;
+    const interpolated = flightData.fixes.filter(fix => fix.interpolated).length;
+    assert.ok(interpolated > 0);
+
+    const trimmed = exporter.toGeoJSON(flightData, { airborneOnly: true }).features[0].geometry.coordinates;
+    assert.strictEqual(trimmed.length, landingIndex - takeoffIndex + 1);
+    assert.strictEqual(trimmed[0][2], flightData.fixes[takeoffIndex].altitude);
+
+    const logged = exporter.toGeoJSON(flightData, { loggedOnly: true }).features.slice(1);
+    assert.strictEqual(logged.length, flightData.fixes.length - interpolated);
+    assert.ok(logged.every(point => !point.properties.interpolated));
+});
+
+test('names the file after the date and pilot', () => {
+    const file = exporter.export(flightData, 'kml');
+
+    assert.strictEqual(file.fileName, '2025-01-12-doi-canh-tre.kml');
+    assert.strictEqual(file.mimeType, 'application/vnd.google-earth.kml+xml');
+    assert.throws(() => exporter.export(flightData, 'shp'), /Unknown export format/);
+});
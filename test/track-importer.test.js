@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { IGCParser, TrackExporter, TrackImporter } = require('..');
+
+const readSample = name => fs.readFileSync(path.join(__dirname, '..', name), 'utf8');
+const flightData = new IGCParser().parse(readSample('2025-01-12-XCT-NAN-01.igc'));
+const importer = new TrackImporter(new IGCParser());
+const toBuffer = text => new TextEncoder().encode(text).buffer;
+
+/**
+ * Build a FIT activity file with a file_id message and one record message per fix
+ * @param {object[]} fixes - Fixes to write
+ * @returns {ArrayBuffer} - FIT file
+ */
+function buildFit(fixes) {
+    const bytes = [];
+    const push = (value, size) => {
+        for (let i = 0; i < size; i++) bytes.push((value >>> (8 * i)) & 0xff);
+    };
+
+    // file_id (global 0) as local type 0: manufacturer (1, uint16)
+    bytes.push(0x40, 0, 0);
+    push(0, 2);
+    bytes.push(1, 1, 2, 0x84);
+    bytes.push(0x00);
+    push(1, 2);
+
+    // record (global 20) as local type 1: timestamp, position_lat, position_long, altitude
+    bytes.push(0x41, 0, 0);
+    push(20, 2);
+    bytes.push(4, 253, 4, 0x86, 0, 4, 0x85, 1, 4, 0x85, 2, 2, 0x84);
+    fixes.forEach(fix => {
+        bytes.push(0x01);
+        push(fix.timestamp - 631065600, 4);
+        push(Math.round(fix.latitude / 180 * Math.pow(2, 31)), 4);
+        push(Math.round(fix.longitude / 180 * Math.pow(2, 31)), 4);
+        push((fix.gnssAltitude + 500) * 5, 2);
+    });
+
+    const header = [14, 0x20, 0, 0];
+    const file = new Uint8Array(14 + bytes.length + 2);
+    const view = new DataView(file.buffer);
+    file.set(header);
+    view.setUint32(4, bytes.length, true);
+    file.set([...'.FIT'].map(c => c.charCodeAt(0)), 8);
+    file.set(bytes, 14);
+    view.setUint16(14 + bytes.length, importer.fitCrc(file.subarray(0, 14 + bytes.length)), true);
+    return file.buffer;
+}
+
+test('detects the format from the extension or the content', () => {
+    const gpx = toBuffer('<?xml version="1.0"?>\n<gpx version="1.1">');
+    assert.strictEqual(importer.detectFormat('track.GPX', gpx), 'gpx');
+    assert.strictEqual(importer.detectFormat('download', gpx), 'gpx');
+    assert.strictEqual(importer.detectFormat('download', toBuffer('<kml xmlns="http://www.opengis.net/kml/2.2">')), 'kml');
+    assert.strictEqual(importer.detectFormat('https://example.com/flight.fit?x=1', new ArrayBuffer(0)), 'fit');
+    assert.strictEqual(importer.detectFormat('upload', buildFit(flightData.fixes.slice(0, 2))), 'fit');
+    assert.strictEqual(importer.detectFormat('upload', toBuffer(readSample('2025-01-12-XFH-000-01.IGC'))), 'igc');
+});
+
+test('imports an exported GPX track into the same flight data', () => {
+    const gpx = new TrackExporter().toGPX(flightData, { loggedOnly: true });
+    const imported = importer.import(toBuffer(gpx), 'gpx');
+    const logged = flightData.fixes.filter(fix => !fix.interpolated);
+
+    assert.strictEqual(imported.header.pilot, flightData.header.pilot);
+    assert.strictEqual(imported.header.date, '2025-01-12');
+    assert.strictEqual(imported.header.loggerType, 'IGC Flight Log Viewer');
+    assert.strictEqual(imported.fixes.filter(fix => !fix.interpolated).length, logged.length);
+    assert.strictEqual(imported.fixes[0].timestamp, logged[0].timestamp);
+    assert.strictEqual(imported.fixes[0].time, logged[0].time);
+    assert.strictEqual(imported.altitude.source, 'gnss');
+    assert.ok(Math.abs(imported.stats.distance - flightData.stats.distance) < 1);
+    assert.ok(Math.abs(imported.stats.duration - flightData.stats.duration) < 120);
+    ['series', 'airborne', 'cleaning', 'diagnostics'].forEach(key => assert.ok(imported[key], key));
+});
+
+test('imports a KML gx:Track', () => {
+    const fixes = flightData.fixes.slice(0, 600);
+    const kml = [
+        '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2"><Document><Placemark><gx:Track>',
+        ...fixes.map(fix => `<when>${new Date(fix.timestamp * 1000).toISOString()}</when>`),
+        ...fixes.map(fix => `<gx:coord>${fix.longitude} ${fix.latitude} ${fix.gnssAltitude}</gx:coord>`),
+        '</gx:Track></Placemark></Document></kml>'
+    ].join('\n');
+    const imported = importer.import(toBuffer(kml), 'kml');
+
+    assert.strictEqual(imported.fixes.length, fixes.length);
+    assert.strictEqual(imported.fixes[10].timestamp, fixes[10].timestamp);
+    assert.strictEqual(imported.fixes[10].altitude, fixes[10].gnssAltitude);
+    assert.ok(Math.abs(imported.fixes[10].latitude - fixes[10].latitude) < 1e-9);
+});
+
+test('rejects a KML line without times', () => {
+    const kml = new TrackExporter().toKML(flightData);
+    assert.throws(() => importer.import(toBuffer(kml), 'kml'), /without times/);
+});
+
+test('imports the record messages of a FIT file', () => {
+    const fixes = flightData.fixes.filter(fix => !fix.interpolated).slice(0, 1000);
+    const imported = importer.import(buildFit(fixes), 'fit');
+
+    assert.strictEqual(imported.header.loggerType, 'Garmin');
+    assert.strictEqual(imported.fixes.length, fixes.length);
+    assert.strictEqual(imported.fixes[500].timestamp, fixes[500].timestamp);
+    assert.strictEqual(imported.fixes[500].altitude, fixes[500].gnssAltitude);
+    assert.ok(Math.abs(imported.fixes[500].longitude - fixes[500].longitude) < 1e-6);
+    assert.deepStrictEqual(imported.diagnostics.warnings, []);
+});
+
+test('warns about a FIT file with a wrong CRC', () => {
+    const buffer = buildFit(flightData.fixes.slice(0, 10));
+    const bytes = new Uint8Array(buffer);
+    bytes[bytes.length - 1] ^= 0xff;
+
+    const imported = importer.import(buffer, 'fit');
+    assert.strictEqual(imported.diagnostics.warnings[0].type, 'bad-checksum');
+});
+
+test('fails on files without usable track points', () => {
+    assert.throws(() => importer.import(toBuffer('<gpx><trk><trkseg></trkseg></trk></gpx>'), 'gpx'), /no track points/);
+    assert.throws(() => importer.import(toBuffer('not fit'), 'fit'), /FIT/);
+});
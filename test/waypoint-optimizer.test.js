@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { IGCParser, WaypointOptimizer } = require('..');
+
+const readSample = name => fs.readFileSync(path.join(__dirname, '..', name), 'utf8');
+const flights = [
+    new IGCParser().parse(readSample('2025-01-12-XCT-NAN-01.igc')),
+    new IGCParser().parse(readSample('2025-01-12-XFH-000-01.IGC'))
+];
+
+test('waypoints run from takeoff to landing in flight order', () => {
+    flights.forEach(flightData => {
+        ['low', 'medium', 'high'].forEach(level => {
+            const waypoints = new WaypointOptimizer().generateWaypoints(flightData, level);
+            const takeoff = flightData.fixes[flightData.airborne.takeoffIndex];
+            const landing = flightData.fixes[flightData.airborne.landingIndex];
+
+            assert.ok(waypoints.length >= 2 && waypoints.length <= 15, `${waypoints.length} waypoints at ${level}`);
+            assert.strictEqual(waypoints[0].name, 'TAKEOFF');
+            assert.strictEqual(waypoints[0].timestamp, takeoff.timestamp);
+            assert.strictEqual(waypoints[waypoints.length - 1].name, 'LANDING');
+            assert.strictEqual(waypoints[waypoints.length - 1].timestamp, landing.timestamp);
+            for (let i = 1; i < waypoints.length; i++) {
+                assert.ok(waypoints[i].timestamp >= waypoints[i - 1].timestamp);
+            }
+        });
+    });
+});
+
+test('generates GPX with a waypoint and a track point per waypoint', () => {
+    const optimizer = new WaypointOptimizer();
+    const waypoints = optimizer.generateWaypoints(flights[0], 'medium');
+    const gpx = optimizer.generateGPX();
+
+    assert.ok(gpx.startsWith('<?xml'));
+    assert.ok(gpx.endsWith('</gpx>'));
+    assert.strictEqual((gpx.match(/<wpt /g) || []).length, waypoints.length);
+    assert.strictEqual((gpx.match(/<trkpt /g) || []).length, waypoints.length);
+    assert.ok(gpx.includes('<time>2025-01-12T'));
+});
+
+test('generates CSV in UTC or in the local time of the flight', () => {
+    const optimizer = new WaypointOptimizer();
+    optimizer.generateWaypoints(flights[1], 'high');
+    optimizer.timeFormatter.setFlight(flights[1]);
+
+    const utc = new Date(optimizer.waypoints[0].timestamp * 1000).toISOString().substring(11, 19);
+    optimizer.timeFormatter.mode = 'utc';
+    let lines = optimizer.generateCSV().trim().split('\n');
+    assert.strictEqual(lines[0], 'name,latitude,longitude,altitude,time (UTC)');
+    assert.strictEqual(lines.length, optimizer.waypoints.length + 1);
+    assert.ok(lines[1].startsWith('TAKEOFF,') && lines[1].endsWith(utc));
+
+    // The sample declares UTC+7
+    optimizer.timeFormatter.mode = 'local';
+    lines = optimizer.generateCSV().trim().split('\n');
+    assert.strictEqual(lines[0], 'name,latitude,longitude,altitude,time (UTC+7)');
+    assert.ok(lines[1].endsWith(`${String(Number(utc.substring(0, 2)) + 7).padStart(2, '0')}${utc.substring(2)}`));
+});
+
+test('has nothing to export without a flight', () => {
+    const optimizer = new WaypointOptimizer();
+
+    assert.deepStrictEqual(optimizer.generateWaypoints(null), []);
+    assert.strictEqual(optimizer.generateGPX(), null);
+    assert.strictEqual(optimizer.generateCSV(), null);
+});
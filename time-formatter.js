@@ -0,0 +1,116 @@
+/**
+ * Time Formatter
+ * Formats UTC epoch timestamps in UTC or in the local time of the loaded flight
+ */
+class TimeFormatter {
+    constructor() {
+        // 'local' or 'utc'
+        this.mode = 'local';
+
+        // Local time of the flight: a fixed offset from HFTZN in seconds, or an IANA zone
+        // from the logger metadata; with neither, the browser's own zone is used
+        this.utcOffset = null;
+        this.timeZone = null;
+
+        // Intl formatters per zone and precision
+        this.formatters = {};
+    }
+
+    /**
+     * Pick the local time zone of a flight
+     * @param {object} flightData - Parsed flight data from IGCParser
+     */
+    setFlight(flightData) {
+        const header = flightData.header;
+        const loggerInfo = flightData.loggerInfo;
+
+        this.utcOffset = header.timezoneOffset !== null && header.timezoneOffset !== undefined ?
+            Math.round(header.timezoneOffset * 3600) :
+            null;
+        this.timeZone = this.utcOffset === null && loggerInfo && loggerInfo.timezone ? loggerInfo.timezone : null;
+    }
+
+    /**
+     * Format a timestamp as a time of day
+     * @param {number} timestamp - UTC epoch seconds
+     * @param {boolean} [withSeconds] - Include seconds
+     * @returns {string} - HH:MM:SS or HH:MM in the selected mode
+     */
+    format(timestamp, withSeconds = true) {
+        if (timestamp === null || timestamp === undefined) {
+            return '-';
+        }
+
+        if (this.mode === 'utc' || this.utcOffset !== null) {
+            const shifted = timestamp + (this.mode === 'utc' ? 0 : this.utcOffset);
+            const secondsOfDay = ((Math.round(shifted) % 86400) + 86400) % 86400;
+            const parts = [Math.floor(secondsOfDay / 3600), Math.floor((secondsOfDay % 3600) / 60)];
+            if (withSeconds) {
+                parts.push(secondsOfDay % 60);
+            }
+            return parts.map(part => part.toString().padStart(2, '0')).join(':');
+        }
+
+        return this.intlFormatter(withSeconds).format(new Date(timestamp * 1000));
+    }
+
+    /**
+     * Format a timestamp as a date
+     * @param {number} timestamp - UTC epoch seconds
+     * @returns {string} - YYYY-MM-DD in the selected mode
+     */
+    formatDate(timestamp) {
+        if (this.mode === 'utc' || this.utcOffset !== null) {
+            const shifted = timestamp + (this.mode === 'utc' ? 0 : this.utcOffset);
+            return new Date(shifted * 1000).toISOString().substring(0, 10);
+        }
+
+        // en-CA formats dates as YYYY-MM-DD
+        return new Date(timestamp * 1000).toLocaleDateString('en-CA', this.timeZone ? { timeZone: this.timeZone } : {});
+    }
+
+    /**
+     * Name of the zone times are shown in
+     * @returns {string} - e.g. UTC, UTC+7, Asia/Saigon or local
+     */
+    zoneLabel() {
+        return this.mode === 'utc' ? 'UTC' : this.localZoneLabel();
+    }
+
+    /**
+     * Name of the flight's local zone
+     * @returns {string} - e.g. UTC+7, Asia/Saigon or local
+     */
+    localZoneLabel() {
+        if (this.utcOffset !== null) {
+            const hours = this.utcOffset / 3600;
+            return `UTC${hours >= 0 ? '+' : ''}${hours}`;
+        }
+        return this.timeZone || 'local';
+    }
+
+    /**
+     * Intl time formatter for the flight's zone, created once per precision
+     * @param {boolean} withSeconds - Include seconds
+     * @returns {Intl.DateTimeFormat} - Formatter
+     */
+    intlFormatter(withSeconds) {
+        const key = `${this.timeZone}|${withSeconds}`;
+        if (!this.formatters[key]) {
+            const options = { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+            if (withSeconds) {
+                options.second = '2-digit';
+            }
+            if (this.timeZone) {
+                options.timeZone = this.timeZone;
+            }
+            this.formatters[key] = new Intl.DateTimeFormat('en-GB', options);
+        }
+        return this.formatters[key];
+    }
+}
+
+// Node/CommonJS export; in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TimeFormatter };
+}
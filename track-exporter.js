@@ -0,0 +1,339 @@
+/**
+ * Track Exporter
+ * Writes the full track of a flight as GPX 1.1, KML or GeoJSON
+ */
+class TrackExporter {
+    constructor() {
+        this.CREATOR = 'IGC Flight Log Viewer';
+
+        // Namespace of the per-fix GPX extension fields
+        this.GPX_EXTENSION_NAMESPACE = 'urn:igc-flight-log-viewer:gpx-track-extensions:1';
+
+        // KML line colours by vertical speed, as [lower bound m/s, colour as #rrggbb]
+        this.CLIMB_BANDS = [
+            [-Infinity, '#1f4e9c'], // Strong sink
+            [-2.5, '#4aa3df'],
+            [-1, '#7cc576'],
+            [0.5, '#f2d13c'],
+            [2, '#f28c28'],
+            [4, '#d7301f'] // Strong climb
+        ];
+
+        // File details per format
+        this.FORMATS = {
+            gpx: { extension: 'gpx', mimeType: 'application/gpx+xml' },
+            kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+            geojson: { extension: 'geojson', mimeType: 'application/geo+json' }
+        };
+    }
+
+    /**
+     * Export a flight in one of the supported formats
+     * @param {object} flightData - Parsed flight data from IGCParser
+     * @param {string} format - gpx, kml or geojson
+     * @param {object} [options] - Export options
+     * @param {boolean} [options.airborneOnly] - Only export takeoff to landing (the trimmed flight)
+     * @param {boolean} [options.loggedOnly] - Leave out the fixes interpolated by cleaning
+     * @returns {object} - {content, fileName, mimeType}
+     */
+    export(flightData, format, options = {}) {
+        const details = this.FORMATS[format];
+        if (!details) {
+            throw new Error(`Unknown export format ${format}`);
+        }
+
+        let content;
+        if (format === 'gpx') {
+            content = this.toGPX(flightData, options);
+        } else if (format === 'kml') {
+            content = this.toKML(flightData, options);
+        } else {
+            content = JSON.stringify(this.toGeoJSON(flightData, options));
+        }
+
+        return {
+            content,
+            fileName: `${this.baseName(flightData)}.${details.extension}`,
+            mimeType: details.mimeType
+        };
+    }
+
+    /**
+     * Fixes selected for export with their index in flightData.fixes
+     * @param {object} flightData - Parsed flight data
+     * @param {object} options - Export options
+     * @returns {number[]} - Indices of the exported fixes
+     */
+    selectFixes(flightData, options) {
+        const fixes = flightData.fixes || [];
+        let from = 0;
+        let to = fixes.length - 1;
+        if (options.airborneOnly && flightData.airborne) {
+            from = flightData.airborne.takeoffIndex;
+            to = flightData.airborne.landingIndex;
+        }
+
+        const indices = [];
+        for (let i = from; i <= to; i++) {
+            if (!options.loggedOnly || !fixes[i].interpolated) {
+                indices.push(i);
+            }
+        }
+        return indices;
+    }
+
+    /**
+     * Write a flight as GPX 1.1 with times and the logged values as extension fields
+     * @param {object} flightData - Parsed flight data
+     * @param {object} [options] - Export options, as for export
+     * @returns {string} - GPX document
+     */
+    toGPX(flightData, options = {}) {
+        const header = flightData.header;
+        const series = flightData.series;
+        const indices = this.selectFixes(flightData, options);
+        const fixes = flightData.fixes;
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<gpx version="1.1" creator="${this.CREATOR}" xmlns="http://www.topografix.com/GPX/1/1" ` +
+                `xmlns:igc="${this.GPX_EXTENSION_NAMESPACE}">`,
+            '  <metadata>',
+            `    <name>${this.escapeXml(this.title(flightData))}</name>`,
+            `    <author><name>${this.escapeXml(header.pilot)}</name></author>`
+        ];
+        if (indices.length > 0) {
+            lines.push(`    <time>${this.isoTime(fixes[indices[0]].timestamp)}</time>`);
+        }
+        lines.push('  </metadata>', '  <trk>', `    <name>${this.escapeXml(this.title(flightData))}</name>`);
+        if (header.gliderType && header.gliderType !== 'Unknown') {
+            lines.push(`    <type>${this.escapeXml(header.gliderType)}</type>`);
+        }
+        lines.push('    <trkseg>');
+
+        indices.forEach(i => {
+            const fix = fixes[i];
+            lines.push(
+                `      <trkpt lat="${fix.latitude.toFixed(6)}" lon="${fix.longitude.toFixed(6)}">`,
+                `        <ele>${fix.altitude}</ele>`,
+                `        <time>${this.isoTime(fix.timestamp)}</time>`,
+                '        <extensions>',
+                `          <igc:pressureAltitude>${fix.pressureAltitude}</igc:pressureAltitude>`,
+                `          <igc:gnssAltitude>${fix.gnssAltitude}</igc:gnssAltitude>`,
+                `          <igc:valid>${fix.validity}</igc:valid>`
+            );
+            if (series) {
+                lines.push(
+                    `          <igc:vario>${series.vario[i].toFixed(2)}</igc:vario>`,
+                    `          <igc:groundSpeed>${series.groundSpeed[i].toFixed(1)}</igc:groundSpeed>`
+                );
+            }
+            if (fix.interpolated) {
+                lines.push('          <igc:interpolated>true</igc:interpolated>');
+            }
+            // I record codes can start with a digit, so they go in an attribute rather than the element name
+            Object.keys(fix.extensions || {}).forEach(code => {
+                lines.push(`          <igc:ext code="${this.escapeXml(code)}">${this.escapeXml(String(fix.extensions[code]))}</igc:ext>`);
+            });
+            lines.push('        </extensions>', '      </trkpt>');
+        });
+
+        lines.push('    </trkseg>', '  </trk>', '</gpx>');
+        return lines.join('\n');
+    }
+
+    /**
+     * Write a flight as KML with absolute altitudes, split into lines coloured by climb
+     * @param {object} flightData - Parsed flight data
+     * @param {object} [options] - Export options, as for export
+     * @returns {string} - KML document
+     */
+    toKML(flightData, options = {}) {
+        const indices = this.selectFixes(flightData, options);
+        const fixes = flightData.fixes;
+        const vario = flightData.series ? flightData.series.vario : null;
+
+        const styles = this.CLIMB_BANDS.map((band, b) => [
+            `    <Style id="climb${b}">`,
+            `      <LineStyle><color>${this.kmlColor(band[1])}</color><width>3</width></LineStyle>`,
+            '    </Style>'
+        ].join('\n'));
+
+        // Consecutive fixes in the same climb band share one line; each line starts
+        // at the last fix of the previous one so the track has no gaps
+        const segments = [];
+        let current = null;
+        indices.forEach(i => {
+            const band = vario ? this.climbBand(vario[i]) : 2;
+            if (!current || current.band !== band) {
+                const previous = current ? current.indices[current.indices.length - 1] : null;
+                current = { band, indices: previous !== null ? [previous] : [] };
+                segments.push(current);
+            }
+            current.indices.push(i);
+        });
+
+        const placemarks = segments
+            .filter(segment => segment.indices.length > 1)
+            .map(segment => {
+                const band = this.CLIMB_BANDS[segment.band];
+                const next = this.CLIMB_BANDS[segment.band + 1];
+                const coordinates = segment.indices
+                    .map(i => `${fixes[i].longitude.toFixed(6)},${fixes[i].latitude.toFixed(6)},${fixes[i].altitude}`)
+                    .join(' ');
+                let name = next ? `${band[0]} to ${next[0]} m/s` : `Above ${band[0]} m/s`;
+                if (band[0] === -Infinity) {
+                    name = `Below ${next[0]} m/s`;
+                }
+                return [
+                    '    <Placemark>',
+                    `      <name>${name}</name>`,
+                    `      <styleUrl>#climb${segment.band}</styleUrl>`,
+                    '      <LineString>',
+                    '        <altitudeMode>absolute</altitudeMode>',
+                    `        <coordinates>${coordinates}</coordinates>`,
+                    '      </LineString>',
+                    '    </Placemark>'
+                ].join('\n');
+            });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '  <Document>',
+            `    <name>${this.escapeXml(this.title(flightData))}</name>`,
+            ...styles,
+            ...placemarks,
+            '  </Document>',
+            '</kml>'
+        ].join('\n');
+    }
+
+    /**
+     * Write a flight as GeoJSON: the track as a LineString followed by a Point per fix
+     * @param {object} flightData - Parsed flight data
+     * @param {object} [options] - Export options, as for export
+     * @returns {object} - GeoJSON FeatureCollection
+     */
+    toGeoJSON(flightData, options = {}) {
+        const indices = this.selectFixes(flightData, options);
+        const fixes = flightData.fixes;
+        const series = flightData.series;
+        const position = fix => [
+            Number(fix.longitude.toFixed(6)),
+            Number(fix.latitude.toFixed(6)),
+            fix.altitude
+        ];
+
+        const track = {
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: indices.map(i => position(fixes[i])) },
+            properties: {
+                name: this.title(flightData),
+                pilot: flightData.header.pilot,
+                glider: flightData.header.gliderType,
+                date: flightData.header.date,
+                startTime: indices.length > 0 ? this.isoTime(fixes[indices[0]].timestamp) : null,
+                endTime: indices.length > 0 ? this.isoTime(fixes[indices[indices.length - 1]].timestamp) : null
+            }
+        };
+
+        const points = indices.map(i => {
+            const fix = fixes[i];
+            const properties = {
+                time: this.isoTime(fix.timestamp),
+                timestamp: fix.timestamp,
+                altitude: fix.altitude,
+                pressureAltitude: fix.pressureAltitude,
+                gnssAltitude: fix.gnssAltitude,
+                valid: fix.validity,
+                interpolated: Boolean(fix.interpolated)
+            };
+            if (series) {
+                properties.vario = Number(series.vario[i].toFixed(2));
+                properties.groundSpeed = Number(series.groundSpeed[i].toFixed(1));
+                properties.glideRatio = series.glideRatio[i] !== null ? Number(series.glideRatio[i].toFixed(1)) : null;
+            }
+            Object.assign(properties, fix.extensions);
+
+            return { type: 'Feature', geometry: { type: 'Point', coordinates: position(fix) }, properties };
+        });
+
+        return { type: 'FeatureCollection', features: [track, ...points] };
+    }
+
+    /**
+     * Index of the climb band of a vertical speed
+     * @param {number} vario - Vertical speed in m/s
+     * @returns {number} - Index into CLIMB_BANDS
+     */
+    climbBand(vario) {
+        let band = 0;
+        while (band < this.CLIMB_BANDS.length - 1 && vario >= this.CLIMB_BANDS[band + 1][0]) {
+            band++;
+        }
+        return band;
+    }
+
+    /**
+     * Convert a #rrggbb colour to the aabbggrr form used by KML
+     * @param {string} color - Colour as #rrggbb
+     * @returns {string} - Opaque KML colour
+     */
+    kmlColor(color) {
+        return `ff${color.substr(5, 2)}${color.substr(3, 2)}${color.substr(1, 2)}`;
+    }
+
+    /**
+     * Title of an exported flight
+     * @param {object} flightData - Parsed flight data
+     * @returns {string} - Pilot and date
+     */
+    title(flightData) {
+        return `${flightData.header.pilot} ${flightData.header.date || ''}`.trim();
+    }
+
+    /**
+     * File name without extension for an exported flight
+     * @param {object} flightData - Parsed flight data
+     * @returns {string} - e.g. 2025-01-12-pilot-name
+     */
+    baseName(flightData) {
+        const pilot = flightData.header.pilot
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/g, 'd')
+            .replace(/Đ/g, 'D')
+            .replace(/[^A-Za-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '')
+            .toLowerCase();
+        return [flightData.header.date, pilot || 'flight'].filter(Boolean).join('-');
+    }
+
+    /**
+     * Format a timestamp for GPX, KML and GeoJSON
+     * @param {number} timestamp - UTC epoch seconds
+     * @returns {string} - ISO 8601 UTC time without milliseconds
+     */
+    isoTime(timestamp) {
+        return new Date(timestamp * 1000).toISOString().replace('.000Z', 'Z');
+    }
+
+    /**
+     * Escape text for XML content
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Node/CommonJS export; in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TrackExporter };
+}
@@ -0,0 +1,435 @@
+/**
+ * Track Importer
+ * Reads GPX, KML and FIT tracks into the same flight data as IGCParser.parse
+ */
+class TrackImporter {
+    /**
+     * Create an importer
+     * @param {IGCParser} parser - Parser that derives the statistics from the imported fixes
+     */
+    constructor(parser) {
+        this.parser = parser;
+
+        // Seconds between the FIT epoch (1989-12-31T00:00:00Z) and the Unix epoch
+        this.FIT_EPOCH = 631065600;
+
+        // FIT global message numbers and field numbers used here
+        this.FIT_FILE_ID = 0;
+        this.FIT_RECORD = 20;
+        this.FIT_TIMESTAMP_FIELD = 253;
+
+        // Degrees per FIT semicircle
+        this.SEMICIRCLE = 180 / Math.pow(2, 31);
+
+        // FIT manufacturer ids of common devices and apps
+        this.FIT_MANUFACTURERS = {
+            1: 'Garmin',
+            15: 'Dynastream',
+            23: 'Suunto',
+            32: 'Wahoo Fitness',
+            255: 'Development',
+            265: 'Strava',
+            294: 'Coros'
+        };
+
+        // Numeric FIT base types by number: size, DataView getter and the value marking "no data"
+        this.FIT_BASE_TYPES = {
+            0: { size: 1, read: 'getUint8', invalid: 0xff }, // enum
+            1: { size: 1, read: 'getInt8', invalid: 0x7f },
+            2: { size: 1, read: 'getUint8', invalid: 0xff },
+            3: { size: 2, read: 'getInt16', invalid: 0x7fff },
+            4: { size: 2, read: 'getUint16', invalid: 0xffff },
+            5: { size: 4, read: 'getInt32', invalid: 0x7fffffff },
+            6: { size: 4, read: 'getUint32', invalid: 0xffffffff },
+            8: { size: 4, read: 'getFloat32', invalid: null },
+            9: { size: 8, read: 'getFloat64', invalid: null },
+            10: { size: 1, read: 'getUint8', invalid: 0 }, // uint8z
+            11: { size: 2, read: 'getUint16', invalid: 0 }, // uint16z
+            12: { size: 4, read: 'getUint32', invalid: 0 }, // uint32z
+            13: { size: 1, read: 'getUint8', invalid: 0xff } // byte
+        };
+
+        // Nibble table of the FIT CRC-16
+        this.FIT_CRC_TABLE = [
+            0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+            0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+        ];
+    }
+
+    /**
+     * Work out the format of a flight file
+     * @param {string} fileName - File name or URL, used for its extension
+     * @param {ArrayBuffer} buffer - Raw file content
+     * @returns {string} - igc, gpx, kml or fit
+     */
+    detectFormat(fileName, buffer) {
+        const extension = (fileName || '').toLowerCase().replace(/[?#].*$/, '').match(/\.([a-z]+)$/);
+        if (extension && ['igc', 'gpx', 'kml', 'fit'].includes(extension[1])) {
+            return extension[1];
+        }
+
+        // FIT files carry ".FIT" after the header size, protocol, profile and data size
+        const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 1024));
+        if (bytes.length >= 12 && String.fromCharCode(...bytes.subarray(8, 12)) === '.FIT') {
+            return 'fit';
+        }
+
+        const start = new TextDecoder().decode(bytes);
+        if (/<gpx[\s>]/.test(start)) {
+            return 'gpx';
+        }
+        if (/<kml[\s>]/.test(start)) {
+            return 'kml';
+        }
+        return 'igc';
+    }
+
+    /**
+     * Import a GPX, KML or FIT track
+     * @param {ArrayBuffer} buffer - Raw file content
+     * @param {string} format - gpx, kml or fit
+     * @returns {object} - Flight data as returned by IGCParser.parse
+     */
+    import(buffer, format) {
+        if (format === 'fit') {
+            return this.parseFIT(buffer);
+        }
+
+        const text = new TextDecoder().decode(buffer);
+        if (format === 'gpx') {
+            return this.parseGPX(text);
+        }
+        if (format === 'kml') {
+            return this.parseKML(text);
+        }
+        throw new Error(`Cannot import ${format} files`);
+    }
+
+    /**
+     * Read the track points of a GPX file
+     * @param {string} text - GPX document
+     * @returns {object} - Flight data
+     */
+    parseGPX(text) {
+        const header = this.parser.createHeader();
+        const creator = text.match(/<gpx\b[^>]*\bcreator\s*=\s*["']([^"']*)["']/);
+        if (creator) {
+            header.loggerType = this.decodeXml(creator[1]);
+        }
+        const author = text.match(/<author>[\s\S]*?<name>([\s\S]*?)<\/name>/);
+        if (author) {
+            header.pilot = this.decodeXml(author[1]).trim() || header.pilot;
+        }
+
+        const points = [];
+        const pattern = /<trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/trkpt>)/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const latitude = this.attribute(match[1], 'lat');
+            const longitude = this.attribute(match[1], 'lon');
+            const body = match[2] || '';
+            const time = body.match(/<time>([^<]*)<\/time>/);
+            const elevation = body.match(/<ele>([^<]*)<\/ele>/);
+
+            points.push({
+                latitude,
+                longitude,
+                altitude: elevation ? parseFloat(elevation[1]) : null,
+                timestamp: time ? Date.parse(time[1].trim()) / 1000 : NaN
+            });
+        }
+
+        return this.buildFlightData(header, points, 'GPX');
+    }
+
+    /**
+     * Read a KML track (gx:Track with when/gx:coord pairs)
+     * @param {string} text - KML document
+     * @returns {object} - Flight data
+     */
+    parseKML(text) {
+        const header = this.parser.createHeader();
+
+        // Times and positions are listed separately, in the same order
+        const points = [];
+        const tracks = text.match(/<gx:Track>[\s\S]*?<\/gx:Track>/g) || [];
+        tracks.forEach(track => {
+            const times = [...track.matchAll(/<when>([^<]*)<\/when>/g)].map(m => Date.parse(m[1].trim()) / 1000);
+            const coordinates = [...track.matchAll(/<gx:coord>([^<]*)<\/gx:coord>/g)].map(m => m[1].trim().split(/\s+/).map(Number));
+            for (let i = 0; i < Math.min(times.length, coordinates.length); i++) {
+                points.push({
+                    longitude: coordinates[i][0],
+                    latitude: coordinates[i][1],
+                    altitude: coordinates[i].length > 2 ? coordinates[i][2] : null,
+                    timestamp: times[i]
+                });
+            }
+        });
+
+        if (tracks.length === 0 && /<LineString>/.test(text)) {
+            throw new Error('The KML file has a LineString without times; only gx:Track tracks can be imported');
+        }
+
+        return this.buildFlightData(header, points, 'KML');
+    }
+
+    /**
+     * Read the record messages of a FIT activity file
+     * @param {ArrayBuffer} buffer - FIT file content
+     * @returns {object} - Flight data
+     */
+    parseFIT(buffer) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        if (buffer.byteLength < 12) {
+            throw new Error('The FIT file is too short');
+        }
+
+        const headerSize = view.getUint8(0);
+        const dataSize = view.getUint32(4, true);
+        if (String.fromCharCode(...bytes.subarray(8, 12)) !== '.FIT' || headerSize < 12 || headerSize + dataSize > buffer.byteLength) {
+            throw new Error('Not a valid FIT file');
+        }
+
+        const header = this.parser.createHeader();
+        header.loggerType = 'FIT device';
+        const warnings = [];
+
+        // The file CRC covers the header and the records
+        const end = headerSize + dataSize;
+        if (end + 2 <= buffer.byteLength && this.fitCrc(bytes.subarray(0, end)) !== view.getUint16(end, true)) {
+            warnings.push({ line: null, type: 'bad-checksum', message: 'FIT file CRC does not match; the file may be damaged' });
+        }
+
+        const definitions = {};
+        const points = [];
+        let lastTimestamp = null;
+        let offset = headerSize;
+
+        while (offset < end) {
+            const recordHeader = view.getUint8(offset++);
+
+            if (recordHeader & 0x80) {
+                // Compressed timestamp header: five bits of time offset from the last timestamp
+                const definition = definitions[(recordHeader >> 5) & 0x03];
+                if (!definition || lastTimestamp === null) {
+                    throw new Error(`FIT record at byte ${offset - 1} uses an undefined message type`);
+                }
+                const fields = this.readFitFields(view, offset, definition);
+                offset += definition.size;
+                const timeOffset = recordHeader & 0x1f;
+                lastTimestamp += (timeOffset - (lastTimestamp & 0x1f)) & 0x1f;
+                fields[this.FIT_TIMESTAMP_FIELD] = lastTimestamp;
+                this.readFitMessage(definition.globalNumber, fields, header, points);
+                continue;
+            }
+
+            const localType = recordHeader & 0x0f;
+            if (recordHeader & 0x40) {
+                // Definition message: layout of the data messages of a local type
+                const littleEndian = view.getUint8(offset + 1) === 0;
+                const definition = {
+                    littleEndian,
+                    globalNumber: view.getUint16(offset + 2, littleEndian),
+                    fields: [],
+                    size: 0
+                };
+                const fieldCount = view.getUint8(offset + 4);
+                offset += 5;
+                for (let i = 0; i < fieldCount; i++, offset += 3) {
+                    definition.fields.push({
+                        number: view.getUint8(offset),
+                        size: view.getUint8(offset + 1),
+                        baseType: view.getUint8(offset + 2) & 0x1f
+                    });
+                }
+                if (recordHeader & 0x20) {
+                    // Developer fields are skipped but take up space in the data messages
+                    const developerCount = view.getUint8(offset++);
+                    for (let i = 0; i < developerCount; i++, offset += 3) {
+                        definition.fields.push({ number: null, size: view.getUint8(offset + 1), baseType: 13 });
+                    }
+                }
+                definition.size = definition.fields.reduce((sum, field) => sum + field.size, 0);
+                definitions[localType] = definition;
+                continue;
+            }
+
+            const definition = definitions[localType];
+            if (!definition) {
+                throw new Error(`FIT record at byte ${offset - 1} uses an undefined message type`);
+            }
+            const fields = this.readFitFields(view, offset, definition);
+            offset += definition.size;
+            if (typeof fields[this.FIT_TIMESTAMP_FIELD] === 'number') {
+                lastTimestamp = fields[this.FIT_TIMESTAMP_FIELD];
+            }
+            this.readFitMessage(definition.globalNumber, fields, header, points);
+        }
+
+        const flightData = this.buildFlightData(header, points, 'FIT');
+        flightData.diagnostics.warnings.push(...warnings);
+        return flightData;
+    }
+
+    /**
+     * Use the fields of a FIT data message
+     * @param {number} globalNumber - FIT global message number
+     * @param {object} fields - Field values keyed by field number
+     * @param {object} header - Flight header, updated from the file_id message
+     * @param {object[]} points - Track points, extended by record messages
+     */
+    readFitMessage(globalNumber, fields, header, points) {
+        if (globalNumber === this.FIT_FILE_ID) {
+            const manufacturer = this.FIT_MANUFACTURERS[fields[1]];
+            if (manufacturer) {
+                header.loggerType = manufacturer;
+            }
+            return;
+        }
+        if (globalNumber !== this.FIT_RECORD || typeof fields[0] !== 'number' || typeof fields[1] !== 'number') {
+            return;
+        }
+
+        // Altitudes are stored as (meters + 500) * 5; enhanced_altitude (78) has the wider range
+        const rawAltitude = typeof fields[78] === 'number' ? fields[78] : fields[2];
+        points.push({
+            latitude: fields[0] * this.SEMICIRCLE,
+            longitude: fields[1] * this.SEMICIRCLE,
+            altitude: typeof rawAltitude === 'number' ? rawAltitude / 5 - 500 : null,
+            timestamp: typeof fields[this.FIT_TIMESTAMP_FIELD] === 'number' ?
+                fields[this.FIT_TIMESTAMP_FIELD] + this.FIT_EPOCH :
+                NaN
+        });
+    }
+
+    /**
+     * Read the numeric fields of a FIT data message
+     * @param {DataView} view - File content
+     * @param {number} offset - Start of the message content
+     * @param {object} definition - Message layout from the definition message
+     * @returns {object} - Values keyed by field number; invalid values are left out
+     */
+    readFitFields(view, offset, definition) {
+        const fields = {};
+        const little = definition.littleEndian;
+
+        definition.fields.forEach(field => {
+            // Arrays, strings and developer fields are skipped
+            const type = this.FIT_BASE_TYPES[field.baseType];
+            if (type && field.size === type.size && field.number !== null) {
+                const value = view[type.read](offset, little);
+                if (value !== type.invalid && !isNaN(value)) {
+                    fields[field.number] = value;
+                }
+            }
+            offset += field.size;
+        });
+
+        return fields;
+    }
+
+    /**
+     * CRC-16 used by FIT files
+     * @param {Uint8Array} bytes - Bytes to check
+     * @returns {number} - CRC value
+     */
+    fitCrc(bytes) {
+        const table = this.FIT_CRC_TABLE;
+        let crc = 0;
+        bytes.forEach(byte => {
+            let tmp = table[crc & 0xf];
+            crc = (crc >> 4) & 0x0fff;
+            crc = crc ^ tmp ^ table[byte & 0xf];
+            tmp = table[crc & 0xf];
+            crc = (crc >> 4) & 0x0fff;
+            crc = crc ^ tmp ^ table[(byte >> 4) & 0xf];
+        });
+        return crc;
+    }
+
+    /**
+     * Turn imported track points into flight data like IGCParser.parse returns
+     * @param {object} header - Header from IGCParser.createHeader
+     * @param {object[]} points - {latitude, longitude, altitude, timestamp} in file order
+     * @param {string} format - Name of the source format, used in messages
+     * @returns {object} - Flight data
+     */
+    buildFlightData(header, points, format) {
+        const diagnostics = { errors: [], warnings: [] };
+
+        const usable = points.filter(point =>
+            isFinite(point.latitude) && isFinite(point.longitude) && isFinite(point.timestamp));
+        if (usable.length < points.length) {
+            diagnostics.warnings.push({
+                line: null,
+                type: 'malformed-record',
+                message: `${points.length - usable.length} ${format} track point(s) without a position or time were skipped`
+            });
+        }
+        if (usable.length === 0) {
+            throw new Error(`The ${format} file contains no track points with a time`);
+        }
+
+        // Only GNSS altitudes are available; zero pressure altitudes make the parser use them
+        const fixes = usable.map(point => {
+            const timestamp = Math.round(point.timestamp);
+            const altitude = point.altitude !== null && isFinite(point.altitude) ? Math.round(point.altitude) : 0;
+            return {
+                time: this.parser.formatUtcTime(timestamp),
+                timestamp,
+                latitude: point.latitude,
+                longitude: point.longitude,
+                validity: true,
+                pressureAltitude: 0,
+                gnssAltitude: altitude,
+                altitude,
+                extensions: {}
+            };
+        });
+        fixes.sort((a, b) => a.timestamp - b.timestamp);
+        header.date = new Date(fixes[0].timestamp * 1000).toISOString().substring(0, 10);
+
+        return this.parser.completeFlightData({
+            header,
+            fixes,
+            task: null,
+            activity: [],
+            events: [],
+            diagnostics,
+            loggerInfo: null,
+            records: null
+        });
+    }
+
+    /**
+     * Read a numeric XML attribute
+     * @param {string} attributes - Attribute text of an element
+     * @param {string} name - Attribute name
+     * @returns {number} - Value, NaN when missing
+     */
+    attribute(attributes, name) {
+        const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+        return match ? parseFloat(match[1]) : NaN;
+    }
+
+    /**
+     * Decode the XML entities of a text value
+     * @param {string} text - Text from an XML document
+     * @returns {string} - Decoded text
+     */
+    decodeXml(text) {
+        return text
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+}
+
+// Node/CommonJS export; in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TrackImporter };
+}
@@ -0,0 +1,317 @@
+/**
+ * Wind Estimator
+ * Estimates wind speed and direction from thermalling circles
+ */
+class WindEstimator {
+    constructor() {
+        // Earth's radius in meters
+        this.EARTH_RADIUS = 6371000;
+
+        // A circle needs at least this many fixes for a reliable fit
+        this.MIN_CIRCLE_FIXES = 8;
+
+        // Fitted wind is rejected when the fitted airspeed is implausible (m/s)
+        this.MIN_AIRSPEED = 4;
+        this.MAX_AIRSPEED = 30;
+    }
+
+    /**
+     * Estimate the wind in every thermal of a flight
+     * @param {object} flightData - Parsed flight data from IGCParser
+     * @param {object|null} phaseResult - Result from FlightPhaseAnalyzer.analyze
+     * @returns {object[]} - Wind estimates, one per thermal, in flight order
+     */
+    estimate(flightData, phaseResult) {
+        if (!flightData || !flightData.fixes || !phaseResult) {
+            return [];
+        }
+
+        const fixes = flightData.fixes;
+        const estimates = [];
+
+        phaseResult.phases
+            .filter(phase => phase.type.startsWith('thermal'))
+            .forEach(phase => {
+                const circles = this.splitCircles(fixes, phase.startIndex, phase.endIndex);
+                const estimate = this.estimateThermal(fixes, circles);
+                if (estimate) {
+                    estimates.push(estimate);
+                }
+            });
+
+        return estimates;
+    }
+
+    /**
+     * Split a thermal into complete 360 degree circles
+     * @param {object[]} fixes - Flight fixes
+     * @param {number} startIndex - First fix of the thermal
+     * @param {number} endIndex - Last fix of the thermal
+     * @returns {object[]} - Circles as {startIndex, endIndex}
+     */
+    splitCircles(fixes, startIndex, endIndex) {
+        const circles = [];
+        let circleStart = startIndex;
+        let turned = 0;
+        let previousBearing = null;
+
+        for (let i = startIndex + 1; i <= endIndex; i++) {
+            const bearing = this.course(fixes, i);
+            if (previousBearing !== null) {
+                let delta = bearing - previousBearing;
+                if (delta > 180) delta -= 360;
+                if (delta < -180) delta += 360;
+                turned += delta;
+            }
+            previousBearing = bearing;
+
+            if (Math.abs(turned) >= 360) {
+                circles.push({ startIndex: circleStart, endIndex: i });
+                circleStart = i;
+                turned = 0;
+            }
+        }
+
+        return circles;
+    }
+
+    /**
+     * Estimate the wind of one thermal from its circles
+     * @param {object[]} fixes - Flight fixes
+     * @param {object[]} circles - Circles from splitCircles
+     * @returns {object|null} - Wind estimate or null if no circle could be fitted
+     */
+    estimateThermal(fixes, circles) {
+        const origin = fixes[circles.length > 0 ? circles[0].startIndex : 0];
+        const fitted = [];
+        const centers = [];
+
+        circles.forEach(circle => {
+            if (circle.endIndex - circle.startIndex + 1 < this.MIN_CIRCLE_FIXES) {
+                return;
+            }
+
+            const wind = this.fitVelocityCircle(fixes, circle, origin);
+            if (wind) {
+                fitted.push(wind);
+            }
+            centers.push(this.circleCenter(fixes, circle, origin));
+        });
+
+        if (fitted.length === 0) {
+            return null;
+        }
+
+        // Wind from ground speed variation around each circle
+        const fit = {
+            x: fitted.reduce((sum, wind) => sum + wind.x, 0) / fitted.length,
+            y: fitted.reduce((sum, wind) => sum + wind.y, 0) / fitted.length
+        };
+
+        // Wind from the drift of the circle centres
+        let drift = null;
+        if (centers.length >= 2) {
+            const first = centers[0];
+            const last = centers[centers.length - 1];
+            const dt = last.timestamp - first.timestamp;
+            if (dt > 0) {
+                drift = { x: (last.x - first.x) / dt, y: (last.y - first.y) / dt };
+            }
+        }
+
+        const wind = drift ? { x: (fit.x + drift.x) / 2, y: (fit.y + drift.y) / 2 } : fit;
+
+        const startIndex = circles[0].startIndex;
+        const endIndex = circles[circles.length - 1].endIndex;
+        const middle = fixes[Math.round((startIndex + endIndex) / 2)];
+        let altitude = 0;
+        for (let i = startIndex; i <= endIndex; i++) {
+            altitude += fixes[i].altitude;
+        }
+
+        return {
+            startIndex,
+            endIndex,
+            time: middle.time,
+            timestamp: middle.timestamp,
+            latitude: middle.latitude,
+            longitude: middle.longitude,
+            altitude: altitude / (endIndex - startIndex + 1),
+            circles: fitted.length,
+            ...this.toSpeedDirection(wind),
+            fit: this.toSpeedDirection(fit),
+            drift: drift ? this.toSpeedDirection(drift) : null
+        };
+    }
+
+    /**
+     * Fit a circle to the ground velocity vectors of one turn; its centre is the wind vector
+     * @param {object[]} fixes - Flight fixes
+     * @param {object} circle - Circle as {startIndex, endIndex}
+     * @param {object} origin - Reference fix for the local projection
+     * @returns {object|null} - Wind vector {x, y} in m/s (towards east/north) or null
+     */
+    fitVelocityCircle(fixes, circle, origin) {
+        const velocities = [];
+        for (let i = circle.startIndex + 1; i <= circle.endIndex; i++) {
+            const dt = fixes[i].timestamp - fixes[i - 1].timestamp;
+            if (dt <= 0) {
+                continue;
+            }
+
+            // Prefer the logger's own ground speed (km/h) and course
+            const extensions = fixes[i].extensions || {};
+            if (typeof extensions.GSP === 'number' && typeof extensions.CCO === 'number') {
+                const speed = extensions.GSP / 3.6;
+                const course = this.toRadians(extensions.CCO);
+                velocities.push({ x: speed * Math.sin(course), y: speed * Math.cos(course) });
+                continue;
+            }
+
+            const a = this.project(fixes[i - 1], origin);
+            const b = this.project(fixes[i], origin);
+            velocities.push({ x: (b.x - a.x) / dt, y: (b.y - a.y) / dt });
+        }
+
+        if (velocities.length < this.MIN_CIRCLE_FIXES - 1) {
+            return null;
+        }
+
+        // Algebraic (Kasa) circle fit: x^2 + y^2 + D*x + E*y + F = 0
+        let sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0, sxz = 0, syz = 0, sz = 0;
+        velocities.forEach(v => {
+            const z = v.x * v.x + v.y * v.y;
+            sx += v.x; sy += v.y;
+            sxx += v.x * v.x; syy += v.y * v.y; sxy += v.x * v.y;
+            sxz += v.x * z; syz += v.y * z; sz += z;
+        });
+        const n = velocities.length;
+
+        const solution = this.solve3([
+            [sxx, sxy, sx],
+            [sxy, syy, sy],
+            [sx, sy, n]
+        ], [-sxz, -syz, -sz]);
+        if (!solution) {
+            return null;
+        }
+
+        const center = { x: -solution[0] / 2, y: -solution[1] / 2 };
+        const airspeed = Math.sqrt(center.x * center.x + center.y * center.y - solution[2]);
+        if (!(airspeed >= this.MIN_AIRSPEED && airspeed <= this.MAX_AIRSPEED)) {
+            return null;
+        }
+
+        return center;
+    }
+
+    /**
+     * Average position and time of a circle
+     * @param {object[]} fixes - Flight fixes
+     * @param {object} circle - Circle as {startIndex, endIndex}
+     * @param {object} origin - Reference fix for the local projection
+     * @returns {object} - Centre {x, y} in meters and mean timestamp
+     */
+    circleCenter(fixes, circle, origin) {
+        let x = 0, y = 0, timestamp = 0;
+        const count = circle.endIndex - circle.startIndex + 1;
+        for (let i = circle.startIndex; i <= circle.endIndex; i++) {
+            const point = this.project(fixes[i], origin);
+            x += point.x;
+            y += point.y;
+            timestamp += fixes[i].timestamp;
+        }
+        return { x: x / count, y: y / count, timestamp: timestamp / count };
+    }
+
+    /**
+     * Solve a 3x3 linear system with Cramer's rule
+     * @param {number[][]} m - Coefficient matrix
+     * @param {number[]} b - Right-hand side
+     * @returns {number[]|null} - Solution or null if the system is singular
+     */
+    solve3(m, b) {
+        const det = matrix =>
+            matrix[0][0] * (matrix[1][1] * matrix[2][2] - matrix[1][2] * matrix[2][1]) -
+            matrix[0][1] * (matrix[1][0] * matrix[2][2] - matrix[1][2] * matrix[2][0]) +
+            matrix[0][2] * (matrix[1][0] * matrix[2][1] - matrix[1][1] * matrix[2][0]);
+
+        const d = det(m);
+        if (Math.abs(d) < 1e-9) {
+            return null;
+        }
+
+        return [0, 1, 2].map(column => {
+            const replaced = m.map((row, r) => row.map((value, c) => (c === column ? b[r] : value)));
+            return det(replaced) / d;
+        });
+    }
+
+    /**
+     * Convert a wind vector to speed and the direction the wind blows from
+     * @param {object} vector - Wind vector {x, y} in m/s towards east/north
+     * @returns {object} - {speed} in km/h and {direction} in degrees (meteorological, from)
+     */
+    toSpeedDirection(vector) {
+        const towards = Math.atan2(vector.x, vector.y) * 180 / Math.PI;
+        return {
+            speed: Math.hypot(vector.x, vector.y) * 3.6,
+            direction: (towards + 180 + 360) % 360
+        };
+    }
+
+    /**
+     * Project a fix onto a local flat plane around an origin
+     * @param {object} fix - Flight fix
+     * @param {object} origin - Reference fix
+     * @returns {object} - {x, y} in meters east/north of the origin
+     */
+    project(fix, origin) {
+        return {
+            x: this.toRadians(fix.longitude - origin.longitude) * Math.cos(this.toRadians(origin.latitude)) * this.EARTH_RADIUS,
+            y: this.toRadians(fix.latitude - origin.latitude) * this.EARTH_RADIUS
+        };
+    }
+
+    /**
+     * Course over ground at a fix
+     * @param {object[]} fixes - Flight fixes
+     * @param {number} index - Fix index, at least 1
+     * @returns {number} - Course in degrees (0-360), the logger's own CCO when it records one
+     */
+    course(fixes, index) {
+        const logged = fixes[index].extensions && fixes[index].extensions.CCO;
+        return typeof logged === 'number' ? logged : this.calculateBearing(fixes[index - 1], fixes[index]);
+    }
+
+    /**
+     * Calculate bearing between two fixes
+     * @param {object} a - First fix
+     * @param {object} b - Second fix
+     * @returns {number} - Bearing in degrees (0-360)
+     */
+    calculateBearing(a, b) {
+        const lat1 = this.toRadians(a.latitude);
+        const lat2 = this.toRadians(b.latitude);
+        const dLon = this.toRadians(b.longitude - a.longitude);
+
+        const y = Math.sin(dLon) * Math.cos(lat2);
+        const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+
+    /**
+     * Convert degrees to radians
+     * @param {number} degrees - Angle in degrees
+     * @returns {number} - Angle in radians
+     */
+    toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+}
+
+// Node/CommonJS export; in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WindEstimator };
+}
@@ -0,0 +1,98 @@
+/**
+ * Wind Profile Display
+ * This class handles displaying estimated wind against altitude
+ */
+class WindProfileDisplay {
+    /**
+     * Create a wind profile display handler
+     * @param {string} elementId - The ID of the element to render the wind profile in
+     */
+    constructor(elementId) {
+        this.elementId = elementId;
+
+        // Formats times in UTC or local time, shared with the other displays
+        this.timeFormatter = new TimeFormatter();
+    }
+
+    /**
+     * Render the wind profile
+     * @param {object[]} estimates - Wind estimates from WindEstimator.estimate
+     */
+    render(estimates) {
+        const element = document.getElementById(this.elementId);
+        if (!element) {
+            console.error(`Element with ID ${this.elementId} not found`);
+            return;
+        }
+
+        // Clear previous chart
+        element.innerHTML = '';
+
+        if (!estimates || estimates.length === 0) {
+            element.innerHTML = '<p class="no-data-message">No thermals to estimate wind from</p>';
+            return;
+        }
+
+        // Get dimensions
+        const margin = {top: 20, right: 20, bottom: 35, left: 60};
+        const width = element.clientWidth - margin.left - margin.right;
+        const height = element.clientHeight - margin.top - margin.bottom;
+
+        // Create SVG
+        const svg = d3.select(element)
+            .append("svg")
+            .attr("width", width + margin.left + margin.right)
+            .attr("height", height + margin.top + margin.bottom)
+            .append("g")
+            .attr("transform", `translate(${margin.left},${margin.top})`);
+
+        // Scales
+        const xScale = d3.scaleLinear()
+            .domain([0, Math.max(10, d3.max(estimates, d => d.speed))])
+            .range([0, width])
+            .nice();
+
+        const yScale = d3.scaleLinear()
+            .domain(d3.extent(estimates, d => d.altitude))
+            .range([height, 0])
+            .nice();
+
+        // Add X axis
+        svg.append("g")
+            .attr("class", "altitude-axis")
+            .attr("transform", `translate(0,${height})`)
+            .call(d3.axisBottom(xScale).ticks(5))
+            .append("text")
+            .attr("fill", "#000")
+            .attr("x", width / 2)
+            .attr("y", margin.bottom - 5)
+            .attr("text-anchor", "middle")
+            .text("Wind speed (km/h)");
+
+        // Add Y axis
+        svg.append("g")
+            .attr("class", "altitude-axis")
+            .call(d3.axisLeft(yScale).ticks(5))
+            .append("text")
+            .attr("fill", "#000")
+            .attr("transform", "rotate(-90)")
+            .attr("y", -margin.left + 15)
+            .attr("x", -height / 2)
+            .attr("text-anchor", "middle")
+            .text("Altitude (m)");
+
+        // Arrows point where the wind blows to
+        const arrows = svg.selectAll(".wind-profile-arrow")
+            .data(estimates)
+            .enter()
+            .append("g")
+            .attr("class", "wind-profile-arrow")
+            .attr("transform", d => `translate(${xScale(d.speed)},${yScale(d.altitude)}) rotate(${d.direction + 180})`);
+
+        arrows.append("path")
+            .attr("d", "M0,-9 L4,3 L0,0 L-4,3 Z");
+
+        arrows.append("title")
+            .text(d => `${this.timeFormatter.format(d.timestamp)}: ${d.speed.toFixed(1)} km/h from ${d.direction.toFixed(0)}° at ${d.altitude.toFixed(0)}m`);
+    }
+}